@@ -1,8 +1,19 @@
 const { DeviceManager } = require('./lib/deviceManager');
 const { FusionController } = require('./lib/fusionController');
-const { SonosController } = require('./lib/sonosController');
+const { SonosController, REPEAT_MODES } = require('./lib/sonosController');
 const { NMEA2000Handler } = require('./lib/nmea2000Handler');
+const { DeviceResolver } = require('./lib/deviceResolver');
+const { ConfigStore } = require('./lib/configStore');
+const { PutHandlers, putError, putResult } = require('./lib/putHandlers');
+const { VolumeSyncEngine } = require('./lib/volumeSync');
+const { VolumeLimits } = require('./lib/volumeLimits');
+const { AutoStandby } = require('./lib/autoStandby');
+const { InputRules } = require('./lib/inputRules');
+const { MuteManager } = require('./lib/muteManager');
+const { DuckingManager } = require('./lib/ducking');
+const { VolumeCompensation } = require('./lib/volumeCompensation');
 const EventEmitter = require('eventemitter3');
+const crypto = require('crypto');
 const os = require('os');
 
 module.exports = function(app) {
@@ -11,7 +22,20 @@ module.exports = function(app) {
   let fusionController;
   let sonosController;
   let nmea2000Handler;
+  let deviceResolver;
+  let configStore;
+  let putHandlers;
+  let volumeSync;
+  let volumeLimits;
+  let autoStandby;
+  let inputRules;
+  let muteManager;
+  let ducking;
+  let compensation;
   let unsubscribes = [];
+  let duckingUnsubscribes = [];
+  let compensationUnsubscribes = [];
+  let compensationPaths = null;
 
   plugin.id = 'sonos-fusion';
   plugin.name = 'Sonos/Fusion Integration';
@@ -45,8 +69,7 @@ module.exports = function(app) {
             fusionInput: {
               type: 'string',
               title: 'Fusion Input',
-              description: 'Input on Fusion device that Sonos is connected to',
-              enum: ['aux1', 'aux2', 'aux3', 'usb', 'bluetooth', 'am', 'fm']
+              description: 'Source on the Fusion device that Sonos is connected to, by name, e.g. aux1 or optical. GET /devices/fusion/{id}/sources lists what the stereo has.'
             },
             volumeSync: {
               type: 'boolean',
@@ -54,6 +77,275 @@ module.exports = function(app) {
               description: 'Sync volume changes between Sonos and Fusion',
               default: true
             },
+            volumeLeader: {
+              type: 'string',
+              title: 'Volume Source of Truth',
+              description: 'Which side may change the other: sonos, fusion, or whichever changed last',
+              enum: ['last-writer', 'sonos', 'fusion'],
+              default: 'last-writer'
+            },
+            zones: {
+              type: 'array',
+              title: 'Fusion Zones',
+              description: 'Speaker zones this pair drives (zone 1 when empty). Pairs sharing a Fusion device must use different zones',
+              items: {
+                type: 'object',
+                properties: {
+                  zone: {
+                    type: 'number',
+                    title: 'Zone',
+                    enum: [1, 2, 3, 4]
+                  },
+                  name: {
+                    type: 'string',
+                    title: 'Zone Name',
+                    description: 'For example Cockpit, Salon or Flybridge'
+                  },
+                  enabled: {
+                    type: 'boolean',
+                    title: 'Enabled',
+                    default: true
+                  },
+                  volumeSync: {
+                    type: 'boolean',
+                    title: 'Volume Synchronization',
+                    description: 'Follow Sonos volume changes in this zone',
+                    default: true
+                  }
+                },
+                required: ['zone']
+              }
+            },
+            volumeCurve: {
+              type: 'object',
+              title: 'Volume Curve',
+              description: 'How Sonos volume (0-100) maps to Fusion volume steps (0-40); the same curve is used in reverse',
+              properties: {
+                type: {
+                  type: 'string',
+                  title: 'Curve',
+                  enum: ['linear', 'logarithmic', 'table'],
+                  default: 'linear'
+                },
+                min: {
+                  type: 'number',
+                  title: 'Minimum Fusion Volume',
+                  default: 0,
+                  minimum: 0,
+                  maximum: 40
+                },
+                max: {
+                  type: 'number',
+                  title: 'Maximum Fusion Volume',
+                  default: 40,
+                  minimum: 0,
+                  maximum: 40
+                },
+                offset: {
+                  type: 'number',
+                  title: 'Offset',
+                  description: 'Fusion steps added after the curve, within the limits',
+                  default: 0
+                },
+                points: {
+                  type: 'array',
+                  title: 'Breakpoints',
+                  description: 'Used by the table curve; values between breakpoints are interpolated',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      sonos: { type: 'number', title: 'Sonos Volume', minimum: 0, maximum: 100 },
+                      fusion: { type: 'number', title: 'Fusion Volume', minimum: 0, maximum: 40 }
+                    },
+                    required: ['sonos', 'fusion']
+                  }
+                }
+              }
+            },
+            volumeLimits: {
+              type: 'object',
+              title: 'Volume Limits',
+              description: 'Caps on the Sonos scale (0-100), applied to Fusion zones through the volume curve',
+              properties: {
+                maxVolume: {
+                  type: 'number',
+                  title: 'Maximum Volume',
+                  minimum: 0,
+                  maximum: 100
+                },
+                startupVolume: {
+                  type: 'number',
+                  title: 'Startup Volume',
+                  description: 'Volume set when playback starts after the pair has been idle',
+                  minimum: 0,
+                  maximum: 100
+                },
+                idleTime: {
+                  type: 'number',
+                  title: 'Idle Time (minutes)',
+                  description: 'How long playback must have stopped before the startup volume applies',
+                  default: 30
+                },
+                quietHours: {
+                  type: 'array',
+                  title: 'Quiet Hours',
+                  description: 'Applied in addition to the plugin-wide quiet hours',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      start: { type: 'string', title: 'Start', description: 'HH:MM, local time' },
+                      end: { type: 'string', title: 'End', description: 'HH:MM; earlier than start runs past midnight' },
+                      maxVolume: { type: 'number', title: 'Maximum Volume', minimum: 0, maximum: 100 }
+                    },
+                    required: ['start', 'end', 'maxVolume']
+                  }
+                }
+              }
+            },
+            autoPowerOn: {
+              type: 'boolean',
+              title: 'Auto Power On',
+              description: 'Wake the Fusion from standby when the Sonos starts playing',
+              default: false
+            },
+            standby: {
+              type: 'object',
+              title: 'Auto-Standby',
+              description: 'What happens to the Fusion once the Sonos has been paused or stopped for a while',
+              properties: {
+                policy: {
+                  type: 'string',
+                  title: 'Policy',
+                  description: 'restore: switch back to the input in use before the Sonos started; mute; power-off: turn the stereo off',
+                  enum: ['none', 'restore', 'mute', 'power-off'],
+                  default: 'none'
+                },
+                idleTimeout: {
+                  type: 'number',
+                  title: 'Idle Timeout (seconds)',
+                  default: 300,
+                  minimum: 0
+                }
+              }
+            },
+            compensation: {
+              type: 'object',
+              title: 'Volume Compensation',
+              description: 'Turns the Fusion zones up with speed or engine RPM; the Sonos keeps the volume you set. Needs volume sync',
+              properties: {
+                source: {
+                  type: 'string',
+                  title: 'Source',
+                  description: 'sog: navigation.speedOverGround in knots; rpm: the fastest engine in RPM',
+                  enum: ['sog', 'rpm']
+                },
+                path: {
+                  type: 'string',
+                  title: 'SignalK Path',
+                  description: 'Overrides the default path, e.g. propulsion.port.revolutions to follow one engine'
+                },
+                points: {
+                  type: 'array',
+                  title: 'Curve',
+                  description: 'Gain added at each speed or RPM, on the Sonos scale; values in between are interpolated',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      at: { type: 'number', title: 'Knots or RPM' },
+                      gain: { type: 'number', title: 'Gain', minimum: 0, maximum: 100 }
+                    },
+                    required: ['at', 'gain']
+                  }
+                },
+                ceiling: {
+                  type: 'number',
+                  title: 'Ceiling',
+                  description: 'Compensation never takes the volume above this',
+                  default: 100,
+                  minimum: 0,
+                  maximum: 100
+                },
+                smoothing: {
+                  type: 'number',
+                  title: 'Smoothing (seconds)',
+                  description: 'How quickly the gain follows changes in speed',
+                  default: 10,
+                  minimum: 0
+                },
+                timeout: {
+                  type: 'number',
+                  title: 'Timeout (seconds)',
+                  description: 'A speed or RPM not updated for this long counts as zero; 0 keeps the last reading',
+                  default: 30,
+                  minimum: 0
+                },
+                enabled: {
+                  type: 'boolean',
+                  title: 'Enabled',
+                  default: true
+                }
+              },
+              required: ['source']
+            },
+            inputRules: {
+              type: 'array',
+              title: 'Input Rules',
+              description: 'Checked in order when the Sonos starts playing; the first matching rule decides. Without a match the stereo switches to the Fusion input',
+              items: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string', title: 'Name' },
+                  action: {
+                    type: 'string',
+                    title: 'Action',
+                    description: 'switch: switch the stereo to the Sonos; skip: leave it on what it is playing',
+                    enum: ['switch', 'skip'],
+                    default: 'skip'
+                  },
+                  input: {
+                    type: 'string',
+                    title: 'Input',
+                    description: 'Switch to this Fusion input instead of the pair\'s own'
+                  },
+                  when: {
+                    type: 'object',
+                    title: 'Conditions',
+                    description: 'All conditions given must hold',
+                    properties: {
+                      sources: {
+                        type: 'array',
+                        title: 'Sonos Sources',
+                        description: 'e.g. Line-In, TV, AirPlay, Spotify, TuneIn',
+                        items: { type: 'string' }
+                      },
+                      grouped: { type: 'boolean', title: 'Sonos is grouped' },
+                      coordinator: { type: 'boolean', title: 'Sonos is the group coordinator' },
+                      groupedWith: {
+                        type: 'array',
+                        title: 'Grouped With',
+                        description: 'Pair names or Sonos device ids',
+                        items: { type: 'string' }
+                      },
+                      time: {
+                        type: 'object',
+                        title: 'Time of Day',
+                        properties: {
+                          start: { type: 'string', title: 'Start (HH:MM)' },
+                          end: { type: 'string', title: 'End (HH:MM)' }
+                        }
+                      },
+                      fusionInputs: {
+                        type: 'array',
+                        title: 'Current Fusion Input',
+                        description: 'e.g. bluetooth',
+                        items: { type: 'string' }
+                      }
+                    }
+                  }
+                },
+                required: ['action']
+              }
+            },
             enabled: {
               type: 'boolean',
               title: 'Enabled',
@@ -64,6 +356,52 @@ module.exports = function(app) {
           required: ['name', 'sonosDevice', 'fusionDevice', 'fusionInput']
         }
       },
+      scenes: {
+        type: 'array',
+        title: 'Scenes',
+        description: 'Named audio setups applied in one go, e.g. underway or night watch. Settings left out are not changed',
+        items: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              title: 'Scene Name'
+            },
+            pairs: {
+              type: 'array',
+              title: 'Device Pairs',
+              items: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string', title: 'Pair Name' },
+                  enabled: { type: 'boolean', title: 'Enabled' },
+                  power: { type: 'boolean', title: 'Fusion Power' },
+                  input: { type: 'string', title: 'Fusion Input', description: 'Fusion source name, e.g. aux1 or fm' },
+                  favorite: { type: 'string', title: 'Sonos Favorite', description: 'Name of a Sonos favorite, station or playlist to play' },
+                  volume: { type: 'number', title: 'Sonos Volume', minimum: 0, maximum: 100 },
+                  zones: {
+                    type: 'array',
+                    title: 'Zone Volumes',
+                    description: 'Fusion steps (0-40); synced zones follow the Sonos volume when one is set',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        zone: { type: 'number', title: 'Zone', enum: [1, 2, 3, 4] },
+                        volume: { type: 'number', title: 'Volume', minimum: 0, maximum: 40 }
+                      },
+                      required: ['zone', 'volume']
+                    }
+                  },
+                  playback: { type: 'string', title: 'Playback', enum: ['playing', 'paused', 'stopped'] },
+                  muted: { type: 'boolean', title: 'Muted' }
+                },
+                required: ['name']
+              }
+            }
+          },
+          required: ['name', 'pairs']
+        }
+      },
       nmea2000: {
         type: 'object',
         title: 'NMEA2000 Settings',
@@ -81,6 +419,290 @@ module.exports = function(app) {
             default: 0,
             minimum: 0,
             maximum: 255
+          },
+          outputFormat: {
+            type: 'string',
+            title: 'PGN Output Format',
+            description: 'How entertainment PGNs are handed to the server: canboat JSON (nmea2000JsonOut), which most gateways send from their own address, or raw Actisense frames (nmea2000out) from the address the bridge claimed',
+            enum: ['canboat-json', 'actisense'],
+            default: 'canboat-json'
+          },
+          sourceAddress: {
+            type: 'number',
+            title: 'Preferred Source Address',
+            description: 'Address the bridge claims on the bus (defaults to the device instance); moves automatically on conflicts',
+            minimum: 0,
+            maximum: 251
+          },
+          name: {
+            type: 'object',
+            title: 'Device NAME',
+            description: 'ISO NAME fields used in the address claim',
+            properties: {
+              uniqueNumber: {
+                type: 'number',
+                title: 'Unique Number',
+                description: 'Must differ between bridges on the same bus',
+                minimum: 0,
+                maximum: 2097151
+              },
+              manufacturerCode: {
+                type: 'number',
+                title: 'Manufacturer Code',
+                default: 999
+              },
+              deviceFunction: {
+                type: 'number',
+                title: 'Device Function',
+                default: 140
+              },
+              deviceClass: {
+                type: 'number',
+                title: 'Device Class',
+                default: 125
+              },
+              systemInstance: {
+                type: 'number',
+                title: 'System Instance',
+                default: 0,
+                minimum: 0,
+                maximum: 15
+              }
+            }
+          },
+          installationDescription1: {
+            type: 'string',
+            title: 'Installation Description 1',
+            description: 'Shown in MFD device lists (PGN 126998)'
+          },
+          installationDescription2: {
+            type: 'string',
+            title: 'Installation Description 2'
+          }
+        }
+      },
+      sync: {
+        type: 'object',
+        title: 'Volume Sync Settings',
+        properties: {
+          settleTime: {
+            type: 'number',
+            title: 'Settling Window (ms)',
+            description: 'How long a volume we wrote is recognised as our own echo when the device reports it back',
+            default: 6000
+          },
+          debounceTime: {
+            type: 'number',
+            title: 'Debounce Time (ms)',
+            description: 'Rapid knob turns within this time are synced once, with the final value',
+            default: 400
+          }
+        }
+      },
+      ducking: {
+        type: 'object',
+        title: 'Ducking',
+        properties: {
+          rules: {
+            type: 'array',
+            title: 'Notification Rules',
+            description: 'Turn pairs down or mute them while matching SignalK notifications are active',
+            items: {
+              type: 'object',
+              properties: {
+                path: {
+                  type: 'string',
+                  title: 'Notification Path',
+                  description: 'For example notifications.navigation.anchor or notifications.environment.depth.*'
+                },
+                states: {
+                  type: 'array',
+                  title: 'Alarm States',
+                  items: {
+                    type: 'string',
+                    enum: ['alert', 'warn', 'alarm', 'emergency']
+                  },
+                  default: ['alarm', 'emergency']
+                },
+                pairs: {
+                  type: 'array',
+                  title: 'Device Pairs',
+                  description: 'Pair names to duck; all pairs when empty',
+                  items: { type: 'string' }
+                },
+                action: {
+                  type: 'string',
+                  title: 'Action',
+                  enum: ['duck', 'mute'],
+                  default: 'duck'
+                },
+                duckTo: {
+                  type: 'number',
+                  title: 'Duck To (%)',
+                  description: 'Percentage of the current volume to keep while ducked',
+                  default: 20,
+                  minimum: 0,
+                  maximum: 100
+                }
+              },
+              required: ['path']
+            }
+          },
+          triggers: {
+            type: 'array',
+            title: 'Triggers',
+            description: 'Duck, mute or pause pairs while any SignalK path matches a condition',
+            items: {
+              type: 'object',
+              properties: {
+                name: {
+                  type: 'string',
+                  title: 'Name'
+                },
+                path: {
+                  type: 'string',
+                  title: 'SignalK Path',
+                  description: 'For example propulsion.*.state or communication.vhf.transmitting'
+                },
+                condition: {
+                  type: 'string',
+                  title: 'Condition',
+                  description: 'Operator and value, e.g. "== started" or "> 1500"; empty matches any truthy value'
+                },
+                pairs: {
+                  type: 'array',
+                  title: 'Device Pairs',
+                  description: 'Pair names to affect; all pairs when empty',
+                  items: { type: 'string' }
+                },
+                action: {
+                  type: 'string',
+                  title: 'Action',
+                  enum: ['duck', 'mute', 'pause'],
+                  default: 'duck'
+                },
+                duckBy: {
+                  type: 'number',
+                  title: 'Duck By (%)',
+                  description: 'How much to turn the volume down while the condition holds',
+                  default: 30,
+                  minimum: 0,
+                  maximum: 100
+                },
+                releaseDelay: {
+                  type: 'number',
+                  title: 'Release Delay (s)',
+                  description: 'How long the condition must stay clear before the volume comes back',
+                  default: 0,
+                  minimum: 0
+                },
+                enabled: {
+                  type: 'boolean',
+                  title: 'Enabled',
+                  default: true
+                }
+              },
+              required: ['name', 'path']
+            }
+          }
+        }
+      },
+      volumeLimits: {
+        type: 'object',
+        title: 'Volume Limits',
+        properties: {
+          quietHours: {
+            type: 'array',
+            title: 'Quiet Hours',
+            description: 'Volume caps for every pair during these hours, e.g. 22:00-07:00 at 25',
+            items: {
+              type: 'object',
+              properties: {
+                start: { type: 'string', title: 'Start', description: 'HH:MM, local time' },
+                end: { type: 'string', title: 'End', description: 'HH:MM; earlier than start runs past midnight' },
+                maxVolume: { type: 'number', title: 'Maximum Volume', minimum: 0, maximum: 100 }
+              },
+              required: ['start', 'end', 'maxVolume']
+            }
+          }
+        }
+      },
+      sonos: {
+        type: 'object',
+        title: 'Sonos Settings',
+        properties: {
+          useEvents: {
+            type: 'boolean',
+            title: 'Use UPnP Event Subscriptions',
+            description: 'Receive Sonos state changes as UPnP events instead of polling every device',
+            default: true
+          },
+          eventListenerHost: {
+            type: 'string',
+            title: 'Event Listener Host',
+            description: 'Address Sonos devices should send events to (defaults to the first external interface)'
+          },
+          eventListenerPort: {
+            type: 'number',
+            title: 'Event Listener Port',
+            description: 'Local port for receiving Sonos events',
+            default: 6329
+          },
+          pollingInterval: {
+            type: 'number',
+            title: 'Fallback Polling Interval (seconds)',
+            description: 'How often to poll devices whose event subscriptions failed',
+            default: 2,
+            minimum: 1,
+            maximum: 60
+          },
+          groupRefreshInterval: {
+            type: 'number',
+            title: 'Group Refresh Interval (seconds)',
+            description: 'How often to re-read the Sonos groups while group events are unavailable',
+            default: 30,
+            minimum: 5,
+            maximum: 600
+          },
+          positionInterval: {
+            type: 'number',
+            title: 'Track Position Interval (seconds)',
+            description: 'How often to read the elapsed time of playing tracks, 0 to turn off',
+            default: 5,
+            minimum: 0,
+            maximum: 60
+          }
+        }
+      },
+      fusion: {
+        type: 'object',
+        title: 'Fusion Settings',
+        properties: {
+          transport: {
+            type: 'string',
+            title: 'Fusion Transport',
+            description: 'How to talk to Fusion stereos: NMEA2000 proprietary PGNs, the HTTP API, or both',
+            enum: ['nmea2000', 'http', 'both'],
+            default: 'both'
+          },
+          powerOnRetries: {
+            type: 'number',
+            title: 'Power On Retries',
+            description: 'How often to repeat power on for pairs with auto power on until the stereo reports it is on',
+            default: 5,
+            minimum: 0
+          },
+          powerOnRetryDelay: {
+            type: 'number',
+            title: 'Power On Retry Delay (ms)',
+            default: 2000
+          },
+          sourceCacheTime: {
+            type: 'number',
+            title: 'Source List Cache (seconds)',
+            description: 'How long the source list read from each stereo is kept before asking again',
+            default: 600,
+            minimum: 0
           }
         }
       },
@@ -101,6 +723,66 @@ module.exports = function(app) {
             default: 30,
             minimum: 10,
             maximum: 300
+          },
+          sonos: {
+            type: 'object',
+            title: 'Sonos Discovery',
+            properties: {
+              strategy: {
+                type: 'string',
+                title: 'Discovery Strategy',
+                description: 'auto tries static devices, then seed IPs, then SSDP multicast',
+                enum: ['auto', 'ssdp', 'seed', 'static'],
+                default: 'auto'
+              },
+              interfaces: {
+                type: 'array',
+                title: 'SSDP Interfaces',
+                description: 'Interface names or IPv4 addresses to send SSDP searches from (all external interfaces if empty)',
+                items: {
+                  type: 'string'
+                }
+              },
+              ssdpTimeout: {
+                type: 'number',
+                title: 'SSDP Timeout (seconds)',
+                default: 10,
+                minimum: 1,
+                maximum: 60
+              },
+              seedHosts: {
+                type: 'array',
+                title: 'Seed IPs',
+                description: 'Sonos devices to read the household topology from, as host or host:port',
+                items: {
+                  type: 'string'
+                }
+              },
+              staticDevices: {
+                type: 'array',
+                title: 'Static Devices',
+                description: 'Sonos devices to use as-is when multicast is blocked',
+                items: {
+                  type: 'object',
+                  properties: {
+                    host: {
+                      type: 'string',
+                      title: 'Host'
+                    },
+                    port: {
+                      type: 'number',
+                      title: 'Port',
+                      default: 1400
+                    },
+                    name: {
+                      type: 'string',
+                      title: 'Name'
+                    }
+                  },
+                  required: ['host']
+                }
+              }
+            }
           }
         }
       }
@@ -111,26 +793,118 @@ module.exports = function(app) {
     app.debug('Starting Sonos-Fusion plugin with options:', options);
 
     try {
-      deviceManager = new DeviceManager(app, options);
-      fusionController = new FusionController(app);
-      sonosController = new SonosController(app);
+      deviceResolver = new DeviceResolver(app);
+      deviceManager = new DeviceManager(app, options, deviceResolver, {
+        getPower: pair => fusionController.getPower(pair.fusionDevice),
+        getInput: getFusionInput,
+        getVolume: pair => sonosController.getVolume(pair.sonosDevice),
+        getZoneVolume: (pair, zone) => fusionController.getZoneVolume(pair.fusionDevice, zone),
+        getMedia: pair => sonosController.getMedia(pair.sonosDevice),
+        getPlaybackState: pair => sonosController.getPlaybackState(pair.sonosDevice),
+        isMuted: pair => muteManager.isMuted(pair.name),
+        setPower: (pair, on) => on ? fusionController.ensurePowerOn(pair.fusionDevice) : fusionController.powerOff(pair.fusionDevice),
+        setMuted: (pair, muted) => muteManager.setMuted(pair, muted, 'scene'),
+        switchInput: (pair, input) => fusionController.switchInput(pair.fusionDevice, input),
+        playFavorite: (pair, favorite) => sonosController.playFavorite(pair.sonosDevice, favorite),
+        setMedia: (pair, media) => sonosController.setMedia(pair.sonosDevice, media),
+        setVolume: (pair, volume) => sonosController.setVolume(pair.sonosDevice, volumeLimits.clamp(pair, volume).volume),
+        setZoneVolume: (pair, zone, volume) => fusionController.setVolume(pair.fusionDevice, volumeLimits.clampFusion(pair, volume).volume, zone),
+        setPlayback: (pair, state) => {
+          if (state === 'playing') return sonosController.play(pair.sonosDevice);
+          if (state === 'paused') return sonosController.pause(pair.sonosDevice);
+          return sonosController.stopPlayback(pair.sonosDevice);
+        }
+      });
+      configStore = new ConfigStore(app, options, pair => deviceManager.serializePair(pair));
+      putHandlers = new PutHandlers(app, plugin.id);
+      fusionController = new FusionController(app, options.fusion || {}, options.discovery || {}, deviceResolver);
+      sonosController = new SonosController(app, options.sonos || {}, options.discovery || {}, deviceResolver);
       nmea2000Handler = new NMEA2000Handler(app, options.nmea2000 || {});
+      volumeSync = new VolumeSyncEngine(app, options.sync || {}, deviceManager, {
+        setSonosVolume: (pair, volume) => sonosController.setVolume(pair.sonosDevice, volume),
+        setFusionVolume: (pair, zone, volume) => fusionController.setVolume(pair.fusionDevice, volume, zone),
+        // A ducked pair plays at the duck level, noise gain would mostly undo it
+        compensate: (pair, volume) => ducking.isDucked(pair.name) ? volume : compensation.apply(pair, volume, volumeLimits.getCap(pair).volume),
+        uncompensate: (pair, volume) => ducking.isDucked(pair.name) ? volume : compensation.remove(pair, volume, volumeLimits.getCap(pair).volume)
+      });
+      volumeLimits = new VolumeLimits(app, options.volumeLimits || {}, deviceManager);
+      compensation = new VolumeCompensation(app, deviceManager);
+      muteManager = new MuteManager(app, deviceManager, {
+        getSonosVolume: pair => sonosController.getVolume(pair.sonosDevice),
+        getFusionVolume: (pair, zone) => fusionController.getZoneVolume(pair.fusionDevice, zone),
+        setSonosMute: (pair, muted) => sonosController.setMute(pair.sonosDevice, muted),
+        setFusionMute: (pair, muted) => fusionController.setMute(pair.fusionDevice, muted),
+        setSonosVolume: (pair, volume) => sonosController.setVolume(pair.sonosDevice, volume),
+        setFusionVolume: (pair, zone, volume) => fusionController.setVolume(pair.fusionDevice, volume, zone)
+      });
+      ducking = new DuckingManager(app, options.ducking || {}, deviceManager, {
+        getSonosVolume: pair => sonosController.getVolume(pair.sonosDevice),
+        getFusionVolume: (pair, zone) => fusionController.getZoneVolume(pair.fusionDevice, zone),
+        setSonosVolume: (pair, volume) => sonosController.setVolume(pair.sonosDevice, volume),
+        setFusionVolume: (pair, zone, volume) => fusionController.setVolume(pair.fusionDevice, volume, zone),
+        isMuted: pair => muteManager.isMuted(pair.name),
+        setMuted: (pair, muted) => muteManager.setMuted(pair, muted, 'ducking'),
+        getPlaybackState: pair => sonosController.getPlaybackState(pair.sonosDevice),
+        pause: pair => sonosController.pause(pair.sonosDevice),
+        play: pair => sonosController.play(pair.sonosDevice)
+      });
+      autoStandby = new AutoStandby(app, deviceManager, {
+        getInput: getFusionInput,
+        switchInput: (pair, input) => fusionController.switchInput(pair.fusionDevice, input),
+        setMute: (pair, muted) => muteManager.setMuted(pair, muted, 'standby'),
+        setPower: (pair, on) => fusionController.setPower(pair.fusionDevice, on),
+        powerOn: pair => fusionController.ensurePowerOn(pair.fusionDevice)
+      });
+      inputRules = new InputRules(app, deviceManager, {
+        getInput: getFusionInput,
+        getSource: pair => sonosController.getSource(pair.sonosDevice),
+        getGroup: pair => {
+          // A Sonos on its own is its own coordinator
+          const group = describeGroup(sonosController.getGroup(pair.sonosDevice), pair);
+          return {
+            coordinator: group ? group.isCoordinator : true,
+            members: group ? group.members.filter(name => name !== pair.name) : []
+          };
+        }
+      });
 
       deviceManager.on('devicePairReady', handleDevicePairReady);
       deviceManager.on('devicePairRemoved', handleDevicePairRemoved);
+      deviceManager.on('devicePairUpdated', handleDevicePairUpdated);
+      deviceManager.on('pairsMigrated', handlePairsMigrated);
+      deviceManager.on('sceneApplied', handleSceneApplied);
+
+      volumeLimits.on('capLowered', handleVolumeCapLowered);
+      muteManager.on('muteChanged', handlePairMuteChanged);
+      ducking.on('duckingChanged', handleDuckingChanged);
+      compensation.on('gainChanged', handleCompensationChanged);
 
       sonosController.on('playbackStateChanged', handlePlaybackStateChanged);
       sonosController.on('volumeChanged', handleVolumeChanged);
       sonosController.on('trackChanged', handleTrackChanged);
+      sonosController.on('positionChanged', handlePositionChanged);
+      sonosController.on('muteChanged', handleSonosMuteChanged);
+      sonosController.on('groupChanged', handleSonosGroupChanged);
 
-      fusionController.on('volumeChanged', handleFusionVolumeChanged);
+      fusionController.on('zoneVolumeChanged', handleFusionZoneVolumeChanged);
+      fusionController.on('powerChanged', handleFusionPowerChanged);
+      fusionController.on('muteChanged', handleFusionMuteChanged);
 
       nmea2000Handler.on('volumeControl', handleNMEAVolumeControl);
+      nmea2000Handler.on('volumeSet', handleNMEAVolumeSet);
+      nmea2000Handler.on('playbackControl', handleNMEAPlaybackControl);
+      nmea2000Handler.on('sourceControl', handleNMEASourceControl);
+      nmea2000Handler.on('muteControl', handleNMEAMuteControl);
 
       deviceManager.start();
+      putHandlers.register('entertainment.audio.scene', handleScenePut);
       fusionController.start();
       await sonosController.start();
       nmea2000Handler.start();
+      volumeLimits.start();
+      subscribeDucking();
+      subscribeCompensation();
+      compensation.start();
 
       app.setPluginStatus('Started successfully');
     } catch (error) {
@@ -144,6 +918,11 @@ module.exports = function(app) {
 
     unsubscribes.forEach(fn => fn());
     unsubscribes = [];
+    duckingUnsubscribes.forEach(fn => fn());
+    duckingUnsubscribes = [];
+    compensationUnsubscribes.forEach(fn => fn());
+    compensationUnsubscribes = [];
+    compensationPaths = null;
 
     if (deviceManager) {
       deviceManager.stop();
@@ -165,6 +944,54 @@ module.exports = function(app) {
       nmea2000Handler = null;
     }
 
+    if (volumeSync) {
+      volumeSync.stop();
+      volumeSync = null;
+    }
+
+    if (autoStandby) {
+      autoStandby.stop();
+      autoStandby = null;
+    }
+
+    inputRules = null;
+
+    if (ducking) {
+      ducking.stop();
+      ducking.removeAllListeners();
+      ducking = null;
+    }
+
+    if (compensation) {
+      compensation.stop();
+      compensation.removeAllListeners();
+      compensation = null;
+    }
+
+    if (muteManager) {
+      muteManager.stop();
+      muteManager.removeAllListeners();
+      muteManager = null;
+    }
+
+    if (volumeLimits) {
+      volumeLimits.stop();
+      volumeLimits.removeAllListeners();
+      volumeLimits = null;
+    }
+
+    if (deviceResolver) {
+      deviceResolver.removeAllListeners();
+      deviceResolver = null;
+    }
+
+    configStore = null;
+
+    if (putHandlers) {
+      putHandlers.clear();
+      putHandlers = null;
+    }
+
     app.setPluginStatus('Stopped');
   };
 
@@ -207,6 +1034,23 @@ module.exports = function(app) {
       }
     });
 
+    router.get('/devices/fusion/:id/sources', async (req, res) => {
+      try {
+        if (!fusionController) {
+          return res.status(503).json({ error: 'Plugin not started' });
+        }
+
+        const catalog = await fusionController.getSources(req.params.id, req.query.refresh === 'true');
+        if (!catalog) {
+          return res.status(404).json({ error: 'Fusion device not found' });
+        }
+
+        res.json({ device: fusionController.resolveDeviceId(req.params.id), ...catalog });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
     // Device pairs management
     router.get('/pairs', (req, res) => {
       try {
@@ -217,7 +1061,7 @@ module.exports = function(app) {
       }
     });
 
-    router.post('/pairs', (req, res) => {
+    router.post('/pairs', async (req, res) => {
       try {
         if (!deviceManager) {
           return res.status(503).json({ error: 'Plugin not started' });
@@ -230,10 +1074,16 @@ module.exports = function(app) {
           return res.status(400).json({ error: 'Invalid pair configuration' });
         }
 
+        const inputError = await validatePairInputs(pairConfig);
+        if (inputError) {
+          return res.status(400).json({ error: inputError });
+        }
+
         // Check for conflicts
         const validation = deviceManager.validateDeviceAssociation(
           pairConfig.sonosDevice,
-          pairConfig.fusionDevice
+          pairConfig.fusionDevice,
+          pairConfig.zones
         );
 
         if (!validation.valid) {
@@ -244,14 +1094,15 @@ module.exports = function(app) {
         }
 
         deviceManager.addDevicePair(pairConfig);
-        res.status(201).json({ message: 'Device pair created successfully' });
+        const persisted = await persistPairs();
+        res.status(201).json({ message: 'Device pair created successfully', persisted });
 
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
-    router.patch('/pairs/:pairName', (req, res) => {
+    router.patch('/pairs/:pairName', async (req, res) => {
       try {
         if (!deviceManager) {
           return res.status(503).json({ error: 'Plugin not started' });
@@ -265,15 +1116,40 @@ module.exports = function(app) {
           return res.status(404).json({ error: 'Device pair not found' });
         }
 
+        const updated = { ...deviceManager.serializePair(pair), ...updates };
+        if (!deviceManager.validatePairConfig(updated)) {
+          return res.status(400).json({ error: 'Invalid pair configuration' });
+        }
+
+        const inputError = await validatePairInputs(updated);
+        if (inputError) {
+          return res.status(400).json({ error: inputError });
+        }
+
+        const validation = deviceManager.validateDeviceAssociation(
+          updated.sonosDevice,
+          updated.fusionDevice,
+          updated.zones,
+          pairName
+        );
+
+        if (!validation.valid) {
+          return res.status(409).json({
+            error: 'Device association conflict',
+            conflicts: validation.conflicts
+          });
+        }
+
         deviceManager.updateDevicePair(pairName, updates);
-        res.json({ message: 'Device pair updated successfully' });
+        const persisted = await persistPairs();
+        res.json({ message: 'Device pair updated successfully', persisted });
 
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
-    router.delete('/pairs/:pairName', (req, res) => {
+    router.delete('/pairs/:pairName', async (req, res) => {
       try {
         if (!deviceManager) {
           return res.status(503).json({ error: 'Plugin not started' });
@@ -287,8 +1163,26 @@ module.exports = function(app) {
         }
 
         deviceManager.removeDevicePair(pairName);
-        res.json({ message: 'Device pair deleted successfully' });
+        const persisted = await persistPairs();
+        res.json({ message: 'Device pair deleted successfully', persisted });
+
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    router.get('/pairs/:pairName/activity', (req, res) => {
+      try {
+        if (!deviceManager) {
+          return res.status(503).json({ error: 'Plugin not started' });
+        }
+
+        const { pairName } = req.params;
+        if (!deviceManager.getPairByName(pairName)) {
+          return res.status(404).json({ error: 'Device pair not found' });
+        }
 
+        res.json(deviceManager.getPairActivity(pairName, req.query.type));
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
@@ -338,235 +1232,1633 @@ module.exports = function(app) {
       }
     });
 
-    // System information endpoints
-    router.get('/overview', (req, res) => {
+    router.post('/pairs/:pairName/mute', async (req, res) => {
       try {
-        const overview = {
-          stats: deviceManager ? deviceManager.getDeviceStatistics() : {
-            totalPairs: 0,
-            enabledPairs: 0,
-            activePairs: 0,
-            recentActivity: []
-          },
-          sonosDevices: sonosController ? sonosController.getAvailableDevices().length : 0,
-          fusionDevices: fusionController ? fusionController.getAvailableDevices().length : 0
-        };
-        res.json(overview);
+        if (!deviceManager || !muteManager) {
+          return res.status(503).json({ error: 'Plugin not started' });
+        }
+
+        const pair = deviceManager.getPairByName(req.params.pairName);
+        if (!pair) {
+          return res.status(404).json({ error: 'Device pair not found' });
+        }
+
+        // Without a body the mute state is toggled, like a mute button
+        const { muted } = req.body || {};
+        if (muted !== undefined && typeof muted !== 'boolean') {
+          return res.status(400).json({ error: 'muted must be true or false' });
+        }
+
+        const success = muted === undefined
+          ? await muteManager.toggle(pair, 'REST')
+          : await muteManager.setMuted(pair, muted, 'REST');
+
+        if (!success) {
+          return res.status(502).json({ error: 'Neither device accepted the mute change' });
+        }
+
+        res.json({ muted: muteManager.isMuted(pair.name) });
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
-    router.get('/diagnostics', (req, res) => {
+    // Reports what the input rules would do if the pair's Sonos started playing now
+    router.post('/pairs/:pairName/rules/test', async (req, res) => {
       try {
-        const diagnostics = {
-          plugin: {
-            status: deviceManager !== null ? 'running' : 'stopped',
-            version: '1.0.0',
-            uptime: process.uptime(),
-            nodeVersion: process.version,
-            platform: process.platform
-          },
-          deviceManager: deviceManager ? deviceManager.getDiagnostics() : null,
-          controllers: {
-            sonos: {
-              started: sonosController !== null,
-              deviceCount: sonosController ? sonosController.getAvailableDevices().length : 0,
-              devices: sonosController ? sonosController.getAvailableDevices() : []
-            },
-            fusion: {
-              started: fusionController !== null,
-              deviceCount: fusionController ? fusionController.getAvailableDevices().length : 0,
-              devices: fusionController ? fusionController.getAvailableDevices() : []
-            },
-            nmea2000: {
-              enabled: nmea2000Handler !== null
-            }
-          },
-          network: getNetworkDiagnostics()
-        };
-        res.json(diagnostics);
+        if (!deviceManager || !inputRules) {
+          return res.status(503).json({ error: 'Plugin not started' });
+        }
+
+        const pair = deviceManager.getPairByName(req.params.pairName);
+        if (!pair) {
+          return res.status(404).json({ error: 'Device pair not found' });
+        }
+
+        // Rules not saved yet can be tried out, and any fact the devices report can be overridden
+        const { rules, context } = req.body || {};
+        const error = InputRules.validate(rules);
+        if (error) {
+          return res.status(400).json({ error });
+        }
+
+        if (context !== undefined && (typeof context !== 'object' || Array.isArray(context))) {
+          return res.status(400).json({ error: 'context must be an object' });
+        }
+
+        const decision = await inputRules.evaluate(pair, context || {}, rules || pair.inputRules || []);
+
+        let outcome;
+        if (decision.action === 'skip') {
+          outcome = `Leave the stereo on ${decision.context.fusionInput || 'its current input'}`;
+        } else if (decision.context.fusionInput === decision.input) {
+          outcome = `Keep the stereo on ${decision.input}`;
+        } else {
+          outcome = `Switch the stereo to ${decision.input}`;
+        }
+
+        res.json({ ...decision, outcome });
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
-    // Additional diagnostic endpoints
-    router.get('/diagnostics/sonos', (req, res) => {
+    router.get('/pairs/:pairName/albumart', async (req, res) => {
       try {
-        if (!sonosController) {
-          return res.status(503).json({ error: 'Sonos controller not started' });
+        if (!sonosController || !deviceManager) {
+          return res.status(503).json({ error: 'Plugin not started' });
         }
 
-        sonosController.logDiscoveryDiagnostics();
-        res.json({
-          message: 'Sonos diagnostics logged to console',
-          devices: sonosController.getAvailableDevices()
-        });
+        const pair = deviceManager.getPairByName(req.params.pairName);
+        if (!pair) {
+          return res.status(404).json({ error: 'Device pair not found' });
+        }
+
+        const art = await sonosController.getAlbumArt(pair.sonosDevice);
+        if (!art) {
+          return res.status(404).json({ error: 'No album art for the current track' });
+        }
+
+        // The URL changes with the art, so browsers may keep it
+        res.set('Cache-Control', 'public, max-age=86400');
+        res.type(art.contentType);
+        res.send(art.data);
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
-    router.get('/diagnostics/fusion', (req, res) => {
+    // Sonos favorites, playlists and queue
+    [['favorites', 'getFavorites'], ['playlists', 'getPlaylists'], ['queue', 'getQueue']].forEach(([name, method]) => {
+      router.get(`/pairs/:pairName/${name}`, async (req, res) => {
+        try {
+          if (!sonosController || !deviceManager) {
+            return res.status(503).json({ error: 'Plugin not started' });
+          }
+
+          const pair = deviceManager.getPairByName(req.params.pairName);
+          if (!pair) {
+            return res.status(404).json({ error: 'Device pair not found' });
+          }
+
+          const items = await sonosController[method](pair.sonosDevice);
+          if (!items) {
+            return res.status(502).json({ error: `Could not read the Sonos ${name}` });
+          }
+
+          // The raw DIDL metadata is only needed to play an item, which goes by id
+          res.json(items.map(({ metadata, ...item }) => item));
+        } catch (error) {
+          res.status(500).json({ error: error.message });
+        }
+      });
+    });
+
+    router.post('/pairs/:pairName/play', async (req, res) => {
       try {
-        if (!fusionController) {
-          return res.status(503).json({ error: 'Fusion controller not started' });
+        if (!sonosController || !deviceManager) {
+          return res.status(503).json({ error: 'Plugin not started' });
         }
 
-        fusionController.logDiscoveryDiagnostics();
-        res.json({
-          message: 'Fusion diagnostics logged to console',
-          devices: fusionController.getAvailableDevices()
-        });
+        const pair = deviceManager.getPairByName(req.params.pairName);
+        if (!pair) {
+          return res.status(404).json({ error: 'Device pair not found' });
+        }
+
+        // Favorites and playlists go by id or title, queue tracks by position
+        const { favorite, playlist, queuePosition } = req.body || {};
+        let success;
+
+        if (favorite !== undefined) {
+          success = await sonosController.playFavorite(pair.sonosDevice, favorite);
+        } else if (playlist !== undefined) {
+          success = await sonosController.playPlaylist(pair.sonosDevice, playlist);
+        } else if (queuePosition !== undefined) {
+          if (!Number.isInteger(queuePosition) || queuePosition < 1) {
+            return res.status(400).json({ error: 'queuePosition must be a track number starting at 1' });
+          }
+          success = await sonosController.playQueuePosition(pair.sonosDevice, queuePosition);
+        } else {
+          return res.status(400).json({ error: 'One of favorite, playlist or queuePosition is required' });
+        }
+
+        if (!success) {
+          return res.status(502).json({ error: 'The Sonos did not start playing, check the name or id' });
+        }
+
+        res.json({ success: true });
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
-    router.post('/diagnostics/rediscover', async (req, res) => {
+    router.post('/pairs/:pairName/queue', async (req, res) => {
       try {
-        app.debug('Manual rediscovery requested');
-
+        if (!sonosController || !deviceManager) {
+          return res.status(503).json({ error: 'Plugin not started' });
+        }
+
+        const pair = deviceManager.getPairByName(req.params.pairName);
+        if (!pair) {
+          return res.status(404).json({ error: 'Device pair not found' });
+        }
+
+        const { favorite, playlist, next } = req.body || {};
+        if ((favorite === undefined) === (playlist === undefined)) {
+          return res.status(400).json({ error: 'Either favorite or playlist is required' });
+        }
+
+        const success = favorite !== undefined
+          ? await sonosController.addToQueue(pair.sonosDevice, 'favorite', favorite, next === true)
+          : await sonosController.addToQueue(pair.sonosDevice, 'playlist', playlist, next === true);
+
+        if (!success) {
+          return res.status(502).json({ error: 'The Sonos did not queue it, check the name or id' });
+        }
+
+        res.json({ success: true });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    router.delete('/pairs/:pairName/queue', async (req, res) => {
+      try {
+        if (!sonosController || !deviceManager) {
+          return res.status(503).json({ error: 'Plugin not started' });
+        }
+
+        const pair = deviceManager.getPairByName(req.params.pairName);
+        if (!pair) {
+          return res.status(404).json({ error: 'Device pair not found' });
+        }
+
+        if (!await sonosController.clearQueue(pair.sonosDevice)) {
+          return res.status(502).json({ error: 'The Sonos did not clear its queue' });
+        }
+
+        res.json({ success: true });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    router.get('/pairs/:pairName/playmode', async (req, res) => {
+      try {
+        if (!sonosController || !deviceManager) {
+          return res.status(503).json({ error: 'Plugin not started' });
+        }
+
+        const pair = deviceManager.getPairByName(req.params.pairName);
+        if (!pair) {
+          return res.status(404).json({ error: 'Device pair not found' });
+        }
+
+        const playMode = await sonosController.getPlayMode(pair.sonosDevice);
+        if (!playMode) {
+          return res.status(502).json({ error: 'Could not read the Sonos play mode' });
+        }
+
+        res.json(playMode);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    router.patch('/pairs/:pairName/playmode', async (req, res) => {
+      try {
+        if (!sonosController || !deviceManager) {
+          return res.status(503).json({ error: 'Plugin not started' });
+        }
+
+        const pair = deviceManager.getPairByName(req.params.pairName);
+        if (!pair) {
+          return res.status(404).json({ error: 'Device pair not found' });
+        }
+
+        const { shuffle, repeat } = req.body || {};
+        if (shuffle !== undefined && typeof shuffle !== 'boolean') {
+          return res.status(400).json({ error: 'shuffle must be true or false' });
+        }
+
+        if (repeat !== undefined && !REPEAT_MODES.includes(repeat)) {
+          return res.status(400).json({ error: `repeat must be one of ${REPEAT_MODES.join(', ')}` });
+        }
+
+        if (!await sonosController.setPlayMode(pair.sonosDevice, { shuffle, repeat })) {
+          return res.status(502).json({ error: 'The Sonos did not accept the play mode' });
+        }
+
+        res.json(await sonosController.getPlayMode(pair.sonosDevice));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Sonos groups
+    router.get('/groups', (req, res) => {
+      try {
+        if (!sonosController || !deviceManager) {
+          return res.status(503).json({ error: 'Plugin not started' });
+        }
+
+        res.json(sonosController.getGroups().map(group => describeGroup(group)));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    router.post('/groups', async (req, res) => {
+      try {
+        if (!sonosController || !deviceManager) {
+          return res.status(503).json({ error: 'Plugin not started' });
+        }
+
+        // The first pair becomes the coordinator the others follow
+        const { pairs: pairNames } = req.body || {};
+        if (!Array.isArray(pairNames) || pairNames.length < 2) {
+          return res.status(400).json({ error: 'pairs must list at least two pairs' });
+        }
+
+        const pairs = pairNames.map(name => deviceManager.getPairByName(name));
+        const unknown = pairNames.filter((name, index) => !pairs[index]);
+        if (unknown.length > 0) {
+          return res.status(404).json({ error: `Unknown pairs: ${unknown.join(', ')}` });
+        }
+
+        const success = await sonosController.createGroup(pairs.map(pair => pair.sonosDevice));
+        const group = sonosController.getGroup(pairs[0].sonosDevice);
+
+        if (!success) {
+          return res.status(502).json({ error: 'Not every Sonos joined the group', group: describeGroup(group, pairs[0]) });
+        }
+
+        res.json(describeGroup(group, pairs[0]));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    router.delete('/groups/:pairName', async (req, res) => {
+      try {
+        if (!sonosController || !deviceManager) {
+          return res.status(503).json({ error: 'Plugin not started' });
+        }
+
+        const pair = deviceManager.getPairByName(req.params.pairName);
+        if (!pair) {
+          return res.status(404).json({ error: 'Device pair not found' });
+        }
+
+        if (!await sonosController.ungroup(pair.sonosDevice)) {
+          return res.status(502).json({ error: 'Not every Sonos left the group' });
+        }
+
+        res.json({ success: true });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    router.get('/pairs/:pairName/group', (req, res) => {
+      try {
+        if (!sonosController || !deviceManager) {
+          return res.status(503).json({ error: 'Plugin not started' });
+        }
+
+        const pair = deviceManager.getPairByName(req.params.pairName);
+        if (!pair) {
+          return res.status(404).json({ error: 'Device pair not found' });
+        }
+
+        res.json(describeGroup(sonosController.getGroup(pair.sonosDevice), pair));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    router.post('/pairs/:pairName/group', async (req, res) => {
+      try {
+        if (!sonosController || !deviceManager) {
+          return res.status(503).json({ error: 'Plugin not started' });
+        }
+
+        const pair = deviceManager.getPairByName(req.params.pairName);
+        if (!pair) {
+          return res.status(404).json({ error: 'Device pair not found' });
+        }
+
+        // Either another pair or any Sonos device id on the network
+        const { pair: targetName, device } = req.body || {};
+        const target = targetName !== undefined ? deviceManager.getPairByName(targetName) : null;
+        if (targetName !== undefined && !target) {
+          return res.status(404).json({ error: `Unknown pair: ${targetName}` });
+        }
+
+        if (!target && !device) {
+          return res.status(400).json({ error: 'Either pair or device is required' });
+        }
+
+        if (target && target.name === pair.name) {
+          return res.status(400).json({ error: 'A pair cannot join its own group' });
+        }
+
+        if (!await sonosController.joinGroup(pair.sonosDevice, target ? target.sonosDevice : device)) {
+          return res.status(502).json({ error: 'The Sonos did not join the group' });
+        }
+
+        res.json(describeGroup(sonosController.getGroup(pair.sonosDevice), pair));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    router.delete('/pairs/:pairName/group', async (req, res) => {
+      try {
+        if (!sonosController || !deviceManager) {
+          return res.status(503).json({ error: 'Plugin not started' });
+        }
+
+        const pair = deviceManager.getPairByName(req.params.pairName);
+        if (!pair) {
+          return res.status(404).json({ error: 'Device pair not found' });
+        }
+
+        if (!await sonosController.leaveGroup(pair.sonosDevice)) {
+          return res.status(502).json({ error: 'The Sonos did not leave the group' });
+        }
+
+        res.json({ success: true });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Ducking triggers
+    router.get('/triggers', (req, res) => {
+      try {
+        if (!ducking) {
+          return res.status(503).json({ error: 'Plugin not started' });
+        }
+
+        const active = ducking.getActiveReasons('trigger ');
+        res.json(ducking.getTriggers().map(trigger => ({
+          ...trigger,
+          activePairs: Object.keys(active).filter(pairName =>
+            active[pairName].some(reason => reason.startsWith(`${trigger.name}:`)))
+        })));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    router.post('/triggers', async (req, res) => {
+      try {
+        if (!ducking) {
+          return res.status(503).json({ error: 'Plugin not started' });
+        }
+
+        const trigger = req.body || {};
+        const error = DuckingManager.validateTrigger(trigger);
+        if (error) {
+          return res.status(400).json({ error });
+        }
+
+        if (ducking.getTrigger(trigger.name)) {
+          return res.status(409).json({ error: `Trigger ${trigger.name} already exists` });
+        }
+
+        const created = ducking.setTrigger(trigger);
+        subscribeDucking();
+        const persisted = await persistTriggers();
+        res.status(201).json({ message: 'Trigger created successfully', trigger: created, persisted });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    router.get('/triggers/:triggerName', (req, res) => {
+      try {
+        if (!ducking) {
+          return res.status(503).json({ error: 'Plugin not started' });
+        }
+
+        const trigger = ducking.getTrigger(req.params.triggerName);
+        if (!trigger) {
+          return res.status(404).json({ error: 'Trigger not found' });
+        }
+
+        res.json(trigger);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    router.patch('/triggers/:triggerName', async (req, res) => {
+      try {
+        if (!ducking) {
+          return res.status(503).json({ error: 'Plugin not started' });
+        }
+
+        const { triggerName } = req.params;
+        const trigger = ducking.getTrigger(triggerName);
+        if (!trigger) {
+          return res.status(404).json({ error: 'Trigger not found' });
+        }
+
+        // Renaming goes through delete and create, so the name in the URL stays the key
+        const updated = { ...trigger, ...req.body, name: triggerName };
+        if (updated.action !== 'duck' && req.body.duckBy === undefined) {
+          delete updated.duckBy;
+        }
+
+        const error = DuckingManager.validateTrigger(updated);
+        if (error) {
+          return res.status(400).json({ error });
+        }
+
+        const saved = ducking.setTrigger(updated);
+        subscribeDucking();
+        const persisted = await persistTriggers();
+        res.json({ message: 'Trigger updated successfully', trigger: saved, persisted });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    router.delete('/triggers/:triggerName', async (req, res) => {
+      try {
+        if (!ducking) {
+          return res.status(503).json({ error: 'Plugin not started' });
+        }
+
+        if (!ducking.removeTrigger(req.params.triggerName)) {
+          return res.status(404).json({ error: 'Trigger not found' });
+        }
+
+        subscribeDucking();
+        const persisted = await persistTriggers();
+        res.json({ message: 'Trigger deleted successfully', persisted });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Scenes
+    router.get('/scenes', (req, res) => {
+      try {
+        if (!deviceManager) {
+          return res.status(503).json({ error: 'Plugin not started' });
+        }
+
+        res.json({ active: deviceManager.activeScene, scenes: deviceManager.getScenes() });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    router.post('/scenes', async (req, res) => {
+      try {
+        if (!deviceManager) {
+          return res.status(503).json({ error: 'Plugin not started' });
+        }
+
+        const scene = req.body || {};
+        const error = deviceManager.validateScene(scene);
+        if (error) {
+          return res.status(400).json({ error });
+        }
+
+        if (deviceManager.getScene(scene.name)) {
+          return res.status(409).json({ error: `Scene ${scene.name} already exists` });
+        }
+
+        const pairsError = validateScenePairs(scene);
+        if (pairsError) {
+          return res.status(400).json({ error: pairsError });
+        }
+
+        const saved = deviceManager.saveScene(scene);
+        const persisted = await persistScenes();
+        res.status(201).json({ message: 'Scene created successfully', scene: saved, persisted });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    router.get('/scenes/:sceneName', (req, res) => {
+      try {
+        if (!deviceManager) {
+          return res.status(503).json({ error: 'Plugin not started' });
+        }
+
+        const scene = deviceManager.getScene(req.params.sceneName);
+        if (!scene) {
+          return res.status(404).json({ error: 'Scene not found' });
+        }
+
+        res.json(scene);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    router.patch('/scenes/:sceneName', async (req, res) => {
+      try {
+        if (!deviceManager) {
+          return res.status(503).json({ error: 'Plugin not started' });
+        }
+
+        const { sceneName } = req.params;
+        const scene = deviceManager.getScene(sceneName);
+        if (!scene) {
+          return res.status(404).json({ error: 'Scene not found' });
+        }
+
+        const updated = { ...scene, ...req.body, name: sceneName };
+        const error = deviceManager.validateScene(updated) || validateScenePairs(updated);
+        if (error) {
+          return res.status(400).json({ error });
+        }
+
+        const saved = deviceManager.saveScene(updated);
+        const persisted = await persistScenes();
+        res.json({ message: 'Scene updated successfully', scene: saved, persisted });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    router.delete('/scenes/:sceneName', async (req, res) => {
+      try {
+        if (!deviceManager) {
+          return res.status(503).json({ error: 'Plugin not started' });
+        }
+
+        if (!deviceManager.removeScene(req.params.sceneName)) {
+          return res.status(404).json({ error: 'Scene not found' });
+        }
+
+        const persisted = await persistScenes();
+        res.json({ message: 'Scene deleted successfully', persisted });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Saves the current state of the given pairs, or of every pair, under the scene name
+    router.post('/scenes/:sceneName/capture', async (req, res) => {
+      try {
+        if (!deviceManager || !sonosController || !fusionController) {
+          return res.status(503).json({ error: 'Plugin not started' });
+        }
+
+        const { pairs } = req.body || {};
+        if (pairs !== undefined && !Array.isArray(pairs)) {
+          return res.status(400).json({ error: 'pairs must be a list of pair names' });
+        }
+
+        let scene;
+        try {
+          scene = await deviceManager.captureScene(req.params.sceneName, pairs);
+        } catch (error) {
+          return res.status(400).json({ error: error.message });
+        }
+
+        const persisted = await persistScenes();
+        res.json({ message: 'Scene captured successfully', scene, persisted });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    router.post('/scenes/:sceneName/apply', async (req, res) => {
+      try {
+        if (!deviceManager || !sonosController || !fusionController) {
+          return res.status(503).json({ error: 'Plugin not started' });
+        }
+
+        const { sceneName } = req.params;
+        if (!deviceManager.getScene(sceneName)) {
+          return res.status(404).json({ error: 'Scene not found' });
+        }
+
+        let result;
+        try {
+          result = await applyScene(sceneName, 'REST');
+        } catch (error) {
+          return res.status(409).json({ error: error.message });
+        }
+
+        if (!result.applied) {
+          return res.status(502).json({ error: 'Scene was rolled back', failures: result.failures });
+        }
+
+        res.json({ scene: sceneName, applied: true });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // System information endpoints
+    router.get('/overview', (req, res) => {
+      try {
+        const overview = {
+          stats: deviceManager ? deviceManager.getDeviceStatistics() : {
+            totalPairs: 0,
+            enabledPairs: 0,
+            activePairs: 0,
+            recentActivity: []
+          },
+          sonosDevices: sonosController ? sonosController.getAvailableDevices().length : 0,
+          fusionDevices: fusionController ? fusionController.getAvailableDevices().length : 0
+        };
+        res.json(overview);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    router.get('/diagnostics', (req, res) => {
+      try {
+        const diagnostics = {
+          plugin: {
+            status: deviceManager !== null ? 'running' : 'stopped',
+            version: '1.0.0',
+            uptime: process.uptime(),
+            nodeVersion: process.version,
+            platform: process.platform
+          },
+          deviceManager: deviceManager ? deviceManager.getDiagnostics() : null,
+          controllers: {
+            sonos: {
+              started: sonosController !== null,
+              deviceCount: sonosController ? sonosController.getAvailableDevices().length : 0,
+              devices: sonosController ? sonosController.getAvailableDevices() : [],
+              subscriptions: sonosController ? sonosController.getSubscriptionDiagnostics() : null,
+              discovery: sonosController ? sonosController.getDiscoveryDiagnostics() : null,
+              groups: sonosController ? sonosController.getGroups() : []
+            },
+            fusion: {
+              started: fusionController !== null,
+              deviceCount: fusionController ? fusionController.getAvailableDevices().length : 0,
+              devices: fusionController ? fusionController.getAvailableDevices() : []
+            },
+            nmea2000: nmea2000Handler ? nmea2000Handler.getDiagnostics() : { enabled: false }
+          },
+          volumeSync: volumeSync ? volumeSync.getDiagnostics() : null,
+          volumeLimits: volumeLimits ? volumeLimits.getDiagnostics() : null,
+          standby: autoStandby ? autoStandby.getDiagnostics() : null,
+          mute: muteManager ? muteManager.getDiagnostics() : null,
+          ducking: ducking ? ducking.getDiagnostics() : null,
+          compensation: compensation ? compensation.getDiagnostics() : null,
+          identities: deviceResolver ? deviceResolver.getDiagnostics() : null,
+          network: getNetworkDiagnostics()
+        };
+        res.json(diagnostics);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Additional diagnostic endpoints
+    router.get('/diagnostics/sonos', (req, res) => {
+      try {
+        if (!sonosController) {
+          return res.status(503).json({ error: 'Sonos controller not started' });
+        }
+
+        sonosController.logDiscoveryDiagnostics();
+        res.json({
+          message: 'Sonos diagnostics logged to console',
+          devices: sonosController.getAvailableDevices(),
+          discovery: sonosController.getDiscoveryDiagnostics()
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    router.get('/diagnostics/fusion', (req, res) => {
+      try {
+        if (!fusionController) {
+          return res.status(503).json({ error: 'Fusion controller not started' });
+        }
+
+        fusionController.logDiscoveryDiagnostics();
+        res.json({
+          message: 'Fusion diagnostics logged to console',
+          devices: fusionController.getAvailableDevices()
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    router.post('/diagnostics/rediscover', async (req, res) => {
+      try {
+        app.debug('Manual rediscovery requested');
+
         const results = {
           sonos: { success: false, error: null, devices: [] },
           fusion: { success: false, error: null, devices: [] }
         };
 
-        // Restart Sonos discovery
-        if (sonosController) {
-          try {
-            app.debug('Restarting Sonos discovery...');
-            sonosController.stop();
-            await sonosController.start();
-            results.sonos.success = true;
-            results.sonos.devices = sonosController.getAvailableDevices();
-          } catch (error) {
-            results.sonos.error = error.message;
-          }
-        }
+        // Restart Sonos discovery
+        if (sonosController) {
+          try {
+            app.debug('Restarting Sonos discovery...');
+            sonosController.stop();
+            await sonosController.start();
+            results.sonos.success = true;
+            results.sonos.devices = sonosController.getAvailableDevices();
+          } catch (error) {
+            results.sonos.error = error.message;
+          }
+        }
+
+        // Restart Fusion discovery
+        if (fusionController) {
+          try {
+            app.debug('Restarting Fusion discovery...');
+            fusionController.stop();
+            fusionController.start();
+            results.fusion.success = true;
+            results.fusion.devices = fusionController.getAvailableDevices();
+          } catch (error) {
+            results.fusion.error = error.message;
+          }
+        }
+
+        res.json({
+          message: 'Rediscovery initiated',
+          results
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Configuration export/import
+    router.get('/export', (req, res) => {
+      try {
+        if (!deviceManager) {
+          return res.status(503).json({ error: 'Plugin not started' });
+        }
+
+        const config = deviceManager.exportConfiguration();
+        res.json(config);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    router.post('/import', async (req, res) => {
+      try {
+        if (!deviceManager) {
+          return res.status(503).json({ error: 'Plugin not started' });
+        }
+
+        const config = req.body;
+        deviceManager.importConfiguration(config);
+        const persisted = await persistPairs() && (!Array.isArray(config.scenes) || await persistScenes());
+        res.json({ message: 'Configuration imported successfully', persisted });
+
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+  };
+
+  function handleDevicePairReady(pair) {
+    app.debug(`Device pair ready: ${pair.name}`);
+
+    sonosController.addDevice(pair.sonosDevice);
+    fusionController.addDevice(pair.fusionDevice);
+
+    if (putHandlers) {
+      putHandlers.registerPair(pair.name, createPutActions(pair.name));
+    }
+
+    if (compensation) {
+      subscribeCompensation();
+    }
+
+    const status = {
+      timestamp: Date.now(),
+      source: plugin.id,
+      values: {
+        [`entertainment.audio.${pair.name}.status`]: {
+          value: 'ready',
+          timestamp: new Date().toISOString()
+        }
+      }
+    };
+
+    app.handleMessage(plugin.id, status);
+  }
+
+  function handleDevicePairRemoved(pair) {
+    app.debug(`Device pair removed: ${pair.name}`);
+
+    // Other pairs may still drive other zones of the same stereo
+    if (!deviceManager.getPairBySonosDevice(pair.sonosDevice)) {
+      sonosController.removeDevice(pair.sonosDevice);
+    }
+
+    if (!deviceManager.getPairByFusionDevice(pair.fusionDevice)) {
+      fusionController.removeDevice(pair.fusionDevice);
+    }
+
+    if (putHandlers) {
+      putHandlers.unregisterPair(pair.name);
+    }
+
+    if (volumeLimits) {
+      volumeLimits.forget(pair.name);
+    }
+
+    if (autoStandby) {
+      autoStandby.forget(pair.name);
+    }
+
+    if (muteManager) {
+      muteManager.forget(pair.name);
+    }
+
+    if (ducking) {
+      ducking.forget(pair.name);
+    }
+
+    if (compensation) {
+      compensation.forget(pair.name);
+      subscribeCompensation();
+    }
+  }
+
+  function handleDevicePairUpdated(pair) {
+    if (compensation) {
+      subscribeCompensation();
+    }
+
+    if (!putHandlers || !pair.enabled) return;
+
+    // Zones may have changed, so the per-zone paths are registered afresh
+    putHandlers.unregisterPair(pair.name);
+    putHandlers.registerPair(pair.name, createPutActions(pair.name));
+  }
+
+  function createPutActions(pairName) {
+    const getPair = () => {
+      const pair = deviceManager && deviceManager.getPairByName(pairName);
+      if (!pair || !pair.enabled) {
+        throw putError(404, `Device pair ${pairName} is not active`);
+      }
+      return pair;
+    };
+
+    const getZone = (zoneNumber) => {
+      const pair = getPair();
+      const zone = deviceManager.getZone(pair, zoneNumber);
+      if (!zone) {
+        throw putError(404, `Zone ${zoneNumber} is not part of device pair ${pairName}`);
+      }
+      return { pair, zone };
+    };
+
+    const currentPair = deviceManager && deviceManager.getPairByName(pairName);
+    const zoneActions = {};
+
+    (currentPair ? currentPair.zones : []).forEach(({ zone: zoneNumber }) => {
+      zoneActions[`zones.${zoneNumber}.volume`] = async (value) => {
+        const { pair, zone } = getZone(zoneNumber);
+        if (typeof value !== 'number' || value < 0 || value > 1) {
+          throw putError(400, 'Volume must be a number between 0 and 1');
+        }
+
+        if (!zone.enabled) {
+          throw putError(409, `Zone ${zoneNumber} of device pair ${pairName} is disabled`);
+        }
+
+        const limit = volumeLimits.clampFusion(pair, Math.round(value * 40));
+        if (!await fusionController.setVolume(pair.fusionDevice, limit.volume, zoneNumber)) {
+          throw putError(502, `Fusion did not accept the zone ${zoneNumber} volume change`);
+        }
+
+        if (limit.clamped) {
+          reportVolumeClamp(pair, limit, `PUT zone ${zoneNumber}`);
+          return putResult(limit.volume / 40, `clamped to ${limit.volume / 40} by ${limit.reason}`);
+        }
+
+        return value;
+      };
+
+      zoneActions[`zones.${zoneNumber}.enabled`] = async (value) => {
+        getZone(zoneNumber);
+        if (typeof value !== 'boolean') {
+          throw putError(400, 'Enabled must be true or false');
+        }
+
+        deviceManager.setZoneEnabled(pairName, zoneNumber, value);
+        await persistPairs();
+        return value;
+      };
+    });
+
+    return {
+      ...zoneActions,
+
+      volume: async (value) => {
+        const pair = getPair();
+        if (typeof value !== 'number' || value < 0 || value > 1) {
+          throw putError(400, 'Volume must be a number between 0 and 1');
+        }
+
+        const limit = volumeLimits.clamp(pair, Math.round(value * 100));
+        if (!await sonosController.setVolume(pair.sonosDevice, limit.volume)) {
+          throw putError(502, 'Sonos did not accept the volume change');
+        }
+
+        const volume = await sonosController.getVolume(pair.sonosDevice);
+        const result = volume === null ? null : volume / 100;
+
+        if (limit.clamped) {
+          reportVolumeClamp(pair, limit, 'PUT');
+          return putResult(result, `clamped to ${limit.volume / 100} by ${limit.reason}`);
+        }
+
+        return result;
+      },
+
+      playbackState: async (value) => {
+        const pair = getPair();
+        const commands = {
+          playing: () => sonosController.play(pair.sonosDevice),
+          paused: () => sonosController.pause(pair.sonosDevice),
+          stopped: () => sonosController.stopPlayback(pair.sonosDevice)
+        };
+
+        if (!commands[value]) {
+          throw putError(400, 'Playback state must be one of playing, paused, stopped');
+        }
+
+        if (!await commands[value]()) {
+          throw putError(502, `Sonos did not accept the ${value} command`);
+        }
+
+        return sonosController.getPlaybackState(pair.sonosDevice);
+      },
+
+      favorite: async (value) => {
+        const pair = getPair();
+        if (typeof value !== 'string' || !value) {
+          throw putError(400, 'Favorite must be the id or title of a Sonos favorite');
+        }
+
+        if (!await sonosController.playFavorite(pair.sonosDevice, value)) {
+          throw putError(502, `Sonos did not play favorite ${value}`);
+        }
+
+        return value;
+      },
+
+      playlist: async (value) => {
+        const pair = getPair();
+        if (typeof value !== 'string' || !value) {
+          throw putError(400, 'Playlist must be the id or title of a Sonos playlist');
+        }
+
+        if (!await sonosController.playPlaylist(pair.sonosDevice, value)) {
+          throw putError(502, `Sonos did not play playlist ${value}`);
+        }
+
+        return value;
+      },
+
+      shuffle: async (value) => {
+        const pair = getPair();
+        if (typeof value !== 'boolean') {
+          throw putError(400, 'Shuffle must be true or false');
+        }
+
+        if (!await sonosController.setPlayMode(pair.sonosDevice, { shuffle: value })) {
+          throw putError(502, 'Sonos did not accept the shuffle change');
+        }
+
+        return value;
+      },
+
+      repeat: async (value) => {
+        const pair = getPair();
+        if (!REPEAT_MODES.includes(value)) {
+          throw putError(400, `Repeat must be one of ${REPEAT_MODES.join(', ')}`);
+        }
+
+        if (!await sonosController.setPlayMode(pair.sonosDevice, { repeat: value })) {
+          throw putError(502, 'Sonos did not accept the repeat change');
+        }
+
+        return value;
+      },
+
+      mute: async (value) => {
+        const pair = getPair();
+        if (typeof value !== 'boolean') {
+          throw putError(400, 'Mute must be true or false');
+        }
+
+        if (!await muteManager.setMuted(pair, value, 'PUT')) {
+          throw putError(502, 'Neither device accepted the mute change');
+        }
+
+        return muteManager.isMuted(pair.name);
+      },
+
+      source: async (value) => {
+        const pair = getPair();
+        if (typeof value !== 'string' || !value) {
+          throw putError(400, 'Source must be a Fusion input name');
+        }
+
+        if (!await fusionController.switchInput(pair.fusionDevice, value)) {
+          throw putError(502, `Fusion did not switch to ${value}`);
+        }
+
+        const status = await fusionController.getStatus(pair.fusionDevice);
+        return status && status.input ? status.input : value.toLowerCase();
+      },
+
+      power: async (value) => {
+        const pair = getPair();
+        const on = value === true || value === 'on';
+        if (!on && value !== false && value !== 'off') {
+          throw putError(400, 'Power must be true, false, "on" or "off"');
+        }
+
+        // Like scenes and standby, power on waits for the stereo to report it is on
+        if (on) {
+          if (!await fusionController.ensurePowerOn(pair.fusionDevice)) {
+            throw putError(502, 'Fusion did not power on');
+          }
+          return 'on';
+        }
+
+        if (!await fusionController.powerOff(pair.fusionDevice)) {
+          throw putError(502, 'Fusion did not accept the power change');
+        }
+
+        return 'off';
+      }
+    };
+  }
+
+  function handlePairsMigrated(pairNames) {
+    app.debug(`Saving device pairs migrated to stable identities: ${pairNames.join(', ')}`);
+    persistPairs();
+  }
+
+  // Checks the pair's input, and those its input rules switch to, against the stereo's
+  // source list. Stereos that are offline or don't report their sources can't be checked,
+  // so their pairs are accepted.
+  async function validatePairInputs(config) {
+    if (!fusionController) return null;
+
+    const inputs = [config.fusionInput, ...(config.inputRules || []).map(rule => rule.input).filter(Boolean)];
+    for (const input of inputs) {
+      const error = await fusionController.validateInput(config.fusionDevice, input);
+      if (error) return error;
+    }
+
+    return null;
+  }
+
+  async function persistPairs() {
+    if (!configStore || !deviceManager) return false;
+
+    try {
+      await configStore.savePairs(deviceManager.exportConfiguration().devicePairs);
+      return true;
+    } catch (error) {
+      app.error(`Failed to save device pairs: ${error.message}`);
+      return false;
+    }
+  }
+
+  function handlePlaybackStateChanged(device, state) {
+    app.debug(`Sonos playback state changed: ${device} -> ${state}`);
+
+    const pair = deviceManager.getPairBySonosDevice(device);
+    if (!pair) return;
+
+    // Wakes the stereo if needed and switches to the Sonos input on playing; applies the standby policy once idle
+    switchStereo(device, pair, state);
+
+    // Grouped players play the same thing, so their stereos are switched over too
+    if (state === 'playing') {
+      getGroupedPairs(pair)
+        .filter(other => !autoStandby.isPlaying(other.name))
+        .forEach(other => {
+          app.debug(`${other.name} is grouped with ${pair.name}, switching its stereo`);
+          deviceManager.updatePairActivity(other.name, { type: 'group', data: { playing: pair.name } });
+          switchStereo(device, other, state);
+        });
+    }
+
+    const startupVolume = volumeLimits.handlePlaybackState(pair, state);
+    if (startupVolume !== null) {
+      app.debug(`Playback resumed after idle on ${pair.name}, starting at volume ${startupVolume}`);
+      sonosController.setVolume(pair.sonosDevice, startupVolume);
+      deviceManager.updatePairActivity(pair.name, { type: 'startupVolume', data: { volume: startupVolume } });
+    }
+
+    const status = {
+      timestamp: Date.now(),
+      source: plugin.id,
+      values: {
+        [`entertainment.audio.${pair.name}.playbackState`]: {
+          value: state,
+          timestamp: new Date().toISOString()
+        }
+      }
+    };
+
+    app.handleMessage(plugin.id, status);
+
+    if (nmea2000Handler) {
+      nmea2000Handler.updatePlaybackState(pair.name, state);
+    }
+  }
+
+  // A pair's input rules decide whether, and to which input, its stereo is switched for playback
+  async function switchStereo(device, pair, state) {
+    // A pause trigger pauses the whole Sonos group until it is released, which isn't going idle
+    if (state !== 'playing' && isPausedByDucking(pair)) {
+      app.debug(`${pair.name} was paused by ducking, not starting standby`);
+      return;
+    }
+
+    if (state !== 'playing' || !inputRules.hasRules(pair)) {
+      return autoStandby.handlePlaybackState(pair, state);
+    }
+
+    try {
+      const decision = await inputRules.evaluate(pair);
+
+      // Playback may have stopped again while the rules were checked
+      if (!autoStandby || sonosController.getDeviceState(device).playbackState !== 'playing') return;
+
+      if (decision.rule) {
+        app.debug(`Input rule ${decision.rule} for ${pair.name}: ${decision.action}`);
+        deviceManager.updatePairActivity(pair.name, {
+          type: 'inputRule',
+          data: { rule: decision.rule, action: decision.action, input: decision.input }
+        });
+      }
+
+      if (decision.action === 'skip') {
+        autoStandby.cancel(pair.name);
+        return;
+      }
+
+      return autoStandby.handlePlaybackState(pair, state, decision.input);
+    } catch (error) {
+      app.error(`Input rules for ${pair.name} failed: ${error.message}`);
+    }
+  }
+
+  function handleSonosGroupChanged(device, group) {
+    const pair = deviceManager.getPairBySonosDevice(device);
+    if (!pair) return;
+
+    app.debug(`Sonos group changed: ${device} -> ${group ? group.name : 'none'}`);
+
+    const status = {
+      timestamp: Date.now(),
+      source: plugin.id,
+      values: {
+        [`entertainment.audio.${pair.name}.group`]: {
+          value: describeGroup(group, pair),
+          timestamp: new Date().toISOString()
+        }
+      }
+    };
+
+    app.handleMessage(plugin.id, status);
+  }
+
+  // Group members are shown by pair name where they are paired, otherwise by device id
+  function describeGroup(group, pair) {
+    if (!group) return null;
+
+    const name = uuid => {
+      const member = deviceManager.getEnabledPairs().find(other => sonosController.getUuid(other.sonosDevice) === uuid);
+      return member ? member.name : uuid;
+    };
+
+    return {
+      id: group.id,
+      name: group.name,
+      coordinator: name(group.coordinator),
+      members: group.members.map(name),
+      isCoordinator: pair ? sonosController.getUuid(pair.sonosDevice) === group.coordinator : undefined
+    };
+  }
+
+  function isPausedByDucking(pair) {
+    if (!ducking) return false;
+    return ducking.isPausedByDucking(pair.name) || getGroupedPairs(pair).some(other => ducking.isPausedByDucking(other.name));
+  }
+
+  function getGroupedPairs(pair) {
+    const members = sonosController.getGroupMembers(pair.sonosDevice);
+
+    return deviceManager.getEnabledPairs().filter(other =>
+      other.name !== pair.name && members.includes(sonosController.getUuid(other.sonosDevice)));
+  }
+
+  function handleVolumeChanged(device, volume) {
+    app.debug(`Sonos volume changed: ${device} -> ${volume}`);
+
+    const pair = deviceManager.getPairBySonosDevice(device);
+    if (!pair) return;
+
+    // The capped volume comes back as another change, which is what gets synced
+    const limit = volumeLimits.clamp(pair, volume);
+    if (limit.clamped) {
+      reportVolumeClamp(pair, limit, 'sonos');
+      sonosController.setVolume(pair.sonosDevice, limit.volume);
+      return;
+    }
 
-        // Restart Fusion discovery
-        if (fusionController) {
-          try {
-            app.debug('Restarting Fusion discovery...');
-            fusionController.stop();
-            fusionController.start();
-            results.fusion.success = true;
-            results.fusion.devices = fusionController.getAvailableDevices();
-          } catch (error) {
-            results.fusion.error = error.message;
-          }
-        }
+    ducking.handleSonosVolume(pair, volume);
 
-        res.json({
-          message: 'Rediscovery initiated',
-          results
-        });
-      } catch (error) {
-        res.status(500).json({ error: error.message });
-      }
-    });
+    if (!pair.volumeSync) return;
 
-    // Configuration export/import
-    router.get('/export', (req, res) => {
-      try {
-        if (!deviceManager) {
-          return res.status(503).json({ error: 'Plugin not started' });
-        }
+    volumeSync.handleSonosVolume(pair, volume);
 
-        const config = deviceManager.exportConfiguration();
-        res.json(config);
-      } catch (error) {
-        res.status(500).json({ error: error.message });
+    const status = {
+      timestamp: Date.now(),
+      source: plugin.id,
+      values: {
+        [`entertainment.audio.${pair.name}.volume`]: {
+          value: volume / 100,
+          timestamp: new Date().toISOString()
+        }
       }
+    };
+
+    app.handleMessage(plugin.id, status);
+
+    if (nmea2000Handler) {
+      nmea2000Handler.updateVolume(pair.name, volume);
+    }
+  }
+
+  function handleTrackChanged(device, track) {
+    app.debug(`Sonos track changed: ${device}`, track);
+
+    const pair = deviceManager.getPairBySonosDevice(device);
+    if (!pair) return;
+
+    // Album art is served by the plugin; the hash makes browsers fetch new art for a new track
+    const albumArtUrl = track.albumArtUri
+      ? `/plugins/${plugin.id}/pairs/${encodeURIComponent(pair.name)}/albumart?v=${crypto.createHash('sha1').update(track.albumArtUri).digest('hex').slice(0, 8)}`
+      : null;
+
+    const timestamp = new Date().toISOString();
+    const fields = {
+      title: track.title,
+      artist: track.artist,
+      album: track.album,
+      duration: track.duration,
+      albumArtUrl,
+      service: track.service,
+      station: track.station
+    };
+
+    const values = {};
+    Object.keys(fields).forEach(key => {
+      values[`entertainment.audio.${pair.name}.currentTrack.${key}`] = { value: fields[key], timestamp };
     });
 
-    router.post('/import', (req, res) => {
-      try {
-        if (!deviceManager) {
-          return res.status(503).json({ error: 'Plugin not started' });
-        }
+    app.handleMessage(plugin.id, { timestamp: Date.now(), source: plugin.id, values });
 
-        const config = req.body;
-        deviceManager.importConfiguration(config);
-        res.json({ message: 'Configuration imported successfully' });
+    if (nmea2000Handler) {
+      nmea2000Handler.updateTrack(pair.name, track);
+      publishLibrary(pair);
+    }
+  }
 
-      } catch (error) {
-        res.status(400).json({ error: error.message });
+  // The queue and playlists are sent as library data so MFDs can show what is coming up
+  async function publishLibrary(pair) {
+    if (!nmea2000Handler.isStarted) return;
+
+    const [queue, playlists] = await Promise.all([
+      sonosController.getQueue(pair.sonosDevice),
+      sonosController.getPlaylists(pair.sonosDevice)
+    ]);
+
+    if (nmea2000Handler) {
+      nmea2000Handler.updateLibrary(pair.name, { queue, playlists });
+    }
+  }
+
+  function handlePositionChanged(device, position, duration) {
+    const pair = deviceManager.getPairBySonosDevice(device);
+    if (!pair) return;
+
+    const timestamp = new Date().toISOString();
+    const status = {
+      timestamp: Date.now(),
+      source: plugin.id,
+      values: {
+        [`entertainment.audio.${pair.name}.currentTrack.position`]: {
+          value: position,
+          timestamp
+        },
+        // Radio streams have no duration, so there is no progress to report
+        [`entertainment.audio.${pair.name}.currentTrack.progress`]: {
+          value: duration > 0 ? Math.min(1, position / duration) : null,
+          timestamp
+        }
       }
-    });
-  };
+    };
 
-  function handleDevicePairReady(pair) {
-    app.debug(`Device pair ready: ${pair.name}`);
+    app.handleMessage(plugin.id, status);
 
-    sonosController.addDevice(pair.sonosDevice);
-    fusionController.addDevice(pair.fusionDevice);
+    if (nmea2000Handler) {
+      nmea2000Handler.updatePosition(pair.name, position);
+    }
+  }
+
+  function handleFusionZoneVolumeChanged(device, zoneNumber, volume) {
+    app.debug(`Fusion volume changed: ${device} zone ${zoneNumber} -> ${volume}`);
+
+    const pair = deviceManager.getPairByFusionDevice(device, zoneNumber);
+    if (!pair) return;
 
     const status = {
       timestamp: Date.now(),
       source: plugin.id,
       values: {
-        [`entertainment.audio.${pair.name}.status`]: {
-          value: 'ready',
+        [`entertainment.audio.${pair.name}.zones.${zoneNumber}.volume`]: {
+          value: volume / 40,
           timestamp: new Date().toISOString()
         }
       }
     };
 
     app.handleMessage(plugin.id, status);
+
+    const limit = volumeLimits.clampFusion(pair, volume);
+    if (limit.clamped) {
+      reportVolumeClamp(pair, limit, `fusion zone ${zoneNumber}`);
+      fusionController.setVolume(pair.fusionDevice, limit.volume, zoneNumber);
+      return;
+    }
+
+    const zone = deviceManager.getZone(pair, zoneNumber);
+    if (!pair.volumeSync || !zone.volumeSync) return;
+
+    volumeSync.handleFusionVolume(pair, zoneNumber, volume);
   }
 
-  function handleDevicePairRemoved(pair) {
-    app.debug(`Device pair removed: ${pair.name}`);
+  function handleFusionPowerChanged(device, power) {
+    app.debug(`Fusion power changed: ${device} -> ${power}`);
+
+    deviceManager.getPairsByFusionDevice(device).forEach(pair => {
+      const status = {
+        timestamp: Date.now(),
+        source: plugin.id,
+        values: {
+          [`entertainment.audio.${pair.name}.power`]: {
+            value: power,
+            timestamp: new Date().toISOString()
+          }
+        }
+      };
 
-    sonosController.removeDevice(pair.sonosDevice);
-    fusionController.removeDevice(pair.fusionDevice);
+      app.handleMessage(plugin.id, status);
+    });
   }
 
-  function handlePlaybackStateChanged(device, state) {
-    app.debug(`Sonos playback state changed: ${device} -> ${state}`);
+  function handleSonosMuteChanged(device, muted) {
+    app.debug(`Sonos mute changed: ${device} -> ${muted}`);
 
     const pair = deviceManager.getPairBySonosDevice(device);
     if (!pair) return;
 
-    if (state === 'playing') {
-      fusionController.switchInput(pair.fusionDevice, pair.fusionInput);
+    muteManager.handleDeviceMute(pair, 'sonos', muted);
+  }
+
+  function handleFusionMuteChanged(device, muted) {
+    app.debug(`Fusion mute changed: ${device} -> ${muted}`);
+
+    deviceManager.getPairsByFusionDevice(device).forEach(pair => {
+      muteManager.handleDeviceMute(pair, 'fusion', muted);
+    });
+  }
+
+  // Trigger paths change when triggers are edited, so ducking keeps its own subscription
+  function subscribeDucking() {
+    duckingUnsubscribes.forEach(fn => fn());
+    duckingUnsubscribes = [];
+
+    if (!ducking) return;
+
+    const paths = ducking.getTriggerPaths();
+    if (ducking.rules.length > 0) {
+      paths.push('notifications.*');
+    }
+
+    if (paths.length === 0) return;
+
+    app.subscriptionmanager.subscribe(
+      {
+        context: 'vessels.self',
+        subscribe: [...new Set(paths)].map(path => ({ path, policy: 'instant' }))
+      },
+      duckingUnsubscribes,
+      error => app.error(`Ducking subscription failed: ${error}`),
+      delta => {
+        (delta.updates || []).forEach(update => {
+          (update.values || []).forEach(({ path, value }) => {
+            if (!ducking || !path) return;
+
+            if (path.startsWith('notifications.')) {
+              ducking.handleNotification(path, value);
+            }
+            ducking.handleValue(path, value);
+          });
+        });
+      }
+    );
+
+    app.debug(`Ducking on ${ducking.rules.length} notification rules and ${ducking.getTriggerPaths().length} triggers`);
+  }
+
+  async function getFusionInput(pair) {
+    const status = await fusionController.getStatus(pair.fusionDevice);
+    return status ? status.input : null;
+  }
+
+  // Scenes are only saved for pairs that exist, applying one with an unknown pair fails anyway
+  function validateScenePairs(scene) {
+    const unknown = scene.pairs.filter(entry => !deviceManager.getPairByName(entry.name)).map(entry => entry.name);
+    return unknown.length > 0 ? `Unknown device pairs: ${unknown.join(', ')}` : null;
+  }
+
+  async function persistScenes() {
+    if (!configStore || !deviceManager) return false;
+
+    try {
+      await configStore.saveSection('scenes', deviceManager.getScenes());
+      return true;
+    } catch (error) {
+      app.error(`Failed to save scenes: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Scenes can enable or disable pairs, which is saved like any other pair change
+  async function applyScene(name, origin) {
+    const result = await deviceManager.applyScene(name, origin);
+    if (result.pairsChanged) {
+      await persistPairs();
+    }
+    return result;
+  }
+
+  async function handleScenePut(value) {
+    if (!deviceManager) {
+      throw putError(503, 'Plugin not started');
+    }
+
+    if (typeof value !== 'string' || !deviceManager.getScene(value)) {
+      throw putError(404, `Unknown scene: ${value}`);
+    }
+
+    let result;
+    try {
+      result = await applyScene(value, 'PUT');
+    } catch (error) {
+      throw putError(409, error.message);
+    }
+
+    if (!result.applied) {
+      throw putError(502, `Scene ${value} was rolled back, these steps failed: ${result.failures.join(', ')}`);
     }
 
+    return value;
+  }
+
+  function handleSceneApplied(name) {
     const status = {
       timestamp: Date.now(),
       source: plugin.id,
       values: {
-        [`entertainment.audio.${pair.name}.playbackState`]: {
-          value: state,
+        'entertainment.audio.scene': {
+          value: name,
           timestamp: new Date().toISOString()
         }
       }
     };
 
     app.handleMessage(plugin.id, status);
+  }
 
-    if (nmea2000Handler) {
-      nmea2000Handler.updatePlaybackState(pair.name, state);
+  async function persistTriggers() {
+    if (!configStore || !ducking) return false;
+
+    try {
+      await configStore.saveSection('ducking', { triggers: ducking.getTriggers() });
+      return true;
+    } catch (error) {
+      app.error(`Failed to save ducking triggers: ${error.message}`);
+      return false;
     }
   }
 
-  function handleVolumeChanged(device, volume) {
-    app.debug(`Sonos volume changed: ${device} -> ${volume}`);
+  // Pairs can start or stop using compensation at any time, so the subscription follows them
+  function subscribeCompensation() {
+    const paths = compensation.getPaths();
+    const key = paths.join(',');
+    if (key === compensationPaths) return;
 
-    const pair = deviceManager.getPairBySonosDevice(device);
-    if (!pair || !pair.volumeSync) return;
+    compensationUnsubscribes.forEach(fn => fn());
+    compensationUnsubscribes = [];
+    compensationPaths = key;
 
-    fusionController.setVolume(pair.fusionDevice, volume);
+    if (paths.length === 0) return;
 
+    app.subscriptionmanager.subscribe(
+      {
+        context: 'vessels.self',
+        subscribe: paths.map(path => ({ path, policy: 'instant' }))
+      },
+      compensationUnsubscribes,
+      error => app.error(`Volume compensation subscription failed: ${error}`),
+      delta => {
+        (delta.updates || []).forEach(update => {
+          (update.values || []).forEach(({ path, value }) => {
+            if (compensation && path) {
+              compensation.handleValue(path, value);
+            }
+          });
+        });
+      }
+    );
+
+    app.debug(`Volume compensation following ${paths.join(', ')}`);
+  }
+
+  async function handleCompensationChanged(pair, gain) {
     const status = {
       timestamp: Date.now(),
       source: plugin.id,
       values: {
-        [`entertainment.audio.${pair.name}.volume`]: {
-          value: volume / 100,
+        [`entertainment.audio.${pair.name}.volumeCompensation`]: {
+          value: gain / 100,
           timestamp: new Date().toISOString()
         }
       }
@@ -574,28 +2866,37 @@ module.exports = function(app) {
 
     app.handleMessage(plugin.id, status);
 
-    if (nmea2000Handler) {
-      nmea2000Handler.updateVolume(pair.name, volume);
-    }
+    // Muting and ducking may have turned the stereo down, which the gain must not undo
+    if (!pair.volumeSync || !sonosController || muteManager.isMuted(pair.name) || ducking.isDucked(pair.name)) return;
+
+    const volume = await sonosController.getVolume(pair.sonosDevice);
+    if (volume === null || !volumeSync) return;
+
+    volumeSync.refresh(pair, volume);
   }
 
-  function handleTrackChanged(device, track) {
-    app.debug(`Sonos track changed: ${device}`, track);
+  function handleDuckingChanged(pair, ducked) {
+    const status = {
+      timestamp: Date.now(),
+      source: plugin.id,
+      values: {
+        [`entertainment.audio.${pair.name}.ducked`]: {
+          value: ducked,
+          timestamp: new Date().toISOString()
+        }
+      }
+    };
 
-    const pair = deviceManager.getPairBySonosDevice(device);
-    if (!pair) return;
+    app.handleMessage(plugin.id, status);
+  }
 
+  function handlePairMuteChanged(pair, muted) {
     const status = {
       timestamp: Date.now(),
       source: plugin.id,
       values: {
-        [`entertainment.audio.${pair.name}.currentTrack`]: {
-          value: {
-            title: track.title,
-            artist: track.artist,
-            album: track.album,
-            duration: track.duration
-          },
+        [`entertainment.audio.${pair.name}.mute`]: {
+          value: muted,
           timestamp: new Date().toISOString()
         }
       }
@@ -604,26 +2905,151 @@ module.exports = function(app) {
     app.handleMessage(plugin.id, status);
 
     if (nmea2000Handler) {
-      nmea2000Handler.updateTrack(pair.name, track);
+      nmea2000Handler.updateMute(pair.name, muted);
+    }
+  }
+
+  async function handleNMEAVolumeControl(pairName, volumeChange) {
+    app.debug(`NMEA volume control: ${pairName} -> ${volumeChange}`);
+
+    const pair = deviceManager.getPairByName(pairName);
+    if (!pair) return;
+
+    const cap = volumeLimits.getCap(pair);
+    const result = await sonosController.adjustVolume(pair.sonosDevice, volumeChange, cap.volume);
+
+    if (result && result.volume < result.requested) {
+      reportVolumeClamp(pair, { ...result, reason: cap.reason }, 'NMEA2000');
     }
+
+    deviceManager.updatePairActivity(pair.name, { type: 'volumeControl', data: { change: volumeChange } });
   }
 
-  function handleFusionVolumeChanged(device, volume) {
-    app.debug(`Fusion volume changed: ${device} -> ${volume}`);
+  async function handleNMEAVolumeSet(pairName, volume) {
+    app.debug(`NMEA volume set: ${pairName} -> ${volume}`);
+
+    const pair = deviceManager.getPairByName(pairName);
+    if (!pair) return;
+
+    // Absolute volumes use the same 0-1 ratio published on entertainment.audio.<pair>.volume
+    const limit = volumeLimits.clamp(pair, Math.round(Math.max(0, Math.min(1, volume)) * 100));
+    const sonosVolume = limit.volume;
+    const success = await sonosController.setVolume(pair.sonosDevice, sonosVolume);
 
-    const pair = deviceManager.getPairByFusionDevice(device);
-    if (!pair || !pair.volumeSync) return;
+    if (limit.clamped) {
+      reportVolumeClamp(pair, limit, 'NMEA2000');
+    }
 
-    sonosController.setVolume(pair.sonosDevice, volume);
+    app.debug(`NMEA volume set ${success ? 'applied' : 'failed'}: ${pairName} -> ${sonosVolume}`);
+    deviceManager.updatePairActivity(pair.name, { type: 'volumeSet', data: { volume: sonosVolume, success } });
   }
 
-  function handleNMEAVolumeControl(pairName, volumeChange) {
-    app.debug(`NMEA volume control: ${pairName} -> ${volumeChange}`);
+  async function handleVolumeCapLowered(pair, cap) {
+    if (!sonosController) return;
+
+    // Zones that don't follow the Sonos would otherwise stay above the cap
+    deviceManager.getActiveZones(pair).forEach(zone => {
+      const current = fusionController.getZoneVolume(pair.fusionDevice, zone.zone);
+      if (current === null) return;
+
+      const limit = volumeLimits.clampFusion(pair, current);
+      if (limit.clamped) {
+        reportVolumeClamp(pair, limit, `schedule zone ${zone.zone}`);
+        fusionController.setVolume(pair.fusionDevice, limit.volume, zone.zone);
+      }
+    });
+
+    const volume = await sonosController.getVolume(pair.sonosDevice);
+    if (volume === null) return;
+
+    // The set point may be under the cap while the compensated Fusion volume is not
+    if (volume <= cap.volume) {
+      if (pair.volumeSync && volumeSync) {
+        volumeSync.refresh(pair, volume);
+      }
+      return;
+    }
+
+    reportVolumeClamp(pair, { requested: volume, volume: cap.volume, reason: cap.reason }, 'schedule');
+    sonosController.setVolume(pair.sonosDevice, cap.volume);
+  }
+
+  function reportVolumeClamp(pair, limit, origin) {
+    app.debug(`Volume for ${pair.name} from ${origin} clamped: ${limit.requested} -> ${limit.volume} (${limit.reason})`);
+
+    deviceManager.updatePairActivity(pair.name, {
+      type: 'volumeClamped',
+      data: {
+        origin,
+        requested: limit.requested,
+        volume: limit.volume,
+        reason: limit.reason
+      }
+    });
+  }
+
+  async function handleNMEAPlaybackControl(pairName, command, position) {
+    app.debug(`NMEA playback control: ${pairName} -> ${command}`);
+
+    const pair = deviceManager.getPairByName(pairName);
+    if (!pair) return;
+
+    let success;
+    switch (command.toLowerCase()) {
+      case 'play':
+        success = await sonosController.play(pair.sonosDevice);
+        break;
+      case 'pause':
+        success = await sonosController.pause(pair.sonosDevice);
+        break;
+      case 'stop':
+        success = await sonosController.stopPlayback(pair.sonosDevice);
+        break;
+      case 'next':
+        success = await sonosController.next(pair.sonosDevice);
+        break;
+      case 'previous':
+        success = await sonosController.previous(pair.sonosDevice);
+        break;
+      case 'seek':
+        if (position === undefined) {
+          app.debug(`NMEA seek for ${pairName} ignored: no position given`);
+          return;
+        }
+        success = await sonosController.seek(pair.sonosDevice, position);
+        break;
+      default:
+        app.debug(`Unsupported NMEA playback command for ${pairName}: ${command}`);
+        return;
+    }
+
+    app.debug(`NMEA playback ${command} ${success ? 'applied' : 'failed'}: ${pairName}`);
+    deviceManager.updatePairActivity(pair.name, { type: 'playbackControl', data: { command, position, success } });
+  }
+
+  async function handleNMEASourceControl(pairName, source) {
+    app.debug(`NMEA source control: ${pairName} -> ${source}`);
 
     const pair = deviceManager.getPairByName(pairName);
     if (!pair) return;
 
-    sonosController.adjustVolume(pair.sonosDevice, volumeChange);
+    const success = await fusionController.switchInput(pair.fusionDevice, source);
+
+    app.debug(`NMEA source change ${success ? 'applied' : 'failed'}: ${pairName} -> ${source}`);
+    deviceManager.updatePairActivity(pair.name, { type: 'sourceControl', data: { source, success } });
+  }
+
+  async function handleNMEAMuteControl(pairName, muted) {
+    app.debug(`NMEA mute control: ${pairName} -> ${muted}`);
+
+    const pair = deviceManager.getPairByName(pairName);
+    if (!pair) return;
+
+    if (muted === 'toggle') {
+      await muteManager.toggle(pair, 'NMEA2000');
+    } else {
+      await muteManager.setMuted(pair, muted, 'NMEA2000');
+    }
   }
 
   function getNetworkDiagnostics() {
@@ -0,0 +1,231 @@
+const POLICIES = ['none', 'restore', 'mute', 'power-off'];
+const DEFAULT_IDLE_TIMEOUT = 300;
+
+// Puts the Fusion back the way we found it once the Sonos has been idle for a while.
+// Everything a pair does runs through one queue, so a quick play/pause/play can't
+// have a late standby action land after the stereo was switched back to the Sonos.
+class AutoStandby {
+  constructor(app, deviceManager, actions) {
+    this.app = app;
+    this.deviceManager = deviceManager;
+    this.actions = actions;
+    this.states = new Map();
+  }
+
+  static validate(standby) {
+    if (!standby) return null;
+
+    if (standby.policy !== undefined && !POLICIES.includes(standby.policy)) {
+      return `Unknown standby policy: ${standby.policy}`;
+    }
+
+    if (standby.idleTimeout !== undefined && (typeof standby.idleTimeout !== 'number' || standby.idleTimeout < 0)) {
+      return 'Idle timeout must be a positive number of seconds';
+    }
+
+    return null;
+  }
+
+  stop() {
+    this.states.forEach(state => clearTimeout(state.timer));
+    this.states.clear();
+  }
+
+  forget(pairName) {
+    const state = this.states.get(pairName);
+    if (state) {
+      clearTimeout(state.timer);
+      this.states.delete(pairName);
+    }
+  }
+
+  // Playback the stereo wasn't switched for, e.g. skipped by an input rule, must not let a
+  // countdown from an earlier pause go on to put the stereo in standby
+  cancel(pairName) {
+    const state = this.states.get(pairName);
+    if (!state || !state.timer) return;
+
+    clearTimeout(state.timer);
+    state.timer = null;
+    this.app.debug(`Cancelled pending standby for ${pairName}`);
+  }
+
+  getState(pairName) {
+    if (!this.states.has(pairName)) {
+      this.states.set(pairName, {
+        playing: false,
+        timer: null,
+        previousInput: null,
+        input: null,
+        applied: null,
+        queue: Promise.resolve()
+      });
+    }
+
+    return this.states.get(pairName);
+  }
+
+  isPlaying(pairName) {
+    const state = this.states.get(pairName);
+    return state ? state.playing : false;
+  }
+
+  getPolicy(pair) {
+    const standby = pair.standby || {};
+
+    return {
+      policy: POLICIES.includes(standby.policy) ? standby.policy : 'none',
+      idleTimeout: standby.idleTimeout !== undefined ? standby.idleTimeout : DEFAULT_IDLE_TIMEOUT
+    };
+  }
+
+  // Input rules may pick another input than the pair's own for this playback
+  handlePlaybackState(pair, state, input) {
+    const pairState = this.getState(pair.name);
+
+    if (state === 'playing') {
+      clearTimeout(pairState.timer);
+      pairState.timer = null;
+      pairState.playing = true;
+      pairState.input = input || pair.fusionInput;
+      return this.enqueue(pair.name, () => this.resume(pair.name));
+    }
+
+    if (state !== 'paused' && state !== 'stopped') {
+      return Promise.resolve();
+    }
+
+    // Only playback we switched the stereo for counts; going from paused to stopped keeps the countdown
+    if (!pairState.playing) {
+      return Promise.resolve();
+    }
+
+    pairState.playing = false;
+
+    const { policy, idleTimeout } = this.getPolicy(pair);
+    if (policy === 'none') {
+      return Promise.resolve();
+    }
+
+    this.app.debug(`${pair.name} is ${state}, standby (${policy}) in ${idleTimeout}s`);
+
+    pairState.timer = setTimeout(() => {
+      pairState.timer = null;
+      this.enqueue(pair.name, () => this.applyStandby(pair.name));
+    }, idleTimeout * 1000);
+
+    return Promise.resolve();
+  }
+
+  enqueue(pairName, task) {
+    const state = this.getState(pairName);
+
+    state.queue = state.queue
+      .then(task)
+      .catch(error => this.app.error(`Standby for ${pairName} failed: ${error.message}`));
+
+    return state.queue;
+  }
+
+  async resume(pairName) {
+    const pair = this.deviceManager.getPairByName(pairName);
+    const state = this.getState(pairName);
+    if (!pair || !state.playing) return;
+
+    if (state.applied === 'mute') {
+      await this.actions.setMute(pair, false);
+    }
+
+    // The stereo ignores input changes while it is in standby
+    if (state.applied === 'power-off' || pair.autoPowerOn) {
+      if (!await this.actions.powerOn(pair)) {
+        this.record(pair, 'stereo did not power on');
+      }
+    }
+
+    if (state.applied) {
+      this.record(pair, `undid ${state.applied}`);
+      state.applied = null;
+    }
+
+    // Remember what the stereo was playing, unless it is already on the Sonos input
+    const sonosInput = state.input || pair.fusionInput;
+    const input = await this.actions.getInput(pair);
+    if (input && input.toLowerCase() !== sonosInput) {
+      state.previousInput = input.toLowerCase();
+    }
+
+    await this.actions.switchInput(pair, sonosInput);
+  }
+
+  async applyStandby(pairName) {
+    const pair = this.deviceManager.getPairByName(pairName);
+    const state = this.getState(pairName);
+    if (!pair || !pair.enabled || state.playing || state.applied) return;
+
+    const { policy } = this.getPolicy(pair);
+
+    // The stereo is shared, so leave it alone while another pair is using it
+    const busy = this.deviceManager.getPairsByFusionDevice(pair.fusionDevice)
+      .some(other => other.name !== pair.name && this.getState(other.name).playing);
+    if (busy) {
+      this.record(pair, `skipped ${policy}, another pair is playing on ${pair.fusionDevice}`);
+      return;
+    }
+
+    // Someone picked another source while the Sonos was paused
+    const input = await this.actions.getInput(pair);
+    if (input && input.toLowerCase() !== (state.input || pair.fusionInput)) {
+      this.record(pair, `skipped ${policy}, stereo is on ${input}`);
+      return;
+    }
+
+    let success = false;
+    switch (policy) {
+      case 'restore':
+        if (!state.previousInput) {
+          this.record(pair, 'nothing to restore');
+          return;
+        }
+        success = await this.actions.switchInput(pair, state.previousInput);
+        break;
+      case 'mute':
+        success = await this.actions.setMute(pair, true);
+        break;
+      case 'power-off':
+        success = await this.actions.setPower(pair, false);
+        break;
+      default:
+        return;
+    }
+
+    if (success) {
+      state.applied = policy;
+    }
+
+    this.record(pair, `${policy} ${success ? 'applied' : 'failed'}`, policy === 'restore' ? { input: state.previousInput } : {});
+  }
+
+  record(pair, decision, data) {
+    this.app.debug(`Standby ${pair.name}: ${decision}`);
+    this.deviceManager.updatePairActivity(pair.name, { type: 'standby', data: { decision, ...data } });
+  }
+
+  getDiagnostics() {
+    const diagnostics = {};
+
+    this.states.forEach((state, pairName) => {
+      diagnostics[pairName] = {
+        playing: state.playing,
+        standbyPending: state.timer !== null,
+        input: state.input,
+        previousInput: state.previousInput,
+        applied: state.applied
+      };
+    });
+
+    return diagnostics;
+  }
+}
+
+module.exports = { AutoStandby, POLICIES };
@@ -0,0 +1,118 @@
+const _ = require('lodash');
+
+class ConfigStore {
+  constructor(app, options, normalizePair) {
+    this.app = app;
+    this.baseline = _.cloneDeep(options || {});
+    this.normalizePair = normalizePair || (pair => pair);
+    this.saveQueue = Promise.resolve();
+  }
+
+  savePairs(devicePairs) {
+    // Saves are chained so overlapping REST calls never write stale snapshots
+    const save = this.saveQueue.then(() => this.writePairs(devicePairs));
+    this.saveQueue = save.catch(() => {});
+    return save;
+  }
+
+  async writePairs(devicePairs) {
+    const stored = this.readStoredOptions();
+    const basePairs = this.normalizePairs(this.baseline.devicePairs);
+    const storedPairs = this.normalizePairs(stored.devicePairs);
+
+    let pairs = this.normalizePairs(devicePairs);
+    let conflicts = [];
+
+    // Someone else (usually the admin UI) saved since we last read the configuration
+    if (!_.isEqual(storedPairs, basePairs)) {
+      this.app.debug('Plugin configuration changed on disk, merging device pairs');
+      ({ pairs, conflicts } = this.mergePairs(basePairs, pairs, storedPairs));
+    }
+
+    const updatedOptions = {
+      ...stored,
+      devicePairs: pairs
+    };
+
+    await new Promise((resolve, reject) => {
+      this.app.savePluginOptions(updatedOptions, (error) => error ? reject(error) : resolve());
+    });
+
+    this.baseline = _.cloneDeep(updatedOptions);
+
+    if (conflicts.length > 0) {
+      this.app.debug(`Device pair save conflicts resolved in favour of this change: ${conflicts.join(', ')}`);
+    }
+
+    return { devicePairs: pairs, conflicts };
+  }
+
+  // Updates one configuration section, leaving the rest of the configuration as stored.
+  // Object sections are merged key by key, lists are replaced.
+  saveSection(section, values) {
+    const save = this.saveQueue.then(() => this.writeSection(section, values));
+    this.saveQueue = save.catch(() => {});
+    return save;
+  }
+
+  async writeSection(section, values) {
+    const stored = this.readStoredOptions();
+    const updatedOptions = {
+      ...stored,
+      [section]: Array.isArray(values) ? values : { ...(stored[section] || {}), ...values }
+    };
+
+    await new Promise((resolve, reject) => {
+      this.app.savePluginOptions(updatedOptions, (error) => error ? reject(error) : resolve());
+    });
+
+    // Pairs changed elsewhere still have to be merged by the next savePairs
+    this.baseline = { ..._.cloneDeep(updatedOptions), devicePairs: this.baseline.devicePairs };
+    return updatedOptions[section];
+  }
+
+  readStoredOptions() {
+    try {
+      const stored = this.app.readPluginOptions();
+      if (stored && stored.configuration) {
+        return stored.configuration;
+      }
+    } catch (error) {
+      this.app.debug(`Unable to read stored plugin options: ${error.message}`);
+    }
+
+    return _.cloneDeep(this.baseline);
+  }
+
+  normalizePairs(pairs) {
+    return (pairs || []).map(pair => this.normalizePair(pair));
+  }
+
+  mergePairs(basePairs, ourPairs, theirPairs) {
+    const base = _.keyBy(basePairs, 'name');
+    const ours = _.keyBy(ourPairs, 'name');
+    const theirs = _.keyBy(theirPairs, 'name');
+    const names = _.uniq([...ourPairs, ...theirPairs].map(pair => pair.name));
+
+    const pairs = [];
+    const conflicts = [];
+
+    names.forEach(name => {
+      const oursChanged = !_.isEqual(base[name], ours[name]);
+      const theirsChanged = !_.isEqual(base[name], theirs[name]);
+
+      if (oursChanged && theirsChanged && !_.isEqual(ours[name], theirs[name])) {
+        conflicts.push(name);
+      }
+
+      const chosen = oursChanged ? ours[name] : theirs[name];
+      if (chosen) {
+        pairs.push(chosen);
+      }
+    });
+
+    return { pairs, conflicts };
+  }
+}
+
+module.exports = { ConfigStore };
@@ -1,13 +1,33 @@
 const EventEmitter = require('eventemitter3');
 const _ = require('lodash');
+const { VolumeCurve } = require('./volumeCurve');
+const { VolumeLimits } = require('./volumeLimits');
+const { AutoStandby } = require('./autoStandby');
+const { VolumeCompensation } = require('./volumeCompensation');
+const { InputRules } = require('./inputRules');
+const { sourceKey } = require('./fusionSources');
+const { LEADERS } = require('./volumeSync');
+
+const MAX_ZONES = 4;
+const ACTIVITY_LOG_SIZE = 100;
+const PLAYBACK_STATES = ['playing', 'paused', 'stopped'];
 
 class DeviceManager extends EventEmitter {
-  constructor(app, options) {
+  constructor(app, options, resolver, actions) {
     super();
     this.app = app;
     this.options = options || {};
+    this.resolver = resolver || null;
+    this.actions = actions || {};
     this.devicePairs = new Map();
+    this.volumeCurves = new Map();
+    this.activityLogs = new Map();
+    this.scenes = new Map();
+    this.activeScene = null;
+    this.sceneQueue = Promise.resolve();
     this.isStarted = false;
+
+    this.handleIdentityResolved = () => this.migratePairs();
   }
 
   start() {
@@ -17,6 +37,12 @@ class DeviceManager extends EventEmitter {
     this.isStarted = true;
 
     this.loadDevicePairs();
+    this.loadScenes(this.options.scenes);
+
+    if (this.resolver) {
+      this.resolver.on('identityResolved', this.handleIdentityResolved);
+      this.migratePairs();
+    }
   }
 
   stop() {
@@ -25,7 +51,46 @@ class DeviceManager extends EventEmitter {
     this.app.debug('Stopping Device Manager');
     this.isStarted = false;
 
+    if (this.resolver) {
+      this.resolver.removeListener('identityResolved', this.handleIdentityResolved);
+    }
+
     this.devicePairs.clear();
+    this.volumeCurves.clear();
+    this.activityLogs.clear();
+    this.scenes.clear();
+    this.activeScene = null;
+  }
+
+  resolveDevice(type, deviceId) {
+    return (this.resolver && this.resolver.resolve(type, deviceId)) || deviceId;
+  }
+
+  // Rewrites legacy host:port pair references to stable identities once discovery has resolved them
+  migratePairs() {
+    const migrated = [];
+
+    this.devicePairs.forEach(pair => {
+      const sonosDevice = this.resolveDevice('sonos', pair.sonosDevice);
+      const fusionDevice = this.resolveDevice('fusion', pair.fusionDevice);
+
+      if (sonosDevice !== pair.sonosDevice || fusionDevice !== pair.fusionDevice) {
+        this.app.debug(`Migrating device pair ${pair.name} to stable identities`, {
+          sonos: `${pair.sonosDevice} -> ${sonosDevice}`,
+          fusion: `${pair.fusionDevice} -> ${fusionDevice}`
+        });
+
+        pair.sonosDevice = sonosDevice;
+        pair.fusionDevice = fusionDevice;
+        migrated.push(pair.name);
+      }
+    });
+
+    if (migrated.length > 0) {
+      this.emit('pairsMigrated', migrated);
+    }
+
+    return migrated;
   }
 
   loadDevicePairs() {
@@ -52,12 +117,119 @@ class DeviceManager extends EventEmitter {
       }
     }
 
-    const validInputs = ['aux1', 'aux2', 'aux3', 'usb', 'bluetooth', 'am', 'fm'];
-    if (!validInputs.includes(config.fusionInput.toLowerCase())) {
+    // Which inputs exist depends on the stereo, they are checked against its source list
+    // when a pair is added or changed through the API
+    if (typeof config.fusionInput !== 'string') {
       this.app.error(`Invalid fusion input: ${config.fusionInput}`);
       return false;
     }
 
+    if (config.zones !== undefined) {
+      if (!Array.isArray(config.zones)) {
+        this.app.error(`Zones for device pair ${config.name} must be an array`);
+        return false;
+      }
+
+      const numbers = config.zones.map(zone => zone.zone);
+      if (numbers.some(zone => !Number.isInteger(zone) || zone < 1 || zone > MAX_ZONES)) {
+        this.app.error(`Invalid zone in device pair ${config.name}: zones are numbered 1-${MAX_ZONES}`);
+        return false;
+      }
+
+      if (_.uniq(numbers).length !== numbers.length) {
+        this.app.error(`Duplicate zone in device pair ${config.name}`);
+        return false;
+      }
+    }
+
+    if (config.volumeLeader !== undefined && !LEADERS.includes(config.volumeLeader)) {
+      this.app.error(`Invalid volume leader in device pair ${config.name}: ${config.volumeLeader}`);
+      return false;
+    }
+
+    const curveError = VolumeCurve.validate(config.volumeCurve);
+    if (curveError) {
+      this.app.error(`Invalid volume curve in device pair ${config.name}: ${curveError}`);
+      return false;
+    }
+
+    const limitsError = VolumeLimits.validate(config.volumeLimits);
+    if (limitsError) {
+      this.app.error(`Invalid volume limits in device pair ${config.name}: ${limitsError}`);
+      return false;
+    }
+
+    const standbyError = AutoStandby.validate(config.standby);
+    if (standbyError) {
+      this.app.error(`Invalid standby settings in device pair ${config.name}: ${standbyError}`);
+      return false;
+    }
+
+    const compensationError = VolumeCompensation.validate(config.compensation);
+    if (compensationError) {
+      this.app.error(`Invalid volume compensation in device pair ${config.name}: ${compensationError}`);
+      return false;
+    }
+
+    const rulesError = InputRules.validate(config.inputRules);
+    if (rulesError) {
+      this.app.error(`Invalid input rules in device pair ${config.name}: ${rulesError}`);
+      return false;
+    }
+
+    return true;
+  }
+
+  getVolumeCurve(pair) {
+    if (!this.volumeCurves.has(pair.name)) {
+      this.volumeCurves.set(pair.name, new VolumeCurve(pair.volumeCurve));
+    }
+
+    return this.volumeCurves.get(pair.name);
+  }
+
+  toFusionVolume(pair, sonosVolume) {
+    return this.getVolumeCurve(pair).toFusion(sonosVolume);
+  }
+
+  toSonosVolume(pair, fusionVolume) {
+    return this.getVolumeCurve(pair).toSonos(fusionVolume);
+  }
+
+  // Pairs without zones drive zone 1, which is what a single-zone stereo exposes
+  normalizeZones(zones, volumeSync) {
+    if (!Array.isArray(zones) || zones.length === 0) {
+      return [{ zone: 1, enabled: true, volumeSync: volumeSync !== false }];
+    }
+
+    return _.sortBy(zones.map(zone => ({
+      zone: zone.zone,
+      name: zone.name,
+      enabled: zone.enabled !== false,
+      volumeSync: zone.volumeSync !== false
+    })), 'zone');
+  }
+
+  getActiveZones(pair) {
+    return (pair.zones || []).filter(zone => zone.enabled);
+  }
+
+  getSyncedZones(pair) {
+    if (!pair.volumeSync) return [];
+    return this.getActiveZones(pair).filter(zone => zone.volumeSync);
+  }
+
+  getZone(pair, zoneNumber) {
+    return (pair.zones || []).find(zone => zone.zone === zoneNumber);
+  }
+
+  setZoneEnabled(pairName, zoneNumber, enabled) {
+    const pair = this.devicePairs.get(pairName);
+    const zone = pair && this.getZone(pair, zoneNumber);
+    if (!zone) return false;
+
+    zone.enabled = enabled;
+    this.app.debug(`${enabled ? 'Enabled' : 'Disabled'} zone ${zoneNumber} of device pair ${pairName}`);
     return true;
   }
 
@@ -66,19 +238,29 @@ class DeviceManager extends EventEmitter {
       name: config.name,
       sonosDevice: config.sonosDevice,
       fusionDevice: config.fusionDevice,
-      fusionInput: config.fusionInput.toLowerCase(),
+      fusionInput: sourceKey(config.fusionInput),
       volumeSync: config.volumeSync !== false,
+      zones: this.normalizeZones(config.zones, config.volumeSync),
+      volumeLeader: config.volumeLeader || 'last-writer',
+      volumeCurve: config.volumeCurve || null,
+      volumeLimits: config.volumeLimits || null,
+      autoPowerOn: config.autoPowerOn === true,
+      standby: config.standby || null,
+      compensation: config.compensation || null,
+      inputRules: config.inputRules || null,
       enabled: config.enabled !== false,
       lastActivity: null,
       status: 'ready'
     };
 
     this.devicePairs.set(config.name, pair);
+    this.volumeCurves.delete(config.name);
 
     this.app.debug(`Added device pair: ${pair.name}`, {
       sonos: pair.sonosDevice,
       fusion: pair.fusionDevice,
       input: pair.fusionInput,
+      zones: pair.zones.map(zone => zone.zone),
       volumeSync: pair.volumeSync,
       enabled: pair.enabled
     });
@@ -92,6 +274,8 @@ class DeviceManager extends EventEmitter {
     const pair = this.devicePairs.get(name);
     if (pair) {
       this.devicePairs.delete(name);
+      this.volumeCurves.delete(name);
+      this.activityLogs.delete(name);
       this.emit('devicePairRemoved', pair);
       this.app.debug(`Removed device pair: ${name}`);
     }
@@ -107,12 +291,24 @@ class DeviceManager extends EventEmitter {
     const oldEnabled = pair.enabled;
     Object.assign(pair, updates);
 
+    if (updates.fusionInput !== undefined) {
+      pair.fusionInput = sourceKey(updates.fusionInput);
+    }
+
+    if (updates.zones !== undefined) {
+      pair.zones = this.normalizeZones(updates.zones, pair.volumeSync);
+    }
+
+    this.volumeCurves.delete(name);
+
     this.app.debug(`Updated device pair: ${name}`, updates);
 
     if (!oldEnabled && pair.enabled) {
       this.emit('devicePairReady', pair);
     } else if (oldEnabled && !pair.enabled) {
       this.emit('devicePairRemoved', pair);
+    } else {
+      this.emit('devicePairUpdated', pair);
     }
   }
 
@@ -121,13 +317,20 @@ class DeviceManager extends EventEmitter {
   }
 
   getPairBySonosDevice(deviceId) {
+    const identity = this.resolveDevice('sonos', deviceId);
     return Array.from(this.devicePairs.values())
-      .find(pair => pair.sonosDevice === deviceId && pair.enabled);
+      .find(pair => this.resolveDevice('sonos', pair.sonosDevice) === identity && pair.enabled);
   }
 
-  getPairByFusionDevice(deviceId) {
+  getPairByFusionDevice(deviceId, zoneNumber) {
+    return this.getPairsByFusionDevice(deviceId)
+      .find(pair => zoneNumber === undefined || this.getActiveZones(pair).some(zone => zone.zone === zoneNumber));
+  }
+
+  getPairsByFusionDevice(deviceId) {
+    const identity = this.resolveDevice('fusion', deviceId);
     return Array.from(this.devicePairs.values())
-      .find(pair => pair.fusionDevice === deviceId && pair.enabled);
+      .filter(pair => this.resolveDevice('fusion', pair.fusionDevice) === identity && pair.enabled);
   }
 
   getAllPairs() {
@@ -147,10 +350,19 @@ class DeviceManager extends EventEmitter {
         data: activity.data
       };
 
+      const log = this.activityLogs.get(pairName) || [];
+      log.push(pair.lastActivity);
+      this.activityLogs.set(pairName, log.slice(-ACTIVITY_LOG_SIZE));
+
       this.app.debug(`Updated pair activity: ${pairName}`, activity);
     }
   }
 
+  getPairActivity(pairName, type) {
+    const log = this.activityLogs.get(pairName) || [];
+    return type ? log.filter(entry => entry.type === type) : log.slice();
+  }
+
   updatePairStatus(pairName, status) {
     const pair = this.devicePairs.get(pairName);
     if (pair) {
@@ -164,19 +376,25 @@ class DeviceManager extends EventEmitter {
       .filter(pair => pair.fusionInput === fusionInput && pair.enabled);
   }
 
-  validateDeviceAssociation(sonosDevice, fusionDevice) {
+  validateDeviceAssociation(sonosDevice, fusionDevice, zones, excludePairName) {
     const existingSonosPair = this.getPairBySonosDevice(sonosDevice);
-    const existingFusionPair = this.getPairByFusionDevice(fusionDevice);
+    const requestedZones = this.normalizeZones(zones).map(zone => zone.zone);
 
     const conflicts = [];
 
-    if (existingSonosPair) {
+    if (existingSonosPair && existingSonosPair.name !== excludePairName) {
       conflicts.push(`Sonos device ${sonosDevice} is already paired with ${existingSonosPair.name}`);
     }
 
-    if (existingFusionPair) {
-      conflicts.push(`Fusion device ${fusionDevice} is already paired with ${existingFusionPair.name}`);
-    }
+    // Several pairs may share a stereo as long as each drives its own zones
+    this.getPairsByFusionDevice(fusionDevice).forEach(pair => {
+      if (pair.name === excludePairName) return;
+
+      const shared = pair.zones.map(zone => zone.zone).filter(zone => requestedZones.includes(zone));
+      if (shared.length > 0) {
+        conflicts.push(`Fusion device ${fusionDevice} zone ${shared.join(', ')} is already paired with ${pair.name}`);
+      }
+    });
 
     return {
       valid: conflicts.length === 0,
@@ -213,16 +431,345 @@ class DeviceManager extends EventEmitter {
     return stats;
   }
 
+  serializePair(pair) {
+    return {
+      name: pair.name,
+      sonosDevice: pair.sonosDevice,
+      fusionDevice: pair.fusionDevice,
+      fusionInput: pair.fusionInput ? sourceKey(pair.fusionInput) : pair.fusionInput,
+      volumeSync: pair.volumeSync !== false,
+      ...(pair.volumeLeader ? { volumeLeader: pair.volumeLeader } : {}),
+      zones: this.normalizeZones(pair.zones, pair.volumeSync).map(zone => _.omitBy(zone, _.isUndefined)),
+      ...(pair.volumeCurve ? { volumeCurve: pair.volumeCurve } : {}),
+      ...(pair.volumeLimits ? { volumeLimits: pair.volumeLimits } : {}),
+      ...(pair.autoPowerOn ? { autoPowerOn: true } : {}),
+      ...(pair.standby ? { standby: pair.standby } : {}),
+      ...(pair.compensation ? { compensation: pair.compensation } : {}),
+      ...(pair.inputRules && pair.inputRules.length > 0 ? { inputRules: pair.inputRules } : {}),
+      enabled: pair.enabled !== false
+    };
+  }
+
+  loadScenes(scenes) {
+    this.scenes.clear();
+
+    (scenes || []).forEach(scene => {
+      const error = this.validateScene(scene);
+      if (error) {
+        this.app.error(`Skipping invalid scene ${scene && scene.name}: ${error}`);
+        return;
+      }
+
+      this.scenes.set(scene.name, this.normalizeScene(scene));
+    });
+  }
+
+  // Pairs are checked when the scene is applied, so a scene survives a pair being renamed
+  validateScene(scene) {
+    if (!scene || typeof scene.name !== 'string' || !scene.name) {
+      return 'A scene needs a name';
+    }
+
+    if (!Array.isArray(scene.pairs) || scene.pairs.length === 0) {
+      return 'A scene needs at least one device pair';
+    }
+
+    for (const entry of scene.pairs) {
+      const error = this.validateSceneEntry(entry);
+      if (error) {
+        return `${entry && entry.name ? entry.name : 'Device pair'}: ${error}`;
+      }
+    }
+
+    const names = scene.pairs.map(entry => entry.name);
+    if (_.uniq(names).length !== names.length) {
+      return 'Each device pair can only appear once';
+    }
+
+    return null;
+  }
+
+  validateSceneEntry(entry) {
+    if (!entry || typeof entry.name !== 'string' || !entry.name) {
+      return 'the pair name is missing';
+    }
+
+    const flags = ['enabled', 'power', 'muted'];
+    for (const key of flags) {
+      if (entry[key] !== undefined && typeof entry[key] !== 'boolean') {
+        return `${key} must be true or false`;
+      }
+    }
+
+    if (entry.input !== undefined && (typeof entry.input !== 'string' || !entry.input)) {
+      return 'input must be a Fusion input name';
+    }
+
+    if (entry.volume !== undefined && (typeof entry.volume !== 'number' || entry.volume < 0 || entry.volume > 100)) {
+      return 'volume must be between 0 and 100';
+    }
+
+    if (entry.zones !== undefined) {
+      const valid = Array.isArray(entry.zones) && entry.zones.every(zone =>
+        Number.isInteger(zone.zone) && zone.zone >= 1 && zone.zone <= MAX_ZONES &&
+        typeof zone.volume === 'number' && zone.volume >= 0 && zone.volume <= 40);
+      if (!valid) {
+        return `zones need a zone (1-${MAX_ZONES}) and a volume (0-40)`;
+      }
+    }
+
+    if (entry.favorite !== undefined && (typeof entry.favorite !== 'string' || !entry.favorite)) {
+      return 'favorite must be the name of a Sonos favorite';
+    }
+
+    if (entry.media !== undefined && (!entry.media || typeof entry.media.uri !== 'string')) {
+      return 'media needs a uri';
+    }
+
+    if (entry.playback !== undefined && !PLAYBACK_STATES.includes(entry.playback)) {
+      return `playback must be one of ${PLAYBACK_STATES.join(', ')}`;
+    }
+
+    return null;
+  }
+
+  normalizeScene(scene) {
+    return {
+      name: scene.name,
+      pairs: scene.pairs.map(entry => _.omitBy({
+        name: entry.name,
+        enabled: entry.enabled,
+        power: entry.power,
+        input: entry.input ? sourceKey(entry.input) : undefined,
+        favorite: entry.favorite,
+        media: entry.media,
+        volume: entry.volume,
+        zones: entry.zones ? _.sortBy(entry.zones.map(zone => ({ zone: zone.zone, volume: zone.volume })), 'zone') : undefined,
+        playback: entry.playback,
+        muted: entry.muted
+      }, _.isUndefined))
+    };
+  }
+
+  getScenes() {
+    return Array.from(this.scenes.values()).map(scene => _.cloneDeep(scene));
+  }
+
+  getScene(name) {
+    const scene = this.scenes.get(name);
+    return scene ? _.cloneDeep(scene) : null;
+  }
+
+  saveScene(scene) {
+    const normalized = this.normalizeScene(scene);
+    this.scenes.set(normalized.name, normalized);
+    this.app.debug(`Saved scene: ${normalized.name}`);
+    return _.cloneDeep(normalized);
+  }
+
+  removeScene(name) {
+    if (!this.scenes.delete(name)) return false;
+
+    if (this.activeScene === name) {
+      this.activeScene = null;
+    }
+
+    this.app.debug(`Removed scene: ${name}`);
+    return true;
+  }
+
+  // Saves what the given pairs (all of them by default) are doing right now as a scene
+  async captureScene(name, pairNames) {
+    const pairs = Array.isArray(pairNames) && pairNames.length > 0
+      ? pairNames.map(pairName => this.devicePairs.get(pairName))
+      : Array.from(this.devicePairs.values());
+
+    if (pairs.some(pair => !pair)) {
+      throw new Error(`Unknown device pairs: ${pairNames.filter(pairName => !this.devicePairs.has(pairName)).join(', ')}`);
+    }
+
+    if (pairs.length === 0) {
+      throw new Error('There are no device pairs to capture');
+    }
+
+    const entries = [];
+    for (const pair of pairs) {
+      entries.push(await this.capturePair(pair));
+    }
+
+    return this.saveScene({ name, pairs: entries });
+  }
+
+  async capturePair(pair) {
+    if (!pair.enabled) {
+      return { name: pair.name, enabled: false };
+    }
+
+    const [power, input, volume, media, playback, muted] = await Promise.all([
+      this.actions.getPower(pair),
+      this.actions.getInput(pair),
+      this.actions.getVolume(pair),
+      this.actions.getMedia(pair),
+      this.actions.getPlaybackState(pair),
+      this.actions.isMuted(pair)
+    ]);
+
+    const zones = this.getActiveZones(pair)
+      .map(zone => ({ zone: zone.zone, volume: this.actions.getZoneVolume(pair, zone.zone) }))
+      .filter(zone => typeof zone.volume === 'number');
+
+    return _.omitBy({
+      name: pair.name,
+      enabled: true,
+      power: power === 'on' ? true : power === 'off' ? false : undefined,
+      input: input ? sourceKey(input) : undefined,
+      media: media || undefined,
+      volume: typeof volume === 'number' ? volume : undefined,
+      zones: zones.length > 0 ? zones : undefined,
+      playback: PLAYBACK_STATES.includes(playback) ? playback : undefined,
+      muted: typeof muted === 'boolean' ? muted : undefined
+    }, _.isUndefined);
+  }
+
+  // Scenes run one at a time. Unknown pairs stop a scene before anything is touched, and a
+  // scene that fails halfway is rolled back to what the pairs were doing before.
+  applyScene(name, origin) {
+    const apply = this.sceneQueue.then(() => this.runScene(name, origin));
+    this.sceneQueue = apply.catch(() => {});
+    return apply;
+  }
+
+  async runScene(name, origin) {
+    const scene = this.scenes.get(name);
+    if (!scene) {
+      throw new Error(`Scene not found: ${name}`);
+    }
+
+    const missing = scene.pairs.filter(entry => !this.devicePairs.has(entry.name)).map(entry => entry.name);
+    if (missing.length > 0) {
+      throw new Error(`Scene ${name} refers to unknown device pairs: ${missing.join(', ')}`);
+    }
+
+    const previous = [];
+    for (const entry of scene.pairs) {
+      previous.push(await this.capturePair(this.devicePairs.get(entry.name)));
+    }
+
+    const enabledBefore = scene.pairs.map(entry => this.devicePairs.get(entry.name).enabled);
+    const failures = [];
+
+    for (const entry of scene.pairs) {
+      const failed = await this.applySceneEntry(entry);
+      failed.forEach(step => failures.push(`${entry.name} ${step}`));
+    }
+
+    if (failures.length > 0) {
+      this.app.error(`Scene ${name} failed (${failures.join(', ')}), restoring the previous state`);
+
+      for (const entry of previous) {
+        await this.applySceneEntry(entry);
+      }
+    } else {
+      this.activeScene = name;
+    }
+
+    const applied = failures.length === 0;
+    scene.pairs.forEach(entry => {
+      this.updatePairActivity(entry.name, { type: 'scene', data: { scene: name, origin, applied, failures } });
+    });
+
+    const pairsChanged = scene.pairs.some((entry, index) => this.devicePairs.get(entry.name).enabled !== enabledBefore[index]);
+
+    if (applied) {
+      this.app.debug(`Applied scene ${name} from ${origin}`);
+      this.emit('sceneApplied', name);
+    }
+
+    return { scene: name, applied, failures, pairsChanged };
+  }
+
+  // Returns the steps that failed. Power and unmute come first and mute and power off last,
+  // so nothing is heard switching over.
+  async applySceneEntry(entry) {
+    const pair = this.devicePairs.get(entry.name);
+    const failed = [];
+
+    if (!pair) return failed;
+
+    if (entry.enabled === false) {
+      if (pair.enabled) {
+        this.updateDevicePair(pair.name, { enabled: false });
+      }
+      return failed;
+    }
+
+    if (entry.enabled === true && !pair.enabled) {
+      this.updateDevicePair(pair.name, { enabled: true });
+    }
+
+    // A disabled pair the scene doesn't enable has no devices to talk to
+    if (!pair.enabled) return failed;
+
+    const step = async (label, action) => {
+      try {
+        if (!await action()) {
+          failed.push(label);
+        }
+      } catch (error) {
+        this.app.error(`Scene step ${label} for ${pair.name} failed: ${error.message}`);
+        failed.push(label);
+      }
+    };
+
+    if (entry.power === true) {
+      await step('power', () => this.actions.setPower(pair, true));
+    }
+
+    if (entry.muted === false) {
+      await step('unmute', () => this.actions.setMuted(pair, false));
+    }
+
+    if (entry.input) {
+      await step('input', () => this.actions.switchInput(pair, entry.input));
+    }
+
+    if (entry.favorite) {
+      await step('favorite', () => this.actions.playFavorite(pair, entry.favorite));
+    } else if (entry.media) {
+      await step('media', () => this.actions.setMedia(pair, entry.media));
+    }
+
+    if (entry.volume !== undefined) {
+      await step('volume', () => this.actions.setVolume(pair, entry.volume));
+    }
+
+    // Synced zones follow the Sonos volume, so their own volume only applies without one
+    const synced = entry.volume !== undefined ? this.getSyncedZones(pair).map(zone => zone.zone) : [];
+    for (const zone of entry.zones || []) {
+      if (!synced.includes(zone.zone) && this.getZone(pair, zone.zone)) {
+        await step(`zone ${zone.zone}`, () => this.actions.setZoneVolume(pair, zone.zone, zone.volume));
+      }
+    }
+
+    if (entry.playback) {
+      await step('playback', () => this.actions.setPlayback(pair, entry.playback));
+    }
+
+    if (entry.muted === true) {
+      await step('mute', () => this.actions.setMuted(pair, true));
+    }
+
+    if (entry.power === false) {
+      await step('power', () => this.actions.setPower(pair, false));
+    }
+
+    return failed;
+  }
+
   exportConfiguration() {
     return {
-      devicePairs: Array.from(this.devicePairs.values()).map(pair => ({
-        name: pair.name,
-        sonosDevice: pair.sonosDevice,
-        fusionDevice: pair.fusionDevice,
-        fusionInput: pair.fusionInput,
-        volumeSync: pair.volumeSync,
-        enabled: pair.enabled
-      }))
+      devicePairs: Array.from(this.devicePairs.values()).map(pair => this.serializePair(pair)),
+      scenes: this.getScenes()
     };
   }
 
@@ -232,6 +779,8 @@ class DeviceManager extends EventEmitter {
     }
 
     this.devicePairs.clear();
+    this.volumeCurves.clear();
+    this.activityLogs.clear();
 
     config.devicePairs.forEach(pairConfig => {
       if (this.validatePairConfig(pairConfig)) {
@@ -241,7 +790,13 @@ class DeviceManager extends EventEmitter {
       }
     });
 
-    this.app.debug(`Imported ${this.devicePairs.size} device pairs`);
+    // Older exports have no scenes, which leaves the current ones alone
+    if (Array.isArray(config.scenes)) {
+      this.loadScenes(config.scenes);
+      this.activeScene = null;
+    }
+
+    this.app.debug(`Imported ${this.devicePairs.size} device pairs and ${this.scenes.size} scenes`);
   }
 
   getDiagnostics() {
@@ -249,7 +804,9 @@ class DeviceManager extends EventEmitter {
       deviceManager: {
         isStarted: this.isStarted,
         totalPairs: this.devicePairs.size,
-        enabledPairs: this.getEnabledPairs().length
+        enabledPairs: this.getEnabledPairs().length,
+        scenes: Array.from(this.scenes.keys()),
+        activeScene: this.activeScene
       },
       pairs: Array.from(this.devicePairs.values()).map(pair => ({
         name: pair.name,
@@ -259,7 +816,13 @@ class DeviceManager extends EventEmitter {
         sonosDevice: pair.sonosDevice,
         fusionDevice: pair.fusionDevice,
         fusionInput: pair.fusionInput,
-        volumeSync: pair.volumeSync
+        zones: pair.zones,
+        volumeSync: pair.volumeSync,
+        volumeCurve: this.getVolumeCurve(pair).toJSON(),
+        volumeLimits: pair.volumeLimits,
+        standby: pair.standby,
+        compensation: pair.compensation,
+        inputRules: pair.inputRules
       }))
     };
 
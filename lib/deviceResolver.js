@@ -0,0 +1,74 @@
+const EventEmitter = require('eventemitter3');
+
+class DeviceResolver extends EventEmitter {
+  constructor(app) {
+    super();
+    this.app = app;
+    this.identities = {
+      sonos: new Map(),
+      fusion: new Map()
+    };
+    this.aliases = {
+      sonos: new Map(),
+      fusion: new Map()
+    };
+  }
+
+  register(type, identity, address) {
+    const identities = this.identities[type];
+    const aliases = this.aliases[type];
+    if (!identities || !identity) return;
+
+    const previous = identities.get(identity);
+    identities.set(identity, { ...address, lastSeen: Date.now() });
+
+    if (previous && this.formatAddress(previous) !== this.formatAddress(address)) {
+      this.app.debug(`${type} device ${identity} moved: ${this.formatAddress(previous)} -> ${this.formatAddress(address)}`);
+      this.emit('addressChanged', type, identity, address, previous);
+    }
+
+    const alias = this.formatAddress(address);
+    if (alias && alias !== identity && aliases.get(alias) !== identity) {
+      aliases.set(alias, identity);
+      this.emit('identityResolved', type, identity, alias);
+    }
+  }
+
+  resolve(type, deviceId) {
+    if (!deviceId || !this.identities[type]) return null;
+
+    if (this.identities[type].has(deviceId)) {
+      return deviceId;
+    }
+
+    return this.aliases[type].get(deviceId) || null;
+  }
+
+  getAddress(type, deviceId) {
+    const identity = this.resolve(type, deviceId);
+    return identity ? this.identities[type].get(identity) : null;
+  }
+
+  formatAddress(address) {
+    if (!address) return null;
+    if (address.host) return `${address.host}:${address.port}`;
+    if (address.src !== undefined) return `n2k:${address.src}`;
+    return null;
+  }
+
+  getDiagnostics() {
+    const diagnostics = {};
+
+    Object.keys(this.identities).forEach(type => {
+      diagnostics[type] = Array.from(this.identities[type].entries()).map(([identity, address]) => ({
+        identity,
+        address: this.formatAddress(address),
+        lastSeen: address.lastSeen
+      }));
+    });
+
+    return diagnostics;
+  }
+}
+
+module.exports = { DeviceResolver };
@@ -0,0 +1,516 @@
+const EventEmitter = require('eventemitter3');
+
+const ACTIONS = ['duck', 'mute'];
+const TRIGGER_ACTIONS = ['duck', 'mute', 'pause'];
+const DEFAULT_STATES = ['alarm', 'emergency'];
+const DEFAULT_DUCK_TO = 20;
+const DEFAULT_DUCK_BY = 30;
+const NO_EFFECT = { mute: false, pause: false, duckTo: null };
+
+// Turns pairs down, mutes or pauses them while something needs to be heard over the music.
+// Every active reason is tracked per pair so overlapping alarms and triggers stack: the pair
+// stays ducked until the last one clears, and the deepest duck wins.
+class DuckingManager extends EventEmitter {
+  constructor(app, options, deviceManager, actions) {
+    super();
+    this.app = app;
+    this.options = options || {};
+    this.deviceManager = deviceManager;
+    this.actions = actions;
+    this.rules = (this.options.rules || [])
+      .map((rule, index) => ({ ...rule, index, pattern: toPattern(rule.path) }))
+      .filter(rule => {
+        const error = DuckingManager.validateRule(rule);
+        if (error) {
+          this.app.error(`Ignoring ducking rule ${rule.index + 1}: ${error}`);
+        }
+        return !error;
+      });
+    this.triggers = new Map();
+    this.releaseTimers = new Map();
+    this.states = new Map();
+    this.stopped = false;
+
+    (this.options.triggers || []).forEach(trigger => {
+      const error = DuckingManager.validateTrigger(trigger);
+      if (error) {
+        this.app.error(`Ignoring ducking trigger ${trigger && trigger.name}: ${error}`);
+      } else {
+        this.setTrigger(trigger);
+      }
+    });
+  }
+
+  static validateRule(rule) {
+    if (!rule || typeof rule.path !== 'string' || !rule.path) {
+      return 'A ducking rule needs a notification path';
+    }
+
+    if (rule.action !== undefined && !ACTIONS.includes(rule.action)) {
+      return `Unknown ducking action: ${rule.action}`;
+    }
+
+    if (rule.duckTo !== undefined && (typeof rule.duckTo !== 'number' || rule.duckTo < 0 || rule.duckTo > 100)) {
+      return 'duckTo must be a percentage between 0 and 100';
+    }
+
+    return null;
+  }
+
+  static validateTrigger(trigger) {
+    if (!trigger || typeof trigger.name !== 'string' || !trigger.name) {
+      return 'A ducking trigger needs a name';
+    }
+
+    if (typeof trigger.path !== 'string' || !trigger.path) {
+      return 'A ducking trigger needs a SignalK path';
+    }
+
+    if (trigger.condition !== undefined && trigger.condition !== '' && !parseCondition(trigger.condition)) {
+      return `Invalid condition: ${trigger.condition}`;
+    }
+
+    if (trigger.action !== undefined && !TRIGGER_ACTIONS.includes(trigger.action)) {
+      return `Unknown trigger action: ${trigger.action}`;
+    }
+
+    if (trigger.duckBy !== undefined && (typeof trigger.duckBy !== 'number' || trigger.duckBy < 0 || trigger.duckBy > 100)) {
+      return 'duckBy must be a percentage between 0 and 100';
+    }
+
+    if (trigger.releaseDelay !== undefined && (typeof trigger.releaseDelay !== 'number' || trigger.releaseDelay < 0)) {
+      return 'releaseDelay must be a positive number of seconds';
+    }
+
+    if (trigger.pairs !== undefined && !Array.isArray(trigger.pairs)) {
+      return 'pairs must be a list of pair names';
+    }
+
+    return null;
+  }
+
+  stop() {
+    this.stopped = true;
+    this.releaseTimers.forEach(timer => clearTimeout(timer));
+    this.releaseTimers.clear();
+    this.states.clear();
+  }
+
+  getState(pairName) {
+    if (!this.states.has(pairName)) {
+      this.states.set(pairName, {
+        reasons: new Map(),
+        applied: null,
+        savedVolume: null,
+        savedZones: {},
+        duckedVolume: null,
+        overridden: false,
+        mutedByDucking: false,
+        pausedByDucking: false,
+        queue: Promise.resolve()
+      });
+    }
+
+    return this.states.get(pairName);
+  }
+
+  isDucked(pairName) {
+    return this.getState(pairName).reasons.size > 0;
+  }
+
+  // A pause made here isn't the user stopping the music, so it mustn't count as going idle
+  isPausedByDucking(pairName) {
+    const state = this.states.get(pairName);
+    return state ? state.pausedByDucking : false;
+  }
+
+  getTriggers() {
+    return Array.from(this.triggers.values()).map(trigger => this.serializeTrigger(trigger));
+  }
+
+  getTrigger(name) {
+    const trigger = this.triggers.get(name);
+    return trigger ? this.serializeTrigger(trigger) : null;
+  }
+
+  serializeTrigger(trigger) {
+    return {
+      name: trigger.name,
+      path: trigger.path,
+      condition: trigger.condition || '',
+      pairs: trigger.pairs || [],
+      action: trigger.action || 'duck',
+      ...(trigger.action === undefined || trigger.action === 'duck'
+        ? { duckBy: trigger.duckBy !== undefined ? trigger.duckBy : DEFAULT_DUCK_BY }
+        : {}),
+      releaseDelay: trigger.releaseDelay || 0,
+      enabled: trigger.enabled !== false
+    };
+  }
+
+  getTriggerPaths() {
+    return Array.from(this.triggers.values())
+      .filter(trigger => trigger.enabled !== false)
+      .map(trigger => trigger.path);
+  }
+
+  // Replacing a trigger releases whatever the old definition was holding
+  setTrigger(config) {
+    this.releaseTrigger(config.name);
+
+    const trigger = this.serializeTrigger(config);
+    this.triggers.set(trigger.name, {
+      ...trigger,
+      pattern: toPattern(trigger.path),
+      match: parseCondition(trigger.condition)
+    });
+
+    return trigger;
+  }
+
+  removeTrigger(name) {
+    if (!this.triggers.has(name)) return false;
+
+    this.releaseTrigger(name);
+    this.triggers.delete(name);
+    return true;
+  }
+
+  releaseTrigger(name) {
+    const prefix = `trigger ${name}:`;
+
+    this.releaseTimers.forEach((timer, reason) => {
+      if (reason.startsWith(prefix)) {
+        clearTimeout(timer);
+        this.releaseTimers.delete(reason);
+      }
+    });
+
+    this.states.forEach((state, pairName) => {
+      const reasons = Array.from(state.reasons.keys()).filter(reason => reason.startsWith(prefix));
+      if (reasons.length === 0) return;
+
+      reasons.forEach(reason => state.reasons.delete(reason));
+      this.update(pairName);
+    });
+  }
+
+  getActiveReasons(prefix) {
+    const active = {};
+
+    this.states.forEach((state, pairName) => {
+      state.reasons.forEach((effect, reason) => {
+        if (reason.startsWith(prefix)) {
+          active[pairName] = active[pairName] || [];
+          active[pairName].push(reason.slice(prefix.length));
+        }
+      });
+    });
+
+    return active;
+  }
+
+  handleNotification(path, value) {
+    const active = value && typeof value === 'object' && value.state;
+
+    this.rules.forEach(rule => {
+      if (!rule.pattern.test(path)) return;
+
+      const reason = `notification ${rule.index}:${path}`;
+      const states = rule.states || DEFAULT_STATES;
+
+      if (active && states.includes(value.state)) {
+        this.activate(reason, rule.pairs, {
+          action: rule.action || 'duck',
+          duckTo: rule.duckTo !== undefined ? rule.duckTo : DEFAULT_DUCK_TO,
+          message: value.message
+        });
+      } else {
+        this.release(reason);
+      }
+    });
+  }
+
+  handleValue(path, value) {
+    this.triggers.forEach(trigger => {
+      if (trigger.enabled === false || !trigger.pattern.test(path)) return;
+
+      const reason = `trigger ${trigger.name}:${path}`;
+
+      if (trigger.match(value)) {
+        this.cancelRelease(reason);
+        this.activate(reason, trigger.pairs, {
+          action: trigger.action,
+          duckTo: 100 - (trigger.duckBy !== undefined ? trigger.duckBy : DEFAULT_DUCK_BY),
+          value
+        });
+      } else {
+        this.scheduleRelease(reason, trigger.releaseDelay);
+      }
+    });
+  }
+
+  // The release delay keeps a VHF call with short pauses from pumping the volume
+  scheduleRelease(reason, delay) {
+    if (this.releaseTimers.has(reason) || !this.isActive(reason)) return;
+
+    if (!delay) {
+      this.release(reason);
+      return;
+    }
+
+    this.releaseTimers.set(reason, setTimeout(() => {
+      this.releaseTimers.delete(reason);
+      this.release(reason);
+    }, delay * 1000));
+  }
+
+  cancelRelease(reason) {
+    const timer = this.releaseTimers.get(reason);
+    if (timer) {
+      clearTimeout(timer);
+      this.releaseTimers.delete(reason);
+    }
+  }
+
+  isActive(reason) {
+    return Array.from(this.states.values()).some(state => state.reasons.has(reason));
+  }
+
+  activate(reason, pairNames, effect) {
+    this.getTargetPairs(pairNames).forEach(pair => {
+      const state = this.getState(pair.name);
+      if (state.reasons.has(reason)) return;
+
+      this.app.debug(`Ducking ${pair.name}: ${reason} (${effect.action})`);
+      state.reasons.set(reason, { ...effect, since: Date.now() });
+      this.update(pair.name);
+    });
+  }
+
+  release(reason) {
+    this.states.forEach((state, pairName) => {
+      if (!state.reasons.delete(reason)) return;
+
+      this.app.debug(`Released ducking of ${pairName}: ${reason}`);
+      this.update(pairName);
+    });
+  }
+
+  getTargetPairs(pairNames) {
+    const pairs = this.deviceManager.getEnabledPairs();
+    if (!Array.isArray(pairNames) || pairNames.length === 0) return pairs;
+    return pairs.filter(pair => pairNames.includes(pair.name));
+  }
+
+  // Effects combine: any mute or pause applies, and the lowest duck level wins among ducks
+  getEffect(state) {
+    const effects = Array.from(state.reasons.values());
+    if (effects.length === 0) return null;
+
+    const ducks = effects.filter(effect => effect.action === 'duck');
+
+    return {
+      mute: effects.some(effect => effect.action === 'mute'),
+      pause: effects.some(effect => effect.action === 'pause'),
+      duckTo: ducks.length > 0 ? Math.min(...ducks.map(effect => effect.duckTo)) : null
+    };
+  }
+
+  update(pairName) {
+    const state = this.getState(pairName);
+
+    state.queue = state.queue
+      .then(() => this.apply(pairName))
+      .catch(error => this.app.error(`Ducking ${pairName} failed: ${error.message}`));
+
+    return state.queue;
+  }
+
+  async apply(pairName) {
+    const pair = this.deviceManager.getPairByName(pairName);
+    if (!pair || this.stopped) return;
+
+    const state = this.getState(pairName);
+    const effect = this.getEffect(state);
+    const wasDucked = state.applied !== null;
+    const previous = state.applied || NO_EFFECT;
+    const next = effect || NO_EFFECT;
+
+    if (sameEffect(previous, next)) return;
+
+    // Muting first means the mute remembers the undimmed volume
+    if (next.mute && !previous.mute && !this.actions.isMuted(pair)) {
+      state.mutedByDucking = await this.actions.setMuted(pair, true);
+    } else if (!next.mute && previous.mute && state.mutedByDucking) {
+      await this.actions.setMuted(pair, false);
+      state.mutedByDucking = false;
+    }
+
+    if (next.duckTo !== previous.duckTo) {
+      if (previous.duckTo === null) {
+        await this.saveVolume(pair, state);
+      }
+
+      if (next.duckTo === null) {
+        await this.restoreVolume(pair, state);
+      } else {
+        await this.duck(pair, state, next.duckTo);
+      }
+    }
+
+    if (next.pause && !previous.pause) {
+      if (await this.actions.getPlaybackState(pair) === 'playing') {
+        // Marked before the command goes out, the Sonos may report the pause before it returns
+        state.pausedByDucking = true;
+        state.pausedByDucking = await this.actions.pause(pair);
+      }
+    } else if (!next.pause && previous.pause && state.pausedByDucking) {
+      await this.actions.play(pair);
+      state.pausedByDucking = false;
+    }
+
+    state.applied = effect;
+    this.deviceManager.updatePairActivity(pair.name, {
+      type: 'ducking',
+      data: { effect, reasons: Array.from(state.reasons.keys()) }
+    });
+
+    if (wasDucked !== (effect !== null)) {
+      this.emit('duckingChanged', pair, effect !== null);
+    }
+  }
+
+  async saveVolume(pair, state) {
+    state.savedVolume = await this.actions.getSonosVolume(pair);
+    state.savedZones = {};
+    this.deviceManager.getActiveZones(pair).forEach(zone => {
+      state.savedZones[zone.zone] = this.actions.getFusionVolume(pair, zone.zone);
+    });
+    state.overridden = false;
+  }
+
+  async duck(pair, state, duckTo) {
+    if (state.savedVolume === null || state.savedVolume === undefined) return;
+
+    state.duckedVolume = Math.round(state.savedVolume * duckTo / 100);
+    await this.actions.setSonosVolume(pair, state.duckedVolume);
+
+    // Synced zones follow the Sonos, the others are turned down directly
+    if (!pair.volumeSync) {
+      await Promise.all(Object.keys(state.savedZones)
+        .filter(zone => typeof state.savedZones[zone] === 'number')
+        .map(zone => this.actions.setFusionVolume(pair, Number(zone), Math.round(state.savedZones[zone] * duckTo / 100))));
+    }
+  }
+
+  async restoreVolume(pair, state) {
+    // Whoever turned the volume while ducked has decided what it should be
+    if (state.overridden) {
+      this.app.debug(`Not restoring ${pair.name} volume, it was changed while ducked`);
+    } else if (state.savedVolume !== null && state.savedVolume !== undefined) {
+      await this.actions.setSonosVolume(pair, state.savedVolume);
+
+      if (!pair.volumeSync) {
+        await Promise.all(Object.keys(state.savedZones)
+          .filter(zone => typeof state.savedZones[zone] === 'number')
+          .map(zone => this.actions.setFusionVolume(pair, Number(zone), state.savedZones[zone])));
+      }
+    }
+
+    state.savedVolume = null;
+    state.savedZones = {};
+    state.duckedVolume = null;
+  }
+
+  handleSonosVolume(pair, volume) {
+    const state = this.states.get(pair.name);
+    if (!state || !state.applied || state.applied.duckTo === null || state.duckedVolume === null) return;
+
+    if (Math.abs(volume - state.duckedVolume) > 1) {
+      state.overridden = true;
+    }
+  }
+
+  forget(pairName) {
+    this.states.delete(pairName);
+  }
+
+  getDiagnostics() {
+    const diagnostics = {
+      rules: this.rules.map(rule => ({
+        path: rule.path,
+        states: rule.states || DEFAULT_STATES,
+        pairs: rule.pairs || [],
+        action: rule.action || 'duck',
+        duckTo: rule.duckTo !== undefined ? rule.duckTo : DEFAULT_DUCK_TO
+      })),
+      triggers: this.getTriggers(),
+      pendingReleases: Array.from(this.releaseTimers.keys()),
+      pairs: {}
+    };
+
+    this.states.forEach((state, pairName) => {
+      diagnostics.pairs[pairName] = {
+        ducked: state.applied !== null,
+        effect: state.applied,
+        reasons: Array.from(state.reasons.keys()),
+        savedVolume: state.savedVolume,
+        overridden: state.overridden,
+        paused: state.pausedByDucking
+      };
+    });
+
+    return diagnostics;
+  }
+}
+
+// Paths use * as a wildcard, e.g. notifications.navigation.* or propulsion.*.state
+function toPattern(path) {
+  const escaped = (path || '').split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+// Conditions are written as an operator and a value, e.g. "== started" or "> 1500".
+// Without a condition any truthy value triggers.
+function parseCondition(condition) {
+  if (condition === undefined || condition === null || condition === '') {
+    return value => Boolean(value);
+  }
+
+  const match = /^\s*(==|!=|>=|<=|>|<)\s*(.+?)\s*$/.exec(String(condition));
+  if (!match) return null;
+
+  const [, operator, raw] = match;
+  const expected = parseValue(raw);
+
+  switch (operator) {
+    case '==':
+      return value => value === expected || String(value) === String(expected);
+    case '!=':
+      return value => value !== undefined && value !== null && value !== expected && String(value) !== String(expected);
+    case '>':
+      return value => typeof value === 'number' && value > expected;
+    case '>=':
+      return value => typeof value === 'number' && value >= expected;
+    case '<':
+      return value => typeof value === 'number' && value < expected;
+    case '<=':
+      return value => typeof value === 'number' && value <= expected;
+  }
+
+  return null;
+}
+
+function parseValue(raw) {
+  if (raw === 'true') return true;
+  if (raw === 'false') return false;
+  if (raw !== '' && !isNaN(Number(raw))) return Number(raw);
+  return raw.replace(/^["']|["']$/g, '');
+}
+
+function sameEffect(a, b) {
+  return a.mute === b.mute && a.pause === b.pause && a.duckTo === b.duckTo;
+}
+
+module.exports = { DuckingManager, ACTIONS, TRIGGER_ACTIONS };
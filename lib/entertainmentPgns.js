@@ -0,0 +1,434 @@
+const PGN_FUSION_STATE = 130820;
+const PGN_CURRENT_FILE_STATUS = 130569;
+const PGN_LIBRARY_DATA_FILE = 130570;
+const PGN_LIBRARY_DATA_GROUP = 130571;
+const PGN_LIBRARY_DATA_SEARCH = 130572;
+const PGN_SUPPORTED_SOURCE_DATA = 130573;
+
+const FUSION_MANUFACTURER = [0xa3, 0x99];
+
+// canboat ENTERTAINMENT_* lookups
+const SOURCES = {
+  aux: 5,
+  usb: 6,
+  bluetooth: 11,
+  ethernet: 19
+};
+
+const PLAY_STATUS = {
+  playing: 0,
+  paused: 1,
+  stopped: 2
+};
+
+const LIBRARY_TYPES = {
+  file: 0,
+  playlist: 1,
+  genre: 2,
+  album: 3,
+  artist: 4,
+  track: 5,
+  station: 6,
+  playQueue: 9
+};
+
+// Play, pause, stop, skip forward, skip backward
+const PLAY_SUPPORT = 0x67;
+
+const FUSION_MESSAGES = {
+  trackInfo: 0x04,
+  track: 0x05,
+  artist: 0x06,
+  album: 0x07,
+  trackPosition: 0x09,
+  mute: 0x17
+};
+
+const FUSION_TRANSPORT = {
+  playing: 0x01,
+  paused: 0x02,
+  stopped: 0x00
+};
+
+// Field layouts in bus order, named as in canboat so the same values can be sent as canboat JSON
+const DEFINITIONS = {
+  [PGN_CURRENT_FILE_STATUS]: {
+    fields: [
+      ['Zone', 8],
+      ['Source', 8],
+      ['Number', 8],
+      ['ID', 32],
+      ['Play status', 16],
+      ['Elapsed Track Time', 16],
+      ['Track Time', 16],
+      ['Repeat Status', 4],
+      ['Shuffle Status', 4],
+      ['Save Favorite Number', 8],
+      ['Play Favorite Number', 16],
+      ['Thumbs Up/Down', 8],
+      ['Signal Strength', 8],
+      ['Radio Frequency', 32],
+      ['HD Frequency Multicast', 8],
+      ['Delete Favorite Number', 8],
+      ['Total Number of Tracks', 16]
+    ]
+  },
+  [PGN_LIBRARY_DATA_FILE]: {
+    fields: [
+      ['Source', 8],
+      ['Number', 8],
+      ['ID', 32],
+      ['Type', 8],
+      ['Name', 'string'],
+      ['Track', 16],
+      ['Station', 16],
+      ['Favorite', 8],
+      ['Radio Frequency', 32],
+      ['HD Frequency', 8],
+      ['Zone', 8],
+      ['In play queue', 2],
+      ['Locked', 2],
+      ['Reserved', 4],
+      ['Artist Name', 'string'],
+      ['Album Name', 'string'],
+      ['Station Name', 'string']
+    ]
+  },
+  [PGN_LIBRARY_DATA_GROUP]: {
+    fields: [
+      ['Source', 8],
+      ['Number', 8],
+      ['Type', 8],
+      ['Zone', 8],
+      ['Group ID', 32],
+      ['ID offset', 16],
+      ['ID count', 16],
+      ['Total ID count', 16],
+      ['ID type', 8]
+    ],
+    repeating: [
+      ['ID', 32],
+      ['Name', 'string']
+    ]
+  },
+  [PGN_LIBRARY_DATA_SEARCH]: {
+    fields: [
+      ['Source', 8],
+      ['Number', 8],
+      ['Group ID', 32],
+      ['Group type 1', 8],
+      ['Group name 1', 'string'],
+      ['Group type 2', 8],
+      ['Group name 2', 'string'],
+      ['Group type 3', 8],
+      ['Group name 3', 'string']
+    ]
+  },
+  [PGN_SUPPORTED_SOURCE_DATA]: {
+    fields: [
+      ['ID offset', 16],
+      ['ID count', 16],
+      ['Total ID count', 16]
+    ],
+    repeating: [
+      ['ID', 8],
+      ['Source', 8],
+      ['Number', 8],
+      ['Name', 'string'],
+      ['Play support', 32],
+      ['Browse support', 16],
+      ['Thumbs support', 2],
+      ['Connected', 2],
+      ['Repeat support', 2],
+      ['Shuffle support', 2]
+    ]
+  }
+};
+
+// NMEA2000 packs fields little endian, least significant bit first
+class BitWriter {
+  constructor() {
+    this.bytes = [];
+    this.bitOffset = 0;
+  }
+
+  writeBits(value, bits) {
+    for (let i = 0; i < bits; i++) {
+      const byteIndex = Math.floor(this.bitOffset / 8);
+      if (byteIndex >= this.bytes.length) {
+        this.bytes.push(0);
+      }
+
+      // Multiply instead of shift so 32 bit values do not overflow into the sign bit
+      if (Math.floor(value / Math.pow(2, i)) % 2 === 1) {
+        this.bytes[byteIndex] |= 1 << (this.bitOffset % 8);
+      }
+
+      this.bitOffset++;
+    }
+  }
+
+  writeBytes(bytes) {
+    this.bitOffset = Math.ceil(this.bitOffset / 8) * 8;
+    bytes.forEach(byte => this.writeBits(byte, 8));
+  }
+}
+
+function toAscii(text) {
+  return Array.from(String(text || ''))
+    .map(char => char.charCodeAt(0))
+    .map(code => code < 0x20 || code > 0x7e ? 0x3f : code);
+}
+
+// STRING_LAU: total length including the two header bytes, encoding (1 = ASCII), text
+function encodeStringLau(text) {
+  const chars = toAscii(text).slice(0, 253);
+  return [chars.length + 2, 0x01, ...chars];
+}
+
+// STRING_LZ as used by Fusion: length, text, terminating zero
+function encodeStringLz(text) {
+  const chars = toAscii(text).slice(0, 253);
+  return [chars.length, ...chars, 0x00];
+}
+
+// STRING_FIX: text padded to a fixed width with 0xff
+function encodeStringFix(text, length) {
+  const chars = toAscii(text).slice(0, length);
+  return [...chars, ...new Array(length - chars.length).fill(0xff)];
+}
+
+function writeField(writer, [name, size, resolution], values) {
+  const value = values[name];
+
+  if (size === 'string') {
+    writer.writeBytes(encodeStringLau(value));
+    return;
+  }
+
+  if (typeof size === 'string' && size.startsWith('fixed:')) {
+    writer.writeBytes(encodeStringFix(value, parseInt(size.slice(6), 10)));
+    return;
+  }
+
+  // Missing and reserved fields are sent as all ones, meaning "data not available"
+  const max = Math.pow(2, size) - 1;
+  const number = value === undefined || value === null || name === 'Reserved'
+    ? max
+    : Math.max(0, Math.min(max, Math.round(value / (resolution || 1))));
+
+  writer.writeBits(number, size);
+}
+
+function encodePgn(pgn, fields) {
+  const definition = DEFINITIONS[pgn];
+  if (!definition) {
+    throw new Error(`No encoding defined for PGN ${pgn}`);
+  }
+
+  return encodeFields(definition, fields);
+}
+
+function encodeFields(definition, fields) {
+  const writer = new BitWriter();
+  definition.fields.forEach(field => writeField(writer, field, fields));
+
+  if (definition.repeating) {
+    (fields.list || []).forEach(entry => {
+      definition.repeating.forEach(field => writeField(writer, field, entry));
+    });
+  }
+
+  return writer.bytes;
+}
+
+function toCanboatJson(pgn, fields, options = {}) {
+  return {
+    pgn,
+    prio: options.priority || 6,
+    src: options.src,
+    dst: options.dst !== undefined ? options.dst : 255,
+    fields: omitUndefined(fields)
+  };
+}
+
+function omitUndefined(fields) {
+  const result = {};
+
+  Object.keys(fields).forEach(key => {
+    if (key === 'list') {
+      result.list = fields.list.map(omitUndefined);
+    } else if (fields[key] !== undefined && fields[key] !== null) {
+      result[key] = fields[key];
+    }
+  });
+
+  return result;
+}
+
+function currentFileStatusFields(state) {
+  const track = state.currentTrack || {};
+
+  return {
+    'Zone': state.zone || 0,
+    'Source': state.source,
+    'Number': state.number,
+    'ID': state.trackId,
+    'Play status': PLAY_STATUS[state.playbackState],
+    'Elapsed Track Time': track.position,
+    'Track Time': track.duration,
+    'Repeat Status': state.repeat,
+    'Shuffle Status': state.shuffle
+  };
+}
+
+function libraryDataFileFields(state) {
+  const track = state.currentTrack || {};
+
+  return {
+    'Source': state.source,
+    'Number': state.number,
+    'ID': state.trackId,
+    'Type': LIBRARY_TYPES.track,
+    'Name': track.title || '',
+    'Zone': state.zone || 0,
+    'In play queue': 1,
+    'Locked': 0,
+    'Artist Name': track.artist || '',
+    'Album Name': track.album || '',
+    'Station Name': track.station || ''
+  };
+}
+
+function libraryDataGroupFields(state, group) {
+  const items = group.items || [];
+
+  return {
+    'Source': state.source,
+    'Number': state.number,
+    'Type': LIBRARY_TYPES[group.type] !== undefined ? LIBRARY_TYPES[group.type] : LIBRARY_TYPES.playQueue,
+    'Zone': state.zone || 0,
+    'Group ID': group.id || 0,
+    'ID offset': group.offset || 0,
+    'ID count': items.length,
+    'Total ID count': group.total !== undefined ? group.total : items.length,
+    'ID type': LIBRARY_TYPES.file,
+    list: items.map(item => ({ 'ID': item.id, 'Name': item.name }))
+  };
+}
+
+function libraryDataSearchFields(state, search) {
+  const groups = search.groups || [];
+  const fields = {
+    'Source': state.source,
+    'Number': state.number,
+    'Group ID': search.groupId || 0
+  };
+
+  for (let i = 0; i < 3; i++) {
+    const group = groups[i];
+    fields[`Group type ${i + 1}`] = group ? LIBRARY_TYPES[group.type] : undefined;
+    fields[`Group name ${i + 1}`] = group ? group.name : '';
+  }
+
+  return fields;
+}
+
+function supportedSourceFields(sources) {
+  return {
+    'ID offset': 0,
+    'ID count': sources.length,
+    'Total ID count': sources.length,
+    list: sources.map(source => ({
+      'ID': source.id,
+      'Source': source.source,
+      'Number': source.number,
+      'Name': source.name,
+      'Play support': PLAY_SUPPORT,
+      'Browse support': 0,
+      'Thumbs support': 0,
+      'Connected': source.connected === false ? 0 : 1,
+      'Repeat support': 1,
+      'Shuffle support': 1
+    }))
+  };
+}
+
+function writeUint(bytes, value, size) {
+  const max = Math.pow(2, size * 8) - 1;
+  let number = value === undefined || value === null ? max : Math.max(0, Math.min(max, Math.round(value)));
+
+  for (let i = 0; i < size; i++) {
+    bytes.push(number % 256);
+    number = Math.floor(number / 256);
+  }
+
+  return bytes;
+}
+
+function encodeFusionTrackInfo(state) {
+  const track = state.currentTrack || {};
+  const bytes = [...FUSION_MANUFACTURER, FUSION_MESSAGES.trackInfo, 0x80];
+
+  bytes.push(FUSION_TRANSPORT[state.playbackState] !== undefined ? FUSION_TRANSPORT[state.playbackState] : FUSION_TRANSPORT.stopped);
+  bytes.push(0x00);
+  writeUint(bytes, state.trackNumber || 0, 2);
+  writeUint(bytes, 0, 2);
+  writeUint(bytes, state.trackCount || 0, 2);
+  writeUint(bytes, 0, 2);
+  writeUint(bytes, (track.duration || 0) * 1000, 3);
+  writeUint(bytes, 0, 3);
+  writeUint(bytes, 0, 2);
+
+  return bytes;
+}
+
+function encodeFusionText(messageId, text) {
+  return [...FUSION_MANUFACTURER, messageId, 0x80, 0x00, 0x00, 0x00, 0x00, 0x00, ...encodeStringLz(text)];
+}
+
+function encodeFusionTrackPosition(state) {
+  const track = state.currentTrack || {};
+  return writeUint([...FUSION_MANUFACTURER, FUSION_MESSAGES.trackPosition, 0x80, 0x00], (track.position || 0) * 1000, 3);
+}
+
+function encodeFusionMute(muted) {
+  return [...FUSION_MANUFACTURER, FUSION_MESSAGES.mute, 0x80, muted ? 0x01 : 0x02];
+}
+
+function encodeFusionNowPlaying(state) {
+  const track = state.currentTrack || {};
+
+  return [
+    encodeFusionTrackInfo(state),
+    encodeFusionText(FUSION_MESSAGES.track, track.title || ''),
+    encodeFusionText(FUSION_MESSAGES.artist, track.artist || ''),
+    encodeFusionText(FUSION_MESSAGES.album, track.album || ''),
+    encodeFusionTrackPosition(state)
+  ];
+}
+
+module.exports = {
+  PGN_FUSION_STATE,
+  PGN_CURRENT_FILE_STATUS,
+  PGN_LIBRARY_DATA_FILE,
+  PGN_LIBRARY_DATA_GROUP,
+  PGN_LIBRARY_DATA_SEARCH,
+  PGN_SUPPORTED_SOURCE_DATA,
+  SOURCES,
+  encodePgn,
+  encodeFields,
+  encodeStringLau,
+  encodeStringFix,
+  encodeStringLz,
+  toCanboatJson,
+  currentFileStatusFields,
+  libraryDataFileFields,
+  libraryDataGroupFields,
+  libraryDataSearchFields,
+  supportedSourceFields,
+  encodeFusionNowPlaying,
+  encodeFusionTrackInfo,
+  encodeFusionTrackPosition,
+  encodeFusionMute
+};
@@ -2,12 +2,24 @@ const axios = require('axios');
 const bonjour = require('bonjour');
 const EventEmitter = require('eventemitter3');
 const os = require('os');
+const { FusionHttpTransport } = require('./fusionHttpTransport');
+const { FusionNmea2000Transport } = require('./fusionNmea2000Transport');
+const { DEFAULT_SOURCES, sourceKey, normalizeSources, findSource } = require('./fusionSources');
 
 class FusionController extends EventEmitter {
-  constructor(app) {
+  constructor(app, options, discoveryOptions, resolver) {
     super();
     this.app = app;
+    this.resolver = resolver || null;
+    this.options = options || {};
+    this.discoveryOptions = discoveryOptions || {};
+    this.transportMode = this.options.transport || 'both';
+    this.transports = {
+      http: new FusionHttpTransport(app),
+      nmea2000: new FusionNmea2000Transport(app)
+    };
     this.devices = new Map();
+    this.sourceCatalogs = new Map();
     this.discoveryInterval = null;
     this.pollingInterval = null;
     this.browsers = [];
@@ -22,9 +34,53 @@ class FusionController extends EventEmitter {
     this.logNetworkInterfaces();
     this.isStarted = true;
 
-    this.startDiscovery();
+    if (this.isTransportEnabled('nmea2000')) {
+      this.startNmea2000Transport();
+    }
+
+    if (this.isTransportEnabled('http')) {
+      this.startDiscovery();
+      this.startNetworkScan();
+    }
+
     this.startPolling();
-    this.startNetworkScan();
+  }
+
+  isTransportEnabled(name) {
+    return this.transportMode === 'both' || this.transportMode === name;
+  }
+
+  startNmea2000Transport() {
+    const transport = this.transports.nmea2000;
+
+    transport.on('deviceDiscovered', (deviceInfo) => {
+      this.app.debug('Fusion device discovered on NMEA2000:', deviceInfo);
+
+      const device = this.devices.get(deviceInfo.id);
+      if (device) {
+        device.src = deviceInfo.src;
+        device.lastSeen = Date.now();
+      } else {
+        this.devices.set(deviceInfo.id, {
+          ...deviceInfo,
+          lastSeen: Date.now(),
+          currentInput: null,
+          currentVolume: null
+        });
+      }
+
+      this.registerDevice(deviceInfo.id, { src: deviceInfo.src });
+    });
+
+    transport.on('status', (deviceId, status) => {
+      const device = this.getDevice(deviceId);
+      if (device) {
+        device.lastSeen = Date.now();
+        this.applyStatus(deviceId, device, status);
+      }
+    });
+
+    transport.start();
   }
 
   stop() {
@@ -66,10 +122,20 @@ class FusionController extends EventEmitter {
     });
     this.bonjourInstances = [];
 
+    Object.values(this.transports).forEach(transport => {
+      transport.stop();
+      if (transport.removeAllListeners) {
+        transport.removeAllListeners();
+      }
+    });
+
     this.devices.clear();
+    this.sourceCatalogs.clear();
   }
 
   addDevice(deviceId) {
+    deviceId = this.resolveDeviceId(deviceId);
+
     if (this.devices.has(deviceId)) {
       this.app.debug(`Fusion device ${deviceId} already added`);
       return;
@@ -90,74 +156,240 @@ class FusionController extends EventEmitter {
   }
 
   removeDevice(deviceId) {
+    deviceId = this.resolveDeviceId(deviceId);
+
     if (this.devices.has(deviceId)) {
       this.app.debug(`Removing Fusion device: ${deviceId}`);
       this.devices.delete(deviceId);
+      this.sourceCatalogs.delete(deviceId);
     }
   }
 
   async switchInput(deviceId, inputSource) {
-    const device = this.devices.get(deviceId);
+    const device = this.getDevice(deviceId);
     if (!device) {
       this.app.debug(`Fusion device ${deviceId} not found for input switching`);
-      return;
+      return false;
     }
 
     try {
-      const inputMap = {
-        'aux1': 1,
-        'aux2': 2,
-        'aux3': 3,
-        'usb': 4,
-        'bluetooth': 5,
-        'am': 6,
-        'fm': 7
-      };
-
-      const inputNumber = inputMap[inputSource.toLowerCase()];
-      if (!inputNumber) {
-        this.app.error(`Invalid input source: ${inputSource}`);
-        return;
+      // The default list is only a guess, so a stereo that didn't report its sources gets the name
+      const catalog = await this.getSources(deviceId);
+      const source = findSource(catalog.sources, inputSource) ||
+        (catalog.live ? null : { name: inputSource, input: sourceKey(inputSource) });
+      if (!source) {
+        this.app.error(`Invalid input source: ${inputSource} (${deviceId} has ${catalog.sources.map(entry => entry.input).join(', ')})`);
+        return false;
       }
 
-      const response = await this.sendCommand(device, 'setInput', { input: inputNumber });
+      const response = await this.sendCommand(device, 'setInput', { input: source.id, name: source.name });
 
       if (response.success) {
-        device.currentInput = inputSource;
-        this.app.debug(`Switched Fusion input: ${deviceId} -> ${inputSource}`);
-      } else {
-        this.app.error(`Failed to switch input: ${response.error}`);
+        device.currentInput = source.input;
+        this.app.debug(`Switched Fusion input: ${deviceId} -> ${source.name}`);
+        return true;
       }
+
+      this.app.error(`Failed to switch input: ${response.error}`);
+      return false;
     } catch (error) {
       this.app.error(`Failed to switch Fusion input: ${error.message}`);
+      return false;
     }
   }
 
-  async setVolume(deviceId, volume) {
-    const device = this.devices.get(deviceId);
+  // The stereo's own source list is cached for sourceCacheTime seconds. A stereo that can't
+  // report one gets the default list, which isn't cached so the next call asks again.
+  async getSources(deviceId, refresh = false) {
+    const device = this.getDevice(deviceId);
+    if (!device) return null;
+
+    deviceId = this.resolveDeviceId(deviceId);
+    const maxAge = (this.options.sourceCacheTime !== undefined ? this.options.sourceCacheTime : 600) * 1000;
+    const cached = this.sourceCatalogs.get(deviceId);
+
+    if (cached && !refresh && Date.now() - cached.updatedAt < maxAge) {
+      return cached;
+    }
+
+    try {
+      const response = await this.sendCommand(device, 'getSources');
+      const data = response.success ? response.data : null;
+      const sources = normalizeSources(Array.isArray(data) ? data : data && data.sources);
+
+      if (sources.length > 0) {
+        const catalog = { sources, live: true, updatedAt: Date.now() };
+        this.sourceCatalogs.set(deviceId, catalog);
+        this.app.debug(`Fusion ${deviceId} sources: ${sources.map(source => source.name).join(', ')}`);
+        return catalog;
+      }
+
+      this.app.debug(`Fusion ${deviceId} did not report its sources: ${response.error || 'empty list'}`);
+    } catch (error) {
+      this.app.debug(`Failed to get Fusion sources for ${deviceId}: ${error.message}`);
+    }
+
+    return cached || { sources: normalizeSources(DEFAULT_SOURCES), live: false, updatedAt: null };
+  }
+
+  // Returns an error message, or null when the stereo has the input or can't tell us its sources
+  async validateInput(deviceId, input) {
+    const catalog = await this.getSources(deviceId);
+    if (!catalog || !catalog.live || findSource(catalog.sources, input)) return null;
+
+    return `Fusion ${deviceId} has no input ${sourceKey(input)}; available: ${catalog.sources.map(source => source.input).join(', ')}`;
+  }
+
+  // Volume is in Fusion steps (0-40); pairs convert from Sonos with their volume curve
+  async setVolume(deviceId, volume, zone = 1) {
+    const device = this.getDevice(deviceId);
     if (!device) {
       this.app.debug(`Fusion device ${deviceId} not found for volume control`);
-      return;
+      return false;
     }
 
     try {
-      const fusionVolume = Math.round((volume / 100) * 40);
+      const fusionVolume = Math.max(0, Math.min(40, Math.round(volume)));
 
-      const response = await this.sendCommand(device, 'setVolume', { volume: fusionVolume });
+      const response = await this.sendCommand(device, 'setVolume', { volume: fusionVolume, zone });
 
       if (response.success) {
-        device.currentVolume = volume;
-        this.app.debug(`Set Fusion volume: ${deviceId} -> ${volume}%`);
-      } else {
-        this.app.error(`Failed to set volume: ${response.error}`);
+        if (zone === 1) {
+          device.currentVolume = fusionVolume;
+        }
+        this.app.debug(`Set Fusion volume: ${deviceId} zone ${zone} -> ${fusionVolume}/40`);
+        return true;
       }
+
+      this.app.error(`Failed to set volume: ${response.error}`);
+      return false;
     } catch (error) {
       this.app.error(`Failed to set Fusion volume: ${error.message}`);
+      return false;
+    }
+  }
+
+  async setMute(deviceId, muted) {
+    const device = this.getDevice(deviceId);
+    if (!device) {
+      this.app.debug(`Fusion device ${deviceId} not found for mute control`);
+      return false;
+    }
+
+    try {
+      const response = await this.sendCommand(device, 'setMute', { mute: muted });
+
+      if (response.success) {
+        this.updateMute(deviceId, device, muted);
+        this.app.debug(`Set Fusion mute: ${deviceId} -> ${muted}`);
+        return true;
+      }
+
+      this.app.error(`Failed to set mute: ${response.error}`);
+      return false;
+    } catch (error) {
+      this.app.error(`Failed to set Fusion mute: ${error.message}`);
+      return false;
     }
   }
 
+  async setPower(deviceId, on) {
+    const device = this.getDevice(deviceId);
+    if (!device) {
+      this.app.debug(`Fusion device ${deviceId} not found for power control`);
+      return false;
+    }
+
+    try {
+      const response = await this.sendCommand(device, 'setPower', { power: on });
+
+      // The power state is only taken from what the stereo reports, a sent command may still be dropped
+      if (response.success) {
+        this.app.debug(`Sent Fusion power: ${deviceId} -> ${on ? 'on' : 'off'}`);
+        return true;
+      }
+
+      this.app.error(`Failed to set power: ${response.error}`);
+      return false;
+    } catch (error) {
+      this.app.error(`Failed to set Fusion power: ${error.message}`);
+      return false;
+    }
+  }
+
+  async powerOn(deviceId) {
+    return this.setPower(deviceId, true);
+  }
+
+  async powerOff(deviceId) {
+    return this.setPower(deviceId, false);
+  }
+
+  // Falls back to the last state the stereo reported, by status or broadcast, when it doesn't answer
+  async getPower(deviceId) {
+    const device = this.getDevice(deviceId);
+    if (!device) return null;
+
+    const status = await this.getStatus(deviceId);
+    if (status && status.power) {
+      this.updatePower(deviceId, device, status.power);
+    }
+
+    return device.power || null;
+  }
+
+  // A stereo in standby takes a few seconds to boot and may drop the first command,
+  // so power on is repeated until the unit reports it is on
+  async ensurePowerOn(deviceId) {
+    const attempts = this.options.powerOnRetries !== undefined ? this.options.powerOnRetries : 5;
+    const retryDelay = this.options.powerOnRetryDelay !== undefined ? this.options.powerOnRetryDelay : 2000;
+
+    for (let attempt = 0; attempt <= attempts; attempt++) {
+      if (await this.getPower(deviceId) === 'on') {
+        return true;
+      }
+
+      if (attempt === attempts) break;
+
+      this.app.debug(`Powering on Fusion ${deviceId} (attempt ${attempt + 1} of ${attempts})`);
+      await this.powerOn(deviceId);
+      await new Promise(resolve => setTimeout(resolve, retryDelay));
+    }
+
+    this.app.error(`Fusion ${deviceId} did not power on after ${attempts} attempts`);
+    return false;
+  }
+
+  getZoneVolume(deviceId, zone = 1) {
+    const device = this.getDevice(deviceId);
+    if (!device) return null;
+
+    const volume = device.zoneVolumes ? device.zoneVolumes[zone - 1] : undefined;
+    if (volume !== undefined) return volume;
+    return zone === 1 && device.currentVolume !== undefined ? device.currentVolume : null;
+  }
+
+  getMute(deviceId) {
+    const device = this.getDevice(deviceId);
+    return device && device.muted !== undefined ? device.muted : null;
+  }
+
+  updateMute(deviceId, device, muted) {
+    if (device.muted === muted) return;
+
+    device.muted = muted;
+    this.emit('muteChanged', deviceId, muted);
+  }
+
+  updatePower(deviceId, device, power) {
+    if (device.power === power) return;
+
+    device.power = power;
+    this.emit('powerChanged', deviceId, power);
+  }
+
   async getStatus(deviceId) {
-    const device = this.devices.get(deviceId);
+    const device = this.getDevice(deviceId);
     if (!device) return null;
 
     try {
@@ -167,7 +399,9 @@ class FusionController extends EventEmitter {
         return {
           input: response.data.currentInput,
           volume: response.data.volume,
+          zones: response.data.zones,
           power: response.data.power,
+          mute: response.data.mute,
           source: response.data.source
         };
       }
@@ -238,6 +472,7 @@ class FusionController extends EventEmitter {
     });
 
     // Periodic refresh
+    const interval = (this.discoveryOptions.discoveryInterval || 30) * 1000;
     this.discoveryInterval = setInterval(() => {
       this.app.debug('Refreshing Fusion mDNS discovery...');
       this.browsers.forEach(browser => {
@@ -247,7 +482,7 @@ class FusionController extends EventEmitter {
           this.app.debug('Error updating browser:', error.message);
         }
       });
-    }, 30000);
+    }, interval);
 
     // Initial diagnostic log
     setTimeout(() => {
@@ -261,15 +496,7 @@ class FusionController extends EventEmitter {
         try {
           const status = await this.getStatus(deviceId);
           if (status) {
-            if (status.volume !== device.currentVolume) {
-              device.currentVolume = status.volume;
-              this.emit('volumeChanged', deviceId, status.volume);
-            }
-
-            if (status.input !== device.currentInput) {
-              device.currentInput = status.input;
-              this.emit('inputChanged', deviceId, status.input);
-            }
+            this.applyStatus(deviceId, device, status);
           }
         } catch (error) {
           this.app.debug(`Failed to poll device ${deviceId}: ${error.message}`);
@@ -278,6 +505,39 @@ class FusionController extends EventEmitter {
     }, 5000);
   }
 
+  applyStatus(deviceId, device, status) {
+    if (status.volume !== undefined && status.volume !== null && status.volume !== device.currentVolume) {
+      device.currentVolume = status.volume;
+      this.emit('volumeChanged', deviceId, status.volume);
+    }
+
+    // Stereos that only report a master volume are treated as a single zone
+    const zones = Array.isArray(status.zones) && status.zones.length > 0
+      ? status.zones
+      : (status.volume !== undefined && status.volume !== null ? [status.volume] : []);
+
+    device.zoneVolumes = device.zoneVolumes || [];
+    zones.forEach((volume, index) => {
+      if (volume !== undefined && volume !== null && volume !== device.zoneVolumes[index]) {
+        device.zoneVolumes[index] = volume;
+        this.emit('zoneVolumeChanged', deviceId, index + 1, volume);
+      }
+    });
+
+    if (status.input !== undefined && status.input !== null && status.input !== device.currentInput) {
+      device.currentInput = status.input;
+      this.emit('inputChanged', deviceId, status.input);
+    }
+
+    if (status.mute !== undefined && status.mute !== null) {
+      this.updateMute(deviceId, device, status.mute);
+    }
+
+    if (status.power !== undefined && status.power !== null) {
+      this.updatePower(deviceId, device, status.power);
+    }
+  }
+
   isFusionDevice(service) {
     const name = service.name ? service.name.toLowerCase() : '';
     const type = service.type ? service.type.toLowerCase() : '';
@@ -322,7 +582,12 @@ class FusionController extends EventEmitter {
       port: service.port
     });
 
-    if (!this.devices.has(deviceId)) {
+    const device = this.devices.get(deviceId);
+    if (device) {
+      device.host = service.host;
+      device.port = service.port;
+      device.lastSeen = Date.now();
+    } else {
       this.devices.set(deviceId, {
         id: deviceId,
         name: service.name,
@@ -333,6 +598,8 @@ class FusionController extends EventEmitter {
         currentVolume: null
       });
     }
+
+    this.registerDevice(deviceId, { host: service.host, port: service.port });
   }
 
   handleDeviceUnavailable(service) {
@@ -345,63 +612,65 @@ class FusionController extends EventEmitter {
   }
 
   findDeviceById(deviceId) {
-    return this.devices.get(deviceId);
+    return this.getDevice(deviceId);
+  }
+
+  getDevice(deviceId) {
+    return this.devices.get(this.resolveDeviceId(deviceId));
+  }
+
+  resolveDeviceId(deviceId) {
+    return (this.resolver && this.resolver.resolve('fusion', deviceId)) || deviceId;
+  }
+
+  registerDevice(deviceId, address) {
+    if (this.resolver) {
+      this.resolver.register('fusion', deviceId, address);
+    }
   }
 
   getDeviceId(service) {
+    // Prefer the advertised serial or mDNS instance name, they survive DHCP address changes
+    const txt = service.txt || {};
+    const serial = txt.serial || txt.sn || txt.serialNumber;
+    if (serial) {
+      return `fusion:${serial}`;
+    }
+
+    if (service.name) {
+      return service.name;
+    }
+
     return `${service.host}:${service.port}`;
   }
 
   async sendCommand(device, command, params = {}) {
-    try {
-      const url = `http://${device.host}:${device.port}/api/fusion/${command}`;
-
-      const response = await axios.post(url, params, {
-        timeout: 5000,
-        headers: {
-          'Content-Type': 'application/json',
-          'User-Agent': 'SignalK-Sonos-Fusion-Plugin/1.0'
-        }
-      });
-
+    const transport = this.transports[device.transport || 'http'];
+    if (!transport) {
       return {
-        success: true,
-        data: response.data
+        success: false,
+        error: `Unknown Fusion transport: ${device.transport}`
       };
-    } catch (error) {
-      if (error.response) {
-        return {
-          success: false,
-          error: `HTTP ${error.response.status}: ${error.response.statusText}`,
-          data: error.response.data
-        };
-      } else if (error.request) {
-        return {
-          success: false,
-          error: 'No response from device'
-        };
-      } else {
-        return {
-          success: false,
-          error: error.message
-        };
-      }
     }
+
+    return transport.sendCommand(device, command, params);
   }
 
   getAvailableDevices() {
     return Array.from(this.devices.values()).map(device => ({
       id: device.id,
+      serial: device.serial || null,
       name: device.name,
       host: device.host,
       port: device.port,
+      transport: device.transport || 'http',
       lastSeen: device.lastSeen,
       online: Date.now() - device.lastSeen < 60000 // Consider online if seen in last minute
     }));
   }
 
   async testConnection(deviceId) {
-    const device = this.devices.get(deviceId);
+    const device = this.getDevice(deviceId);
     if (!device) return false;
 
     try {
@@ -528,7 +797,7 @@ class FusionController extends EventEmitter {
         this.app.debug(`Found potential Fusion device via HTTP scan: ${host}:${port}`);
 
         // Add to devices if not already present
-        const deviceId = `${host}:${port}`;
+        const deviceId = this.resolveDeviceId(`${host}:${port}`);
         if (!this.devices.has(deviceId)) {
           this.devices.set(deviceId, {
             id: deviceId,
@@ -540,6 +809,7 @@ class FusionController extends EventEmitter {
           });
 
           this.app.debug(`Added Fusion device from network scan: ${deviceId}`);
+          this.registerDevice(deviceId, { host, port });
         }
       }
     } catch (error) {
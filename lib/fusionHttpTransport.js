@@ -0,0 +1,51 @@
+const axios = require('axios');
+
+class FusionHttpTransport {
+  constructor(app) {
+    this.app = app;
+    this.name = 'http';
+  }
+
+  start() {}
+
+  stop() {}
+
+  async sendCommand(device, command, params = {}) {
+    try {
+      const url = `http://${device.host}:${device.port}/api/fusion/${command}`;
+
+      const response = await axios.post(url, params, {
+        timeout: 5000,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'SignalK-Sonos-Fusion-Plugin/1.0'
+        }
+      });
+
+      return {
+        success: true,
+        data: response.data
+      };
+    } catch (error) {
+      if (error.response) {
+        return {
+          success: false,
+          error: `HTTP ${error.response.status}: ${error.response.statusText}`,
+          data: error.response.data
+        };
+      } else if (error.request) {
+        return {
+          success: false,
+          error: 'No response from device'
+        };
+      } else {
+        return {
+          success: false,
+          error: error.message
+        };
+      }
+    }
+  }
+}
+
+module.exports = { FusionHttpTransport };
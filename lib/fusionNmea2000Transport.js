@@ -0,0 +1,387 @@
+const EventEmitter = require('eventemitter3');
+const { sourceKey } = require('./fusionSources');
+
+// Fusion Electronics, manufacturer code 419, marine industry group
+const FUSION_MANUFACTURER = [0xa3, 0x99];
+const FUSION_MANUFACTURER_CODE = 419;
+
+const PGN_ISO_REQUEST = 59904;
+const PGN_ISO_ADDRESS_CLAIM = 60928;
+const PGN_FUSION_COMMAND = 126720;
+const PGN_FUSION_STATE = 130820;
+
+const COMMAND_IDS = {
+  requestStatus: 0x01,
+  setSource: 0x02,
+  mediaControl: 0x03,
+  setMute: 0x11,
+  setZoneVolume: 0x18,
+  setPower: 0x1c
+};
+
+const STATE_IDS = {
+  sourceName: 0x02,
+  mute: 0x17,
+  volume: 0x1d,
+  power: 0x20
+};
+
+function toHex(byte) {
+  return byte.toString(16).padStart(2, '0');
+}
+
+function encodeFusionCommand(command, params = {}) {
+  switch (command) {
+    case 'getStatus':
+    case 'getSources':
+    case 'ping':
+      return [...FUSION_MANUFACTURER, COMMAND_IDS.requestStatus, 0x00];
+    case 'setInput':
+      return [...FUSION_MANUFACTURER, COMMAND_IDS.setSource, 0x00, params.input & 0xff];
+    case 'setVolume':
+      // Zones are numbered 1-4, the stereo counts from 0
+      return [...FUSION_MANUFACTURER, COMMAND_IDS.setZoneVolume, 0x00,
+        ((params.zone || 1) - 1) & 0xff, Math.max(0, Math.min(40, params.volume))];
+    case 'setMute':
+      return [...FUSION_MANUFACTURER, COMMAND_IDS.setMute, 0x00, params.mute ? 0x01 : 0x02];
+    case 'setPower':
+      return [...FUSION_MANUFACTURER, COMMAND_IDS.setPower, 0x00, params.power ? 0x01 : 0x02];
+    default:
+      return null;
+  }
+}
+
+function toActisense(pgn, dst, data, priority = 7, src = 0) {
+  return [
+    new Date().toISOString(),
+    priority,
+    pgn,
+    src,
+    dst,
+    data.length,
+    ...data.map(toHex)
+  ].join(',');
+}
+
+function parseActisense(line) {
+  const parts = line.trim().split(',');
+  if (parts.length < 7) return null;
+
+  const length = parseInt(parts[5], 10);
+  return {
+    pgn: parseInt(parts[2], 10),
+    src: parseInt(parts[3], 10),
+    dst: parseInt(parts[4], 10),
+    data: parts.slice(6, 6 + length).map(byte => parseInt(byte, 16))
+  };
+}
+
+function decodeFusionState(data) {
+  if (!data || data.length < 4) return null;
+  if (data[0] !== FUSION_MANUFACTURER[0] || data[1] !== FUSION_MANUFACTURER[1]) return null;
+
+  switch (data[2]) {
+    case STATE_IDS.sourceName: {
+      const length = data[8] || 0;
+      const name = String.fromCharCode(...data.slice(9, 9 + length)).replace(/\0/g, '').trim();
+      return {
+        type: 'source',
+        sourceId: data[4],
+        currentSourceId: data[5],
+        name
+      };
+    }
+    case STATE_IDS.mute:
+      return { type: 'mute', mute: data[4] === 0x01 };
+    case STATE_IDS.volume:
+      return { type: 'volume', zones: [data[4], data[5], data[6], data[7]] };
+    case STATE_IDS.power:
+      return { type: 'power', power: data[4] === 0x01 ? 'on' : 'off' };
+    default:
+      return null;
+  }
+}
+
+// ISO NAME: 21 bit unique number followed by the 11 bit manufacturer code
+function decodeIsoName(data) {
+  if (!data || data.length < 8) return null;
+
+  return {
+    uniqueNumber: data[0] | (data[1] << 8) | ((data[2] & 0x1f) << 16),
+    manufacturerCode: (data[2] >> 5) | (data[3] << 3)
+  };
+}
+
+function decodeIsoNameFields(fields) {
+  if (!fields || fields['Unique Number'] === undefined) return null;
+
+  const code = fields['Manufacturer Code'];
+  return {
+    uniqueNumber: fields['Unique Number'],
+    manufacturerCode: code === 'Fusion Electronics' ? FUSION_MANUFACTURER_CODE : code
+  };
+}
+
+function encodeIsoRequest(pgn) {
+  return [pgn & 0xff, (pgn >> 8) & 0xff, (pgn >> 16) & 0xff];
+}
+
+function decodeFusionFields(fields) {
+  if (!fields) return null;
+
+  if (fields['Zone 1'] !== undefined) {
+    return {
+      type: 'volume',
+      zones: [fields['Zone 1'], fields['Zone 2'], fields['Zone 3'], fields['Zone 4']]
+    };
+  }
+
+  if (fields['Current Source ID'] !== undefined) {
+    return {
+      type: 'source',
+      sourceId: fields['Source ID'],
+      currentSourceId: fields['Current Source ID'],
+      name: fields['Source'] || ''
+    };
+  }
+
+  if (fields['Mute'] !== undefined) {
+    return { type: 'mute', mute: fields['Mute'] === 1 || fields['Mute'] === 'Muted' };
+  }
+
+  if (fields['State'] !== undefined) {
+    return { type: 'power', power: fields['State'] === 1 || fields['State'] === 'On' ? 'on' : 'off' };
+  }
+
+  return null;
+}
+
+function isFusionMessage(msg) {
+  const fields = msg.fields || {};
+  const code = fields['Manufacturer Code'];
+  return code === FUSION_MANUFACTURER_CODE || code === 'Fusion Electronics' ||
+    (Array.isArray(msg.data) && msg.data[0] === FUSION_MANUFACTURER[0] && msg.data[1] === FUSION_MANUFACTURER[1]);
+}
+
+class FusionNmea2000Transport extends EventEmitter {
+  constructor(app) {
+    super();
+    this.app = app;
+    this.name = 'nmea2000';
+    this.stereos = new Map();
+    this.identities = new Map();
+    this.listener = null;
+  }
+
+  start() {
+    if (this.listener) return;
+
+    this.listener = (msg) => this.handleMessage(msg);
+    this.app.on('N2KAnalyzerOut', this.listener);
+
+    this.app.debug('Fusion NMEA2000 transport listening for PGN 130820');
+  }
+
+  stop() {
+    if (this.listener) {
+      this.app.removeListener('N2KAnalyzerOut', this.listener);
+      this.listener = null;
+    }
+
+    this.stereos.clear();
+    this.identities.clear();
+  }
+
+  getDeviceId(uniqueNumber) {
+    return `fusion:${uniqueNumber}`;
+  }
+
+  getStereo(src) {
+    if (!this.stereos.has(src)) {
+      this.stereos.set(src, {
+        src,
+        identity: null,
+        sources: new Map(),
+        currentSourceId: null,
+        volume: null,
+        zones: [],
+        mute: null,
+        power: null,
+        lastSeen: Date.now()
+      });
+
+      // The stereo is only exposed once its address claim tells us who it is
+      this.app.emit('nmea2000out', toActisense(PGN_ISO_REQUEST, src, encodeIsoRequest(PGN_ISO_ADDRESS_CLAIM), 6));
+    }
+
+    return this.stereos.get(src);
+  }
+
+  handleAddressClaim(msg) {
+    const name = Array.isArray(msg.data) ? decodeIsoName(msg.data) : decodeIsoNameFields(msg.fields);
+    if (!name || name.manufacturerCode !== FUSION_MANUFACTURER_CODE) return;
+
+    const identity = this.getDeviceId(name.uniqueNumber);
+    const previousSrc = this.identities.get(identity);
+
+    let stereo;
+    if (previousSrc !== undefined && previousSrc !== msg.src && this.stereos.has(previousSrc)) {
+      this.app.debug(`Fusion stereo ${identity} moved from N2K address ${previousSrc} to ${msg.src}`);
+      stereo = this.stereos.get(previousSrc);
+      this.stereos.delete(previousSrc);
+      stereo.src = msg.src;
+      this.stereos.set(msg.src, stereo);
+    } else {
+      stereo = this.getStereo(msg.src);
+    }
+
+    if (stereo.identity === identity && previousSrc === msg.src) return;
+
+    stereo.identity = identity;
+    stereo.lastSeen = Date.now();
+    this.identities.set(identity, msg.src);
+
+    this.emit('deviceDiscovered', {
+      id: identity,
+      name: `Fusion Stereo ${name.uniqueNumber}`,
+      serial: String(name.uniqueNumber),
+      src: msg.src,
+      host: null,
+      port: null,
+      transport: this.name
+    });
+  }
+
+  handleFrame(line) {
+    const frame = typeof line === 'string' ? parseActisense(line) : line;
+    if (!frame) return;
+
+    this.handleMessage(frame);
+  }
+
+  handleMessage(msg) {
+    if (msg && msg.pgn === PGN_ISO_ADDRESS_CLAIM) {
+      this.handleAddressClaim(msg);
+      return;
+    }
+
+    if (!msg || msg.pgn !== PGN_FUSION_STATE || !isFusionMessage(msg)) return;
+
+    const state = Array.isArray(msg.data) ? decodeFusionState(msg.data) : decodeFusionFields(msg.fields);
+    if (!state) return;
+
+    const stereo = this.getStereo(msg.src);
+    stereo.lastSeen = Date.now();
+
+    const deviceId = stereo.identity;
+
+    switch (state.type) {
+      case 'source':
+        if (state.name) {
+          stereo.sources.set(state.sourceId, state.name);
+        }
+        if (state.currentSourceId !== stereo.currentSourceId) {
+          stereo.currentSourceId = state.currentSourceId;
+          this.emitStatus(deviceId, { input: this.getSourceName(stereo, state.currentSourceId) });
+        }
+        break;
+      case 'volume':
+        if (state.zones.some((volume, index) => volume !== stereo.zones[index])) {
+          stereo.zones = state.zones;
+          stereo.volume = state.zones[0];
+          this.emitStatus(deviceId, { volume: stereo.volume, zones: stereo.zones });
+        }
+        break;
+      case 'mute':
+        stereo.mute = state.mute;
+        this.emitStatus(deviceId, { mute: state.mute });
+        break;
+      case 'power':
+        stereo.power = state.power;
+        this.emitStatus(deviceId, { power: state.power });
+        break;
+    }
+  }
+
+  emitStatus(deviceId, status) {
+    if (deviceId) {
+      this.emit('status', deviceId, status);
+    }
+  }
+
+  getSourceName(stereo, sourceId) {
+    const name = stereo.sources.get(sourceId);
+    return name ? sourceKey(name) : sourceId;
+  }
+
+  resolveSourceId(stereo, params) {
+    if (params.name) {
+      for (const [id, name] of stereo.sources) {
+        if (sourceKey(name) === sourceKey(params.name)) {
+          return id;
+        }
+      }
+    }
+
+    return params.input;
+  }
+
+  async sendCommand(device, command, params = {}) {
+    const stereo = this.stereos.get(device.src);
+    if (!stereo) {
+      return { success: false, error: `No Fusion stereo seen at N2K address ${device.src}` };
+    }
+
+    if (command === 'setInput') {
+      params = { ...params, input: this.resolveSourceId(stereo, params) };
+      if (params.input === undefined) {
+        return { success: false, error: `Fusion stereo at N2K address ${device.src} has no source ${params.name}` };
+      }
+    }
+
+    const data = encodeFusionCommand(command, params);
+    if (!data) {
+      return { success: false, error: `Unsupported Fusion command: ${command}` };
+    }
+
+    this.app.emit('nmea2000out', toActisense(PGN_FUSION_COMMAND, device.src, data));
+
+    if (command === 'ping') {
+      return { success: Date.now() - stereo.lastSeen < 60000 };
+    }
+
+    // The stereo answers a status request by announcing its sources again, so a list
+    // that is still empty fills up on the next call
+    if (command === 'getSources') {
+      return {
+        success: true,
+        data: {
+          sources: Array.from(stereo.sources, ([id, name]) => ({ id, name })),
+          source: 'nmea2000'
+        }
+      };
+    }
+
+    return {
+      success: true,
+      data: {
+        currentInput: this.getSourceName(stereo, stereo.currentSourceId),
+        volume: stereo.volume,
+        zones: stereo.zones,
+        power: stereo.power,
+        mute: stereo.mute,
+        source: 'nmea2000'
+      }
+    };
+  }
+}
+
+module.exports = {
+  FusionNmea2000Transport,
+  encodeFusionCommand,
+  decodeFusionState,
+  decodeIsoName,
+  decodeFusionFields,
+  parseActisense,
+  toActisense
+};
@@ -0,0 +1,42 @@
+// What a Fusion without a source list is assumed to have, numbered the way the HTTP API
+// expects them
+const DEFAULT_SOURCES = [
+  { id: 1, name: 'AUX1' },
+  { id: 2, name: 'AUX2' },
+  { id: 3, name: 'AUX3' },
+  { id: 4, name: 'USB' },
+  { id: 5, name: 'Bluetooth' },
+  { id: 6, name: 'AM' },
+  { id: 7, name: 'FM' }
+];
+
+// Pairs refer to sources by name, lower case and without spaces, so a source the owner
+// renamed to "Sonos" is the input "sonos" and "AUX 1" is "aux1"
+function sourceKey(name) {
+  return name === undefined || name === null ? null : String(name).toLowerCase().replace(/\s+/g, '');
+}
+
+// Source lists come as [{ id, name }], or with sourceId as reported on NMEA2000
+function normalizeSources(sources) {
+  if (!Array.isArray(sources)) return [];
+
+  return sources
+    .map(source => ({
+      id: source.id !== undefined ? source.id : source.sourceId,
+      name: source.name
+    }))
+    .filter(source => source.id !== undefined && source.id !== null && source.name)
+    .map(source => ({ ...source, input: sourceKey(source.name) }));
+}
+
+// Matches an input name, a source name or a source id
+function findSource(sources, input) {
+  const key = sourceKey(input);
+  if (!key) return null;
+
+  return sources.find(source => source.input === key) ||
+    sources.find(source => String(source.id) === String(input)) ||
+    null;
+}
+
+module.exports = { DEFAULT_SOURCES, sourceKey, normalizeSources, findSource };
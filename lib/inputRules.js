@@ -0,0 +1,123 @@
+const { parseTime, isWithin } = require('./volumeLimits');
+const { sourceKey } = require('./fusionSources');
+
+const ACTIONS = ['switch', 'skip'];
+const LIST_CONDITIONS = ['sources', 'fusionInputs', 'groupedWith'];
+const FLAG_CONDITIONS = ['grouped', 'coordinator'];
+
+// Decides what happens to a pair's stereo when its Sonos starts playing. Rules are checked
+// in order and the first one whose conditions all hold wins: switch (optionally to another
+// input than the pair's own) or skip, leaving the stereo alone. Without a matching rule the
+// stereo is switched to the pair's input, as it always was.
+class InputRules {
+  constructor(app, deviceManager, actions) {
+    this.app = app;
+    this.deviceManager = deviceManager;
+    this.actions = actions;
+  }
+
+  static validate(rules) {
+    if (rules === undefined || rules === null) return null;
+    if (!Array.isArray(rules)) return 'inputRules must be a list of rules';
+
+    for (const rule of rules) {
+      if (!rule || !ACTIONS.includes(rule.action)) {
+        return `Rule action must be one of ${ACTIONS.join(', ')}`;
+      }
+
+      if (rule.input !== undefined && (rule.action !== 'switch' || typeof rule.input !== 'string' || !rule.input)) {
+        return 'Only switch rules take an input, as a Fusion input name';
+      }
+
+      const when = rule.when || {};
+
+      for (const key of LIST_CONDITIONS) {
+        if (when[key] !== undefined && (!Array.isArray(when[key]) || !when[key].every(value => typeof value === 'string'))) {
+          return `${key} must be a list of names`;
+        }
+      }
+
+      for (const key of FLAG_CONDITIONS) {
+        if (when[key] !== undefined && typeof when[key] !== 'boolean') {
+          return `${key} must be true or false`;
+        }
+      }
+
+      if (when.time !== undefined && (!when.time || parseTime(when.time.start) === null || parseTime(when.time.end) === null)) {
+        return 'Rule time needs start and end times as HH:MM';
+      }
+    }
+
+    return null;
+  }
+
+  hasRules(pair) {
+    return Array.isArray(pair.inputRules) && pair.inputRules.length > 0;
+  }
+
+  // Anything in the context, e.g. a source or a time, replaces what the devices report,
+  // so a dry run can ask what would happen in other circumstances
+  async evaluate(pair, context = {}, rules = pair.inputRules || []) {
+    const facts = await this.getContext(pair, context);
+    const index = rules.findIndex(rule => this.matches(rule.when || {}, facts));
+    const rule = index === -1 ? null : rules[index];
+
+    return {
+      action: rule ? rule.action : 'switch',
+      input: rule && rule.action === 'skip' ? null : (rule && rule.input ? sourceKey(rule.input) : pair.fusionInput),
+      rule: rule ? rule.name || `rule ${index + 1}` : null,
+      context: facts
+    };
+  }
+
+  async getContext(pair, context) {
+    const facts = { ...context };
+
+    if (facts.source === undefined) {
+      facts.source = this.actions.getSource(pair);
+    }
+
+    if (facts.fusionInput === undefined) {
+      const input = await this.actions.getInput(pair);
+      facts.fusionInput = input ? sourceKey(input) : null;
+    }
+
+    if (facts.grouped === undefined || facts.coordinator === undefined || facts.groupMembers === undefined) {
+      const group = this.actions.getGroup(pair);
+      facts.grouped = facts.grouped !== undefined ? facts.grouped : group.members.length > 0;
+      facts.coordinator = facts.coordinator !== undefined ? facts.coordinator : group.coordinator;
+      facts.groupMembers = facts.groupMembers !== undefined ? facts.groupMembers : group.members;
+    }
+
+    if (facts.time === undefined) {
+      const now = new Date();
+      facts.time = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+    }
+
+    return facts;
+  }
+
+  matches(when, facts) {
+    const includes = (list, value) => !!value && list.some(item => item.toLowerCase() === String(value).toLowerCase());
+
+    if (when.sources && !includes(when.sources, facts.source)) return false;
+    if (when.fusionInputs && !when.fusionInputs.some(input => sourceKey(input) === sourceKey(facts.fusionInput))) return false;
+    if (when.groupedWith && !when.groupedWith.some(name => includes(facts.groupMembers || [], name))) return false;
+
+    if (when.grouped !== undefined && when.grouped !== facts.grouped) return false;
+    if (when.coordinator !== undefined && when.coordinator !== facts.coordinator) return false;
+
+    if (when.time) {
+      const minutes = parseTime(facts.time);
+      if (minutes === null) return false;
+
+      const date = new Date();
+      date.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+      if (!isWithin(when.time, date)) return false;
+    }
+
+    return true;
+  }
+}
+
+module.exports = { InputRules, ACTIONS };
@@ -0,0 +1,181 @@
+const EventEmitter = require('eventemitter3');
+
+const ECHO_WINDOW = 3000;
+
+// Mutes a pair's Sonos and Fusion together and remembers the volumes from before.
+// A device that can't mute is silenced by setting its volume to 0 instead, and
+// unmuting puts the remembered volumes back either way.
+class MuteManager extends EventEmitter {
+  constructor(app, deviceManager, actions) {
+    super();
+    this.app = app;
+    this.deviceManager = deviceManager;
+    this.actions = actions;
+    this.states = new Map();
+    this.stopped = false;
+  }
+
+  // Changes still queued when the plugin stops are dropped
+  stop() {
+    this.stopped = true;
+    this.states.clear();
+  }
+
+  getState(pairName) {
+    if (!this.states.has(pairName)) {
+      this.states.set(pairName, {
+        muted: false,
+        sonosVolume: null,
+        zoneVolumes: {},
+        sonosByVolume: false,
+        fusionByVolume: false,
+        changedAt: null,
+        commandedAt: 0,
+        queue: Promise.resolve(true)
+      });
+    }
+
+    return this.states.get(pairName);
+  }
+
+  isMuted(pairName) {
+    return this.getState(pairName).muted;
+  }
+
+  setMuted(pair, muted, origin) {
+    return this.enqueue(pair, () => muted, origin);
+  }
+
+  toggle(pair, origin) {
+    return this.enqueue(pair, state => !state.muted, origin);
+  }
+
+  // Changes are applied one at a time, so a double press can't interleave mute and unmute
+  enqueue(pair, getMuted, origin) {
+    const state = this.getState(pair.name);
+
+    state.queue = state.queue
+      .then(() => this.apply(pair, getMuted(state), origin))
+      .catch(error => {
+        this.app.error(`Mute for ${pair.name} failed: ${error.message}`);
+        return false;
+      });
+
+    return state.queue;
+  }
+
+  async apply(pair, muted, origin) {
+    if (this.stopped) return false;
+
+    const state = this.getState(pair.name);
+    if (state.muted === muted) return true;
+
+    state.commandedAt = Date.now();
+    const success = muted ? await this.mute(pair, state) : await this.unmute(pair, state);
+    state.commandedAt = Date.now();
+
+    if (success) {
+      state.muted = muted;
+      state.changedAt = Date.now();
+      this.emit('muteChanged', pair, muted);
+    }
+
+    this.app.debug(`${muted ? 'Mute' : 'Unmute'} ${pair.name} from ${origin} ${success ? 'applied' : 'failed'}`);
+    this.deviceManager.updatePairActivity(pair.name, {
+      type: 'mute',
+      data: { muted, origin, success, sonosVolume: state.sonosVolume }
+    });
+
+    return success;
+  }
+
+  async mute(pair, state) {
+    const zones = this.deviceManager.getActiveZones(pair);
+
+    state.sonosVolume = await this.actions.getSonosVolume(pair);
+    state.zoneVolumes = {};
+    zones.forEach(zone => {
+      state.zoneVolumes[zone.zone] = this.actions.getFusionVolume(pair, zone.zone);
+    });
+
+    const [sonosMuted, fusionMuted] = await Promise.all([
+      this.actions.setSonosMute(pair, true),
+      this.actions.setFusionMute(pair, true)
+    ]);
+
+    state.sonosByVolume = !sonosMuted && await this.actions.setSonosVolume(pair, 0);
+    state.fusionByVolume = false;
+    if (!fusionMuted) {
+      const results = await Promise.all(zones.map(zone => this.actions.setFusionVolume(pair, zone.zone, 0)));
+      state.fusionByVolume = results.some(Boolean);
+    }
+
+    return sonosMuted || fusionMuted || state.sonosByVolume || state.fusionByVolume;
+  }
+
+  async unmute(pair, state) {
+    const [sonosUnmuted, fusionUnmuted] = await Promise.all([
+      this.actions.setSonosMute(pair, false),
+      this.actions.setFusionMute(pair, false)
+    ]);
+
+    // Something may have pulled the volume down while muted, e.g. a chartplotter at 0
+    let sonosRestored = false;
+    if (state.sonosVolume !== null && state.sonosVolume !== undefined) {
+      sonosRestored = await this.actions.setSonosVolume(pair, state.sonosVolume);
+    }
+
+    let fusionRestored = false;
+    if (state.fusionByVolume || !pair.volumeSync) {
+      const results = await Promise.all(Object.keys(state.zoneVolumes)
+        .filter(zone => state.zoneVolumes[zone] !== null && state.zoneVolumes[zone] !== undefined)
+        .map(zone => this.actions.setFusionVolume(pair, Number(zone), state.zoneVolumes[zone])));
+      fusionRestored = results.some(Boolean);
+    }
+
+    // A device silenced by volume is only unmuted once it has its volume back
+    const success = sonosUnmuted || fusionUnmuted ||
+      (state.sonosByVolume && sonosRestored) || (state.fusionByVolume && fusionRestored);
+
+    if (success) {
+      state.sonosByVolume = false;
+      state.fusionByVolume = false;
+    }
+
+    return success;
+  }
+
+  // Mute pressed on one device is mirrored to the other. Devices report our own changes back,
+  // sometimes after a quicker second press, so reports right after a command are ignored.
+  handleDeviceMute(pair, side, muted) {
+    const state = this.getState(pair.name);
+    if (state.muted === muted || Date.now() - state.commandedAt < ECHO_WINDOW) {
+      return Promise.resolve(true);
+    }
+
+    return this.setMuted(pair, muted, side);
+  }
+
+  forget(pairName) {
+    this.states.delete(pairName);
+  }
+
+  getDiagnostics() {
+    const diagnostics = {};
+
+    this.states.forEach((state, pairName) => {
+      diagnostics[pairName] = {
+        muted: state.muted,
+        sonosVolume: state.sonosVolume,
+        zoneVolumes: state.zoneVolumes,
+        sonosByVolume: state.sonosByVolume,
+        fusionByVolume: state.fusionByVolume,
+        changedAt: state.changedAt
+      };
+    });
+
+    return diagnostics;
+  }
+}
+
+module.exports = { MuteManager };
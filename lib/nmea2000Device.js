@@ -0,0 +1,312 @@
+const EventEmitter = require('eventemitter3');
+const { encodeFields } = require('./entertainmentPgns');
+
+const PGN_ISO_REQUEST = 59904;
+const PGN_ISO_ADDRESS_CLAIM = 60928;
+const PGN_HEARTBEAT = 126993;
+const PGN_PRODUCT_INFORMATION = 126996;
+const PGN_CONFIGURATION_INFORMATION = 126998;
+
+const MAX_ADDRESS = 251;
+const HEARTBEAT_INTERVAL = 60000;
+const CLAIM_WAIT = 250;
+
+// Entertainment class, multimedia player function, marine industry group
+const NAME_DEFAULTS = {
+  manufacturerCode: 999,
+  deviceFunction: 140,
+  deviceClass: 125,
+  systemInstance: 0,
+  industryGroup: 4
+};
+
+const DEFINITIONS = {
+  [PGN_ISO_ADDRESS_CLAIM]: {
+    fields: [
+      ['Unique Number', 21],
+      ['Manufacturer Code', 11],
+      ['Device Instance Lower', 3],
+      ['Device Instance Upper', 5],
+      ['Device Function', 8],
+      ['Spare', 1],
+      ['Device Class', 7],
+      ['System Instance', 4],
+      ['Industry Group', 3],
+      ['Arbitrary address capable', 1]
+    ]
+  },
+  [PGN_PRODUCT_INFORMATION]: {
+    fields: [
+      ['NMEA 2000 Version', 16, 0.001],
+      ['Product Code', 16],
+      ['Model ID', 'fixed:32'],
+      ['Software Version Code', 'fixed:32'],
+      ['Model Version', 'fixed:32'],
+      ['Model Serial Code', 'fixed:32'],
+      ['Certification Level', 8],
+      ['Load Equivalency', 8]
+    ]
+  },
+  [PGN_CONFIGURATION_INFORMATION]: {
+    fields: [
+      ['Installation Description #1', 'string'],
+      ['Installation Description #2', 'string'],
+      ['Manufacturer Information', 'string']
+    ]
+  },
+  [PGN_HEARTBEAT]: {
+    fields: [
+      ['Data transmit offset', 16, 0.01],
+      ['Sequence Counter', 8],
+      ['Controller 1 State', 2],
+      ['Controller 2 State', 2],
+      ['Equipment Status', 2],
+      ['Reserved', 34]
+    ]
+  }
+};
+
+class NMEA2000Device extends EventEmitter {
+  constructor(app, options, deviceInfo, send) {
+    super();
+    this.app = app;
+    this.options = options || {};
+    this.deviceInfo = deviceInfo;
+    this.send = send;
+
+    const deviceInstance = deviceInfo.deviceInstance;
+    this.preferredAddress = this.options.sourceAddress !== undefined ? this.options.sourceAddress : deviceInstance;
+    this.address = this.preferredAddress;
+    this.name = {
+      ...NAME_DEFAULTS,
+      // Stable per device instance unless configured, so a reinstall keeps the same NAME
+      uniqueNumber: 0x5f000 + deviceInstance,
+      ...(this.options.name || {}),
+      deviceInstance
+    };
+
+    this.claimed = false;
+    this.claimTimer = null;
+    this.heartbeatSequence = 0;
+    this.heartbeatInterval = null;
+    this.listener = null;
+  }
+
+  start() {
+    if (this.listener) return;
+
+    this.listener = (msg) => this.handleMessage(msg);
+    this.app.on('N2KAnalyzerOut', this.listener);
+
+    this.claim();
+
+    this.heartbeatInterval = setInterval(() => this.sendHeartbeat(), HEARTBEAT_INTERVAL);
+  }
+
+  stop() {
+    if (this.listener) {
+      this.app.removeListener('N2KAnalyzerOut', this.listener);
+      this.listener = null;
+    }
+
+    if (this.heartbeatInterval) {
+      clearInterval(this.heartbeatInterval);
+      this.heartbeatInterval = null;
+    }
+
+    clearTimeout(this.claimTimer);
+    this.claimTimer = null;
+    this.claimed = false;
+  }
+
+  getNameFields() {
+    return {
+      'Unique Number': this.name.uniqueNumber,
+      'Manufacturer Code': this.name.manufacturerCode,
+      'Device Instance Lower': this.name.deviceInstance & 0x07,
+      'Device Instance Upper': this.name.deviceInstance >> 3,
+      'Device Function': this.name.deviceFunction,
+      'Spare': 0,
+      'Device Class': this.name.deviceClass,
+      'System Instance': this.name.systemInstance,
+      'Industry Group': this.name.industryGroup,
+      'Arbitrary address capable': 1
+    };
+  }
+
+  getNameBytes() {
+    return encodeFields(DEFINITIONS[PGN_ISO_ADDRESS_CLAIM], this.getNameFields());
+  }
+
+  // ISO 11783-5 keeps a new address quiet for 250 ms after the claim, so a device with a
+  // lower NAME can contest it before anything else is sent from it
+  claim() {
+    clearTimeout(this.claimTimer);
+    this.claimed = false;
+    this.claimAddress();
+
+    this.claimTimer = setTimeout(() => {
+      this.claimTimer = null;
+      this.claimed = true;
+      this.app.debug(`Claimed NMEA2000 address ${this.address}`);
+
+      this.sendProductInformation();
+      this.sendConfigurationInformation();
+    }, CLAIM_WAIT);
+  }
+
+  claimAddress(dst = 255) {
+    this.send(PGN_ISO_ADDRESS_CLAIM, this.getNameFields(), { dst, priority: 6, definition: DEFINITIONS[PGN_ISO_ADDRESS_CLAIM] });
+  }
+
+  sendProductInformation(dst = 255) {
+    const info = this.deviceInfo;
+
+    this.send(PGN_PRODUCT_INFORMATION, {
+      'NMEA 2000 Version': 2.1,
+      'Product Code': info.productCode,
+      'Model ID': info.model,
+      'Software Version Code': info.softwareVersion,
+      'Model Version': info.modelVersion,
+      'Model Serial Code': info.serialNumber,
+      'Certification Level': 0,
+      'Load Equivalency': 0
+    }, { dst, priority: 6, definition: DEFINITIONS[PGN_PRODUCT_INFORMATION] });
+  }
+
+  sendConfigurationInformation(dst = 255) {
+    this.send(PGN_CONFIGURATION_INFORMATION, {
+      'Installation Description #1': this.options.installationDescription1 || '',
+      'Installation Description #2': this.options.installationDescription2 || '',
+      'Manufacturer Information': this.deviceInfo.manufacturer
+    }, { dst, priority: 6, definition: DEFINITIONS[PGN_CONFIGURATION_INFORMATION] });
+  }
+
+  sendHeartbeat(dst = 255) {
+    if (!this.claimed) return;
+
+    this.send(PGN_HEARTBEAT, {
+      'Data transmit offset': HEARTBEAT_INTERVAL / 1000,
+      'Sequence Counter': this.heartbeatSequence,
+      'Controller 1 State': 0,
+      'Controller 2 State': 0,
+      'Equipment Status': 0
+    }, { dst, priority: 7, definition: DEFINITIONS[PGN_HEARTBEAT] });
+
+    // The counter wraps before 255, which means "not available"
+    this.heartbeatSequence = (this.heartbeatSequence + 1) % 253;
+  }
+
+  handleMessage(msg) {
+    if (!msg) return;
+
+    if (msg.pgn === PGN_ISO_REQUEST) {
+      this.handleIsoRequest(msg);
+    } else if (msg.pgn === PGN_ISO_ADDRESS_CLAIM && msg.src === this.address) {
+      this.handleAddressConflict(msg);
+    }
+  }
+
+  handleIsoRequest(msg) {
+    if (msg.dst !== 255 && msg.dst !== this.address) return;
+
+    const requested = this.getRequestedPgn(msg);
+    const dst = msg.dst === 255 ? 255 : msg.src;
+
+    // Only the claim itself may be sent until the address is ours
+    if (!this.claimed && requested !== PGN_ISO_ADDRESS_CLAIM) return;
+
+    switch (requested) {
+      case PGN_ISO_ADDRESS_CLAIM:
+        this.claimAddress(dst);
+        break;
+      case PGN_PRODUCT_INFORMATION:
+        this.sendProductInformation(dst);
+        break;
+      case PGN_CONFIGURATION_INFORMATION:
+        this.sendConfigurationInformation(dst);
+        break;
+      case PGN_HEARTBEAT:
+        this.sendHeartbeat(dst);
+        break;
+      default:
+        return;
+    }
+
+    this.app.debug(`Answered ISO request for PGN ${requested} from ${msg.src}`);
+  }
+
+  getRequestedPgn(msg) {
+    if (Array.isArray(msg.data)) {
+      return msg.data[0] | (msg.data[1] << 8) | (msg.data[2] << 16);
+    }
+
+    return msg.fields ? msg.fields['PGN'] : undefined;
+  }
+
+  handleAddressConflict(msg) {
+    // Our own claim echoed back by the gateway
+    if (this.isOwnClaim(msg)) return;
+
+    if (this.winsAddressClaim(msg)) {
+      this.app.debug(`NMEA2000 address ${this.address} contested, defending our claim`);
+      this.claimAddress();
+      return;
+    }
+
+    const previous = this.address;
+    this.address = this.nextAddress(previous);
+    this.app.debug(`NMEA2000 address ${previous} lost to another device, moving to ${this.address}`);
+
+    this.claim();
+    this.emit('addressChanged', this.address, previous);
+  }
+
+  isOwnClaim(msg) {
+    if (Array.isArray(msg.data)) {
+      return compareNames(msg.data, this.getNameBytes()) === 0;
+    }
+
+    return msg.fields && msg.fields['Unique Number'] === this.name.uniqueNumber;
+  }
+
+  // The lower NAME keeps the address. Parsed claims only carry lookup names, so without raw bytes we yield.
+  winsAddressClaim(msg) {
+    if (!Array.isArray(msg.data)) return false;
+    return compareNames(this.getNameBytes(), msg.data) < 0;
+  }
+
+  nextAddress(address) {
+    return (address + 1) % (MAX_ADDRESS + 1);
+  }
+
+  getDiagnostics() {
+    return {
+      address: this.address,
+      preferredAddress: this.preferredAddress,
+      claimed: this.claimed,
+      name: this.name,
+      heartbeatSequence: this.heartbeatSequence
+    };
+  }
+}
+
+// NAMEs compare as 64 bit little endian numbers
+function compareNames(a, b) {
+  for (let i = 7; i >= 0; i--) {
+    if (a[i] !== b[i]) {
+      return a[i] < b[i] ? -1 : 1;
+    }
+  }
+
+  return 0;
+}
+
+module.exports = {
+  NMEA2000Device,
+  PGN_ISO_REQUEST,
+  PGN_ISO_ADDRESS_CLAIM,
+  PGN_HEARTBEAT,
+  PGN_PRODUCT_INFORMATION,
+  PGN_CONFIGURATION_INFORMATION
+};
@@ -1,4 +1,36 @@
 const EventEmitter = require('eventemitter3');
+const _ = require('lodash');
+const {
+  PGN_FUSION_STATE,
+  PGN_CURRENT_FILE_STATUS,
+  PGN_LIBRARY_DATA_FILE,
+  PGN_LIBRARY_DATA_GROUP,
+  PGN_LIBRARY_DATA_SEARCH,
+  PGN_SUPPORTED_SOURCE_DATA,
+  SOURCES,
+  encodePgn,
+  encodeFields,
+  toCanboatJson,
+  currentFileStatusFields,
+  libraryDataFileFields,
+  libraryDataGroupFields,
+  libraryDataSearchFields,
+  supportedSourceFields,
+  encodeFusionNowPlaying,
+  encodeFusionMute
+} = require('./entertainmentPgns');
+const { toActisense } = require('./fusionNmea2000Transport');
+const { NMEA2000Device } = require('./nmea2000Device');
+
+// The Sonos queue and playlists, browsable from MFDs as library data groups
+const LIBRARY_GROUPS = {
+  queue: { id: 1, type: 'playQueue', name: 'Queue' },
+  playlists: { id: 2, type: 'playlist', name: 'Playlists' }
+};
+
+// Eight entries with names of up to 20 characters fill one 223 byte fast packet
+const LIBRARY_PAGE_SIZE = 8;
+const LIBRARY_NAME_LENGTH = 20;
 
 class NMEA2000Handler extends EventEmitter {
   constructor(app, options) {
@@ -7,8 +39,11 @@ class NMEA2000Handler extends EventEmitter {
     this.options = options || {};
     this.enabled = options.enabled !== false;
     this.deviceInstance = options.deviceInstance || 0;
+    this.outputFormat = options.outputFormat || 'canboat-json';
     this.pairStates = new Map();
     this.subscriptions = [];
+    this.device = null;
+    this.heartbeatInterval = null;
     this.isStarted = false;
   }
 
@@ -18,6 +53,11 @@ class NMEA2000Handler extends EventEmitter {
     this.app.debug('Starting NMEA2000 handler');
     this.isStarted = true;
 
+    this.device = new NMEA2000Device(this.app, this.options, this.getDeviceInfo(),
+      (pgn, fields, options) => this.sendDevicePGN(pgn, fields, options));
+    this.device.on('addressChanged', (address) => this.emit('addressChanged', address));
+    this.device.start();
+
     this.subscribeToNMEAMessages();
     this.startHeartbeat();
   }
@@ -31,6 +71,16 @@ class NMEA2000Handler extends EventEmitter {
     this.subscriptions.forEach(unsub => unsub());
     this.subscriptions = [];
 
+    if (this.heartbeatInterval) {
+      clearInterval(this.heartbeatInterval);
+      this.heartbeatInterval = null;
+    }
+
+    if (this.device) {
+      this.device.stop();
+      this.device = null;
+    }
+
     this.pairStates.clear();
   }
 
@@ -40,18 +90,6 @@ class NMEA2000Handler extends EventEmitter {
         this.handleDeltaMessage(delta);
       })
     );
-
-    this.subscriptions.push(
-      this.app.streambundle.getSelfBus('/vessels/self/entertainment/audio/*/controls/volume').onValue(delta => {
-        this.handleVolumeControl(delta);
-      })
-    );
-
-    this.subscriptions.push(
-      this.app.streambundle.getSelfBus('/vessels/self/entertainment/audio/*/controls/playback').onValue(delta => {
-        this.handlePlaybackControl(delta);
-      })
-    );
   }
 
   handleDeltaMessage(delta) {
@@ -97,6 +135,9 @@ class NMEA2000Handler extends EventEmitter {
       case 'source':
         this.handleNMEASourceControl(pairName, value);
         break;
+      case 'mute':
+        this.handleNMEAMuteControl(pairName, value);
+        break;
     }
   }
 
@@ -110,7 +151,15 @@ class NMEA2000Handler extends EventEmitter {
 
   handleNMEAPlaybackControl(pairName, playbackData) {
     if (typeof playbackData === 'string') {
-      this.emit('playbackControl', pairName, playbackData);
+      // Seek commands carry their position after the first colon, e.g. "seek:1:30"
+      const separator = playbackData.indexOf(':');
+      if (separator === -1) {
+        this.emit('playbackControl', pairName, playbackData);
+      } else {
+        this.emit('playbackControl', pairName, playbackData.slice(0, separator), playbackData.slice(separator + 1));
+      }
+    } else if (playbackData && typeof playbackData.command === 'string') {
+      this.emit('playbackControl', pairName, playbackData.command, playbackData.position);
     }
   }
 
@@ -120,42 +169,11 @@ class NMEA2000Handler extends EventEmitter {
     }
   }
 
-  handleVolumeControl(delta) {
-    if (!delta.context || !delta.updates) return;
-
-    const pathMatch = delta.context.match(/entertainment\/audio\/([^\/]+)\/controls\/volume/);
-    if (!pathMatch) return;
-
-    const pairName = pathMatch[1];
-
-    delta.updates.forEach(update => {
-      if (update.values) {
-        update.values.forEach(value => {
-          if (value.path === 'entertainment.audio.' + pairName + '.controls.volume') {
-            this.handleNMEAVolumeControl(pairName, value.value);
-          }
-        });
-      }
-    });
-  }
-
-  handlePlaybackControl(delta) {
-    if (!delta.context || !delta.updates) return;
-
-    const pathMatch = delta.context.match(/entertainment\/audio\/([^\/]+)\/controls\/playback/);
-    if (!pathMatch) return;
-
-    const pairName = pathMatch[1];
-
-    delta.updates.forEach(update => {
-      if (update.values) {
-        update.values.forEach(value => {
-          if (value.path === 'entertainment.audio.' + pairName + '.controls.playback') {
-            this.handleNMEAPlaybackControl(pairName, value.value);
-          }
-        });
-      }
-    });
+  // Chartplotters send true/false, or "toggle" for a single mute key
+  handleNMEAMuteControl(pairName, muteData) {
+    if (typeof muteData === 'boolean' || muteData === 'toggle') {
+      this.emit('muteControl', pairName, muteData);
+    }
   }
 
   updatePlaybackState(pairName, state) {
@@ -165,18 +183,29 @@ class NMEA2000Handler extends EventEmitter {
     pairState.playbackState = state;
     pairState.lastUpdate = Date.now();
 
-    this.sendPGN129540(pairName, pairState);
-    this.sendPGN129041(pairName, pairState);
+    this.sendCurrentFileStatus(pairName, pairState);
+    this.sendFusionNowPlaying(pairName, pairState);
   }
 
   updateVolume(pairName, volume) {
     if (!this.enabled || !this.isStarted) return;
 
+    // Zone volume belongs to the Fusion itself, so there is nothing to broadcast here
     const pairState = this.getPairState(pairName);
     pairState.volume = volume;
     pairState.lastUpdate = Date.now();
+  }
+
+  updateMute(pairName, muted) {
+    if (!this.enabled || !this.isStarted) return;
+
+    const pairState = this.getPairState(pairName);
+    pairState.muted = muted;
+    pairState.lastUpdate = Date.now();
+
+    if (!this.isClaimed()) return;
 
-    this.sendPGN129540(pairName, pairState);
+    this.app.emit('nmea2000out', toActisense(PGN_FUSION_STATE, 255, encodeFusionMute(muted), 6, this.getSourceAddress()));
   }
 
   updateTrack(pairName, track) {
@@ -184,17 +213,58 @@ class NMEA2000Handler extends EventEmitter {
 
     const pairState = this.getPairState(pairName);
     pairState.currentTrack = track;
+    pairState.trackId = (pairState.trackId + 1) % 0xfffffff0;
+    pairState.lastUpdate = Date.now();
+
+    this.sendCurrentFileStatus(pairName, pairState);
+    this.sendLibraryDataFile(pairName, pairState);
+    this.sendFusionNowPlaying(pairName, pairState);
+  }
+
+  updatePosition(pairName, position) {
+    if (!this.enabled || !this.isStarted) return;
+
+    const pairState = this.getPairState(pairName);
+    if (!pairState.currentTrack) return;
+
+    pairState.currentTrack = { ...pairState.currentTrack, position };
     pairState.lastUpdate = Date.now();
 
-    this.sendPGN129041(pairName, pairState);
+    this.sendCurrentFileStatus(pairName, pairState);
+  }
+
+  // Only groups that could be read and have changed are sent again
+  updateLibrary(pairName, library) {
+    if (!this.enabled || !this.isStarted || !this.isClaimed()) return;
+
+    const pairState = this.getPairState(pairName);
+
+    Object.keys(LIBRARY_GROUPS).forEach(key => {
+      if (!Array.isArray(library[key])) return;
+
+      const items = library[key].map((item, index) => ({
+        id: item.position || index + 1,
+        name: (item.title || '').slice(0, LIBRARY_NAME_LENGTH)
+      }));
+      if (_.isEqual(pairState.library[key], items)) return;
+
+      pairState.library[key] = items;
+      this.sendLibrary(pairName, LIBRARY_GROUPS[key], items);
+    });
   }
 
   getPairState(pairName) {
     if (!this.pairStates.has(pairName)) {
       this.pairStates.set(pairName, {
+        name: pairName,
+        number: this.pairStates.size + 1,
+        source: SOURCES.ethernet,
         playbackState: 'stopped',
         volume: 0,
+        muted: false,
         currentTrack: null,
+        trackId: 0,
+        library: {},
         lastUpdate: Date.now()
       });
     }
@@ -202,70 +272,116 @@ class NMEA2000Handler extends EventEmitter {
     return this.pairStates.get(pairName);
   }
 
-  sendPGN129540(pairName, state) {
-    const message = {
-      timestamp: new Date().toISOString(),
-      source: `sonos-fusion-plugin.${this.deviceInstance}`,
-      values: {
-        [`entertainment.audio.${pairName}.playbackState`]: {
-          value: state.playbackState,
-          timestamp: new Date().toISOString()
-        },
-        [`entertainment.audio.${pairName}.volume`]: {
-          value: state.volume / 100,
-          timestamp: new Date().toISOString()
-        }
-      }
-    };
+  sendPGN(pgn, fields, options = {}) {
+    if (!this.isClaimed()) return;
 
-    this.app.handleMessage('sonos-fusion-plugin', message);
+    const src = this.getSourceAddress();
+    const dst = options.dst !== undefined ? options.dst : 255;
+    const priority = options.priority || 6;
+
+    if (this.outputFormat === 'actisense') {
+      const data = options.definition ? encodeFields(options.definition, fields) : encodePgn(pgn, fields);
+      this.app.emit('nmea2000out', toActisense(pgn, dst, data, priority, src));
+    } else {
+      this.app.emit('nmea2000JsonOut', toCanboatJson(pgn, fields, { src, dst, priority }));
+    }
+  }
+
+  // The claim and device information always go out as raw frames from our own address.
+  // Gateways send canboat JSON from theirs, so the NAME would never show up on the bus.
+  sendDevicePGN(pgn, fields, options) {
+    const data = encodeFields(options.definition, fields);
+    this.app.emit('nmea2000out', toActisense(pgn, options.dst, data, options.priority, this.getSourceAddress()));
+  }
+
+  // Nothing else is sent until the bridge holds its address
+  isClaimed() {
+    return this.device !== null && this.device.claimed;
+  }
+
+  getSourceAddress() {
+    return this.device ? this.device.address : this.deviceInstance;
+  }
+
+  sendCurrentFileStatus(pairName, state) {
+    this.sendPGN(PGN_CURRENT_FILE_STATUS, currentFileStatusFields(state));
 
-    this.app.debug(`Sent PGN 129540 for ${pairName}:`, {
+    this.app.debug(`Sent PGN ${PGN_CURRENT_FILE_STATUS} for ${pairName}:`, {
       playbackState: state.playbackState,
-      volume: state.volume
+      trackId: state.trackId
     });
   }
 
-  sendPGN129041(pairName, state) {
+  sendLibraryDataFile(pairName, state) {
     if (!state.currentTrack) return;
 
-    const message = {
-      timestamp: new Date().toISOString(),
-      source: `sonos-fusion-plugin.${this.deviceInstance}`,
-      values: {
-        [`entertainment.audio.${pairName}.currentTrack.title`]: {
-          value: state.currentTrack.title,
-          timestamp: new Date().toISOString()
-        },
-        [`entertainment.audio.${pairName}.currentTrack.artist`]: {
-          value: state.currentTrack.artist,
-          timestamp: new Date().toISOString()
-        },
-        [`entertainment.audio.${pairName}.currentTrack.album`]: {
-          value: state.currentTrack.album,
-          timestamp: new Date().toISOString()
-        },
-        [`entertainment.audio.${pairName}.currentTrack.duration`]: {
-          value: state.currentTrack.duration,
-          timestamp: new Date().toISOString()
-        }
-      }
-    };
+    this.sendPGN(PGN_LIBRARY_DATA_FILE, libraryDataFileFields(state));
 
-    this.app.handleMessage('sonos-fusion-plugin', message);
+    this.app.debug(`Sent PGN ${PGN_LIBRARY_DATA_FILE} for ${pairName}:`, state.currentTrack);
+  }
 
-    this.app.debug(`Sent PGN 129041 for ${pairName}:`, state.currentTrack);
+  sendLibrary(pairName, group, items) {
+    this.sendLibraryDataSearch(pairName, { groupId: group.id, groups: [{ type: group.type, name: group.name }] });
+
+    for (let offset = 0; offset === 0 || offset < items.length; offset += LIBRARY_PAGE_SIZE) {
+      this.sendLibraryDataGroup(pairName, {
+        id: group.id,
+        type: group.type,
+        offset,
+        total: items.length,
+        items: items.slice(offset, offset + LIBRARY_PAGE_SIZE)
+      });
+    }
+
+    this.app.debug(`Sent PGN ${PGN_LIBRARY_DATA_GROUP} ${group.name.toLowerCase()} for ${pairName}: ${items.length} entries`);
+  }
+
+  sendLibraryDataGroup(pairName, group) {
+    this.sendPGN(PGN_LIBRARY_DATA_GROUP, libraryDataGroupFields(this.getPairState(pairName), group));
+  }
+
+  sendLibraryDataSearch(pairName, search) {
+    this.sendPGN(PGN_LIBRARY_DATA_SEARCH, libraryDataSearchFields(this.getPairState(pairName), search));
+  }
+
+  sendSupportedSources() {
+    const sources = Array.from(this.pairStates.values()).map(state => ({
+      id: state.number,
+      source: state.source,
+      number: state.number,
+      name: state.name
+    }));
+
+    if (sources.length === 0) return;
+
+    this.sendPGN(PGN_SUPPORTED_SOURCE_DATA, supportedSourceFields(sources));
+  }
+
+  // Fusion proprietary messages have no canboat JSON form we can rely on, so they go out as raw frames
+  sendFusionNowPlaying(pairName, state) {
+    if (!this.isClaimed()) return;
+
+    encodeFusionNowPlaying(state).forEach(data => {
+      this.app.emit('nmea2000out', toActisense(PGN_FUSION_STATE, 255, data, 6, this.getSourceAddress()));
+    });
+
+    this.app.debug(`Sent PGN ${PGN_FUSION_STATE} now playing for ${pairName}`);
   }
 
   startHeartbeat() {
-    setInterval(() => {
+    this.heartbeatInterval = setInterval(() => {
       if (!this.enabled || !this.isStarted) return;
 
       this.pairStates.forEach((state, pairName) => {
         if (Date.now() - state.lastUpdate < 30000) {
           this.sendHeartbeat(pairName, state);
         }
+
+        // Displays drop sources that go quiet, so status is repeated even without changes
+        this.sendCurrentFileStatus(pairName, state);
       });
+
+      this.sendSupportedSources();
     }, 10000);
   }
 
@@ -293,34 +409,27 @@ class NMEA2000Handler extends EventEmitter {
       deviceInstance: this.deviceInstance,
       manufacturer: 'WanderTracks',
       model: 'Sonos-Fusion Bridge',
+      modelVersion: '1.0',
+      productCode: 1001,
       softwareVersion: '1.0.0',
       serialNumber: `SF-${this.deviceInstance.toString().padStart(3, '0')}`
     };
   }
 
   sendDeviceInfo() {
-    const deviceInfo = this.getDeviceInfo();
+    if (!this.isClaimed()) return;
 
-    const message = {
-      timestamp: new Date().toISOString(),
-      source: `sonos-fusion-plugin.${this.deviceInstance}`,
-      values: {
-        'design.aisClass': {
-          value: 'B',
-          timestamp: new Date().toISOString()
-        },
-        'design.draft': {
-          value: {
-            maximum: 0,
-            minimum: 0,
-            current: 0
-          },
-          timestamp: new Date().toISOString()
-        }
-      }
-    };
+    this.device.sendProductInformation();
+    this.device.sendConfigurationInformation();
+  }
 
-    this.app.handleMessage('sonos-fusion-plugin', message);
+  getDiagnostics() {
+    return {
+      enabled: this.enabled,
+      outputFormat: this.outputFormat,
+      device: this.device ? this.device.getDiagnostics() : null,
+      pairs: Array.from(this.pairStates.keys())
+    };
   }
 }
 
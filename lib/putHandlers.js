@@ -0,0 +1,107 @@
+class PutHandlers {
+  constructor(app, pluginId) {
+    this.app = app;
+    this.pluginId = pluginId;
+    this.handlers = new Map();
+    this.registered = new Set();
+  }
+
+  register(path, handler) {
+    this.handlers.set(path, handler);
+
+    // The server keeps registrations for its lifetime, so each path is only registered once
+    if (this.registered.has(path)) return;
+    this.registered.add(path);
+
+    this.app.registerPutHandler('vessels.self', path, (context, putPath, value, callback) => {
+      return this.handlePut(putPath, value, callback);
+    }, this.pluginId);
+
+    this.app.debug(`Registered PUT handler: ${path}`);
+  }
+
+  registerPair(pairName, handlers) {
+    Object.keys(handlers).forEach(key => {
+      this.register(`entertainment.audio.${pairName}.${key}`, handlers[key]);
+    });
+  }
+
+  unregisterPair(pairName) {
+    const prefix = `entertainment.audio.${pairName}.`;
+
+    Array.from(this.handlers.keys())
+      .filter(path => path.startsWith(prefix))
+      .forEach(path => this.handlers.delete(path));
+  }
+
+  clear() {
+    this.handlers.clear();
+  }
+
+  handlePut(path, value, callback) {
+    const handler = this.handlers.get(path);
+    if (!handler) {
+      return {
+        state: 'COMPLETED',
+        statusCode: 404,
+        message: `No active device pair handles ${path}`
+      };
+    }
+
+    this.app.debug(`PUT ${path}:`, value);
+
+    handler(value)
+      .then(result => {
+        // Handlers return a PutResult when the outcome needs explaining, e.g. a clamped volume
+        const { value: resultValue, note } = result instanceof PutResult ? result : { value: result };
+
+        this.publish(path, resultValue);
+        callback({
+          state: 'COMPLETED',
+          statusCode: 200,
+          message: `${path} is now ${JSON.stringify(resultValue)}${note ? ` (${note})` : ''}`,
+          value: resultValue
+        });
+      })
+      .catch(error => {
+        this.app.error(`PUT ${path} failed: ${error.message}`);
+        callback({
+          state: 'COMPLETED',
+          statusCode: error.statusCode || 502,
+          message: error.message
+        });
+      });
+
+    return { state: 'PENDING' };
+  }
+
+  publish(path, value) {
+    if (value === undefined || value === null) return;
+
+    this.app.handleMessage(this.pluginId, {
+      updates: [{
+        timestamp: new Date().toISOString(),
+        values: [{ path, value }]
+      }]
+    });
+  }
+}
+
+class PutResult {
+  constructor(value, note) {
+    this.value = value;
+    this.note = note;
+  }
+}
+
+function putResult(value, note) {
+  return new PutResult(value, note);
+}
+
+function putError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+module.exports = { PutHandlers, putError, putResult };
@@ -1,14 +1,44 @@
-const { SonosDevice, SonosManager } = require('@svrooij/sonos');
+const { SonosDevice, SonosManager, SonosEventListener } = require('@svrooij/sonos');
 const EventEmitter = require('eventemitter3');
+const axios = require('axios');
+const _ = require('lodash');
 const os = require('os');
+const { ssdpSearch } = require('./sonosDiscovery');
+const { getSourceService, isRadio, parseStreamTitle } = require('./sonosMetadata');
+
+const PLAY_MODES = {
+  NORMAL: { shuffle: false, repeat: 'none' },
+  REPEAT_ALL: { shuffle: false, repeat: 'all' },
+  REPEAT_ONE: { shuffle: false, repeat: 'one' },
+  SHUFFLE_NOREPEAT: { shuffle: true, repeat: 'none' },
+  SHUFFLE: { shuffle: true, repeat: 'all' },
+  SHUFFLE_REPEAT_ONE: { shuffle: true, repeat: 'one' }
+};
+
+const REPEAT_MODES = ['none', 'all', 'one'];
 
 class SonosController extends EventEmitter {
-  constructor(app) {
+  constructor(app, options, discoveryOptions, resolver) {
     super();
     this.app = app;
+    this.resolver = resolver || null;
+    this.options = options || {};
+    this.discoveryOptions = discoveryOptions || {};
+    this.useEvents = this.options.useEvents !== false;
     this.devices = new Map();
+    this.deviceStates = new Map();
+    this.eventSubscriptions = new Map();
+    this.topologySubscription = null;
+    this.pollingDevices = new Set();
+    this.pendingDevices = new Set();
+    this.groups = new Map();
+    this.staticDevices = [];
+    this.discoveryStatus = null;
     this.manager = null;
     this.pollingInterval = null;
+    this.positionInterval = null;
+    this.subscriptionRetryInterval = null;
+    this.groupRefreshInterval = null;
     this.isStarted = false;
   }
 
@@ -19,52 +49,169 @@ class SonosController extends EventEmitter {
     this.logNetworkInterfaces();
     this.isStarted = true;
 
+    if (this.useEvents) {
+      this.configureEventListener();
+    }
+
     try {
-      this.app.debug('Creating SonosManager instance');
-      this.manager = new SonosManager();
+      await this.runDiscovery();
 
-      this.manager.on('device-discovered', (device) => {
-        this.app.debug('Sonos device discovered:', {
+      this.startPolling();
+      this.startPositionPolling();
+      this.startSubscriptionRetry();
+      this.startContinuousDiscovery();
+      this.startGroupRefresh();
+    } catch (error) {
+      this.app.error('Failed to start Sonos discovery:', error);
+      this.logDiscoveryDiagnostics();
+    }
+  }
+
+  async runDiscovery() {
+    const config = this.discoveryOptions.sonos || {};
+    const strategy = config.strategy || 'auto';
+    const autoDiscovery = this.discoveryOptions.autoDiscovery !== false;
+
+    this.discoveryStatus = {
+      strategy,
+      autoDiscovery,
+      startedAt: new Date().toISOString(),
+      completedAt: null,
+      attempts: []
+    };
+
+    this.app.debug(`Running Sonos discovery using '${strategy}' strategy`);
+
+    if ((strategy === 'auto' || strategy === 'static') && config.staticDevices) {
+      await this.loadStaticDevices(config.staticDevices);
+    }
+
+    if (!this.manager && (strategy === 'auto' || strategy === 'seed') && config.seedHosts) {
+      await this.initializeFromSeeds(config.seedHosts);
+    }
+
+    if (!this.manager && (strategy === 'auto' || strategy === 'ssdp')) {
+      if (autoDiscovery) {
+        await this.initializeFromSsdp(config.interfaces, config.ssdpTimeout || 10);
+      } else {
+        this.app.debug('SSDP discovery skipped, auto discovery is disabled');
+      }
+    }
+
+    this.discoveryStatus.completedAt = new Date().toISOString();
+
+    const devices = this.getKnownDevices();
+    this.app.debug(`Sonos discovery completed. Found ${devices.length} devices`);
+    if (devices.length === 0) {
+      this.app.debug('No Sonos devices found during initial discovery');
+      this.logDiscoveryDiagnostics();
+    } else {
+      devices.forEach(device => {
+        this.app.debug('Initial discovery found device:', {
           host: device.Host,
           port: device.Port,
-          name: device.Name,
-          uuid: device.Uuid
+          name: this.getDeviceName(device)
         });
-        this.handleDeviceDiscovered(device);
       });
+    }
 
-      this.manager.on('device-left', (device) => {
-        this.app.debug('Sonos device left:', device.Host);
-        this.handleDeviceUnavailable(device);
-      });
+    this.registerDevices();
+    this.attachPendingDevices();
+  }
 
-      this.app.debug('Starting Sonos discovery with 15 second timeout');
-      // TODO(mordred): Don't hardcode this here, why isn't discovery working?
-      const discoveredDevices = await this.manager.InitializeFromDevice('192.168.50.161');
-      // const discoveredDevices = await this.manager.InitializeWithDiscovery(15);
+  async loadStaticDevices(staticDevices) {
+    for (const entry of staticDevices) {
+      if (!entry.host) continue;
 
-      this.app.debug(`Sonos discovery completed. Found ${discoveredDevices.length} devices`);
-      if (discoveredDevices.length === 0) {
-        this.app.debug('No Sonos devices found during initial discovery');
-        this.logDiscoveryDiagnostics();
-      } else {
-        discoveredDevices.forEach(device => {
-          this.app.debug('Initial discovery found device:', {
-            host: device.Host,
-            port: device.Port,
-            name: device.Name
-          });
-        });
+      const port = entry.port || 1400;
+      if (this.staticDevices.some(device => device.Host === entry.host && device.Port === port)) continue;
+
+      const device = new SonosDevice(entry.host, port, undefined, entry.name);
+      const attempt = { method: 'static', target: `${entry.host}:${port}`, success: false };
+
+      try {
+        await device.LoadUuid();
+        attempt.success = true;
+      } catch (error) {
+        attempt.error = error.message;
       }
 
-      this.startPolling();
-      this.startContinuousDiscovery();
+      // Keep static devices even when unreachable, they may just be powered off
+      this.staticDevices.push(device);
+      this.discoveryStatus.attempts.push(attempt);
+    }
+  }
+
+  async initializeFromSeeds(seedHosts) {
+    for (const seed of seedHosts) {
+      const [host, port] = seed.split(':');
+      if (await this.initializeManager('seed', host, parseInt(port, 10) || 1400)) {
+        return;
+      }
+    }
+  }
+
+  async initializeFromSsdp(interfaces, timeoutSeconds) {
+    this.app.debug(`Starting Sonos SSDP discovery with ${timeoutSeconds} second timeout`);
+
+    const attempt = { method: 'ssdp', success: false };
+    this.discoveryStatus.attempts.push(attempt);
+
+    try {
+      const result = await ssdpSearch(interfaces, timeoutSeconds);
+      attempt.interfaces = result.interfaces;
+      attempt.responders = result.players;
+      attempt.success = result.players.length > 0;
     } catch (error) {
-      this.app.error('Failed to start Sonos discovery:', error);
-      this.logDiscoveryDiagnostics();
+      attempt.error = error.message;
+      return;
+    }
+
+    for (const player of attempt.responders) {
+      if (await this.initializeManager('ssdp', player.host, player.port)) {
+        return;
+      }
+    }
+  }
+
+  async initializeManager(method, host, port) {
+    const attempt = { method, target: `${host}:${port}`, success: false };
+    this.discoveryStatus.attempts.push(attempt);
+
+    try {
+      this.app.debug(`Initializing SonosManager from ${host}:${port}`);
+      const manager = new SonosManager();
+      await manager.InitializeFromDevice(host, port);
+
+      manager.OnNewDevice((device) => {
+        this.app.debug('Sonos device discovered:', {
+          host: device.Host,
+          port: device.Port,
+          uuid: device.Uuid
+        });
+        this.handleDeviceDiscovered(device);
+      });
+
+      this.manager = manager;
+      attempt.success = true;
+      attempt.devices = manager.Devices.length;
+      return true;
+    } catch (error) {
+      this.app.debug(`Failed to initialize SonosManager from ${host}:${port}: ${error.message}`);
+      attempt.error = error.message;
+      return false;
     }
   }
 
+  getDiscoveryDiagnostics() {
+    return {
+      ...this.discoveryStatus,
+      managerInitialized: this.manager !== null,
+      staticDevices: this.staticDevices.length,
+      pendingDevices: Array.from(this.pendingDevices)
+    };
+  }
+
   stop() {
     if (!this.isStarted) return;
 
@@ -76,80 +223,203 @@ class SonosController extends EventEmitter {
       this.pollingInterval = null;
     }
 
+    if (this.positionInterval) {
+      clearInterval(this.positionInterval);
+      this.positionInterval = null;
+    }
+
+    if (this.subscriptionRetryInterval) {
+      clearInterval(this.subscriptionRetryInterval);
+      this.subscriptionRetryInterval = null;
+    }
+
+    if (this.groupRefreshInterval) {
+      clearInterval(this.groupRefreshInterval);
+      this.groupRefreshInterval = null;
+    }
+
+    this.unsubscribeFromGroupEvents();
+    Array.from(this.eventSubscriptions.keys()).forEach(deviceId => {
+      this.unsubscribeFromDevice(deviceId);
+    });
+    this.pollingDevices.clear();
+    this.deviceStates.clear();
+
     if (this.discoveryInterval) {
       clearInterval(this.discoveryInterval);
       this.discoveryInterval = null;
     }
 
     if (this.manager) {
-      this.manager.removeAllListeners();
+      this.manager.CancelSubscription();
       this.manager = null;
     }
 
+    this.staticDevices = [];
+    this.pendingDevices.clear();
     this.devices.clear();
+    this.groups.clear();
   }
 
   addDevice(deviceId) {
-    if (this.devices.has(deviceId)) {
+    const identity = this.resolveDeviceId(deviceId);
+    if (this.devices.has(identity)) {
       this.app.debug(`Sonos device ${deviceId} already added`);
       return;
     }
 
-    const discoveredDevice = this.findDeviceById(deviceId);
+    const discoveredDevice = this.findDeviceById(identity);
     if (discoveredDevice) {
-      this.app.debug(`Adding Sonos device: ${deviceId}`);
-      this.devices.set(deviceId, discoveredDevice);
-      this.subscribeToDevice(deviceId, discoveredDevice);
+      this.app.debug(`Adding Sonos device: ${identity}`);
+      this.devices.set(identity, discoveredDevice);
+      this.pendingDevices.delete(deviceId);
+      this.subscribeToDevice(identity, discoveredDevice);
+
+      if (this.getGroup(identity)) {
+        this.emit('groupChanged', identity, this.getGroup(identity));
+      }
     } else {
-      this.app.debug(`Sonos device ${deviceId} not found`);
+      this.app.debug(`Sonos device ${deviceId} not found, waiting for discovery`);
+      this.pendingDevices.add(deviceId);
     }
   }
 
+  attachPendingDevices() {
+    Array.from(this.pendingDevices).forEach(deviceId => {
+      if (this.findDeviceById(deviceId)) {
+        this.addDevice(deviceId);
+      }
+    });
+  }
+
   removeDevice(deviceId) {
+    this.pendingDevices.delete(deviceId);
+    deviceId = this.resolveDeviceId(deviceId);
+
     if (this.devices.has(deviceId)) {
       this.app.debug(`Removing Sonos device: ${deviceId}`);
+      this.unsubscribeFromDevice(deviceId);
       this.devices.delete(deviceId);
+      this.deviceStates.delete(deviceId);
     }
   }
 
   async setVolume(deviceId, volume) {
-    const device = this.devices.get(deviceId);
+    const device = this.getDevice(deviceId);
     if (!device) {
       this.app.debug(`Sonos device ${deviceId} not found for volume control`);
-      return;
+      return false;
     }
 
     try {
       await device.SetVolume(volume);
       this.app.debug(`Set Sonos volume: ${deviceId} -> ${volume}`);
+      return true;
     } catch (error) {
       this.app.error(`Failed to set Sonos volume: ${error.message}`);
+      return false;
     }
   }
 
-  async adjustVolume(deviceId, volumeChange) {
-    const device = this.devices.get(deviceId);
+  // Returns the requested and applied volume, which differ when maxVolume caps the change
+  async adjustVolume(deviceId, volumeChange, maxVolume = 100) {
+    const device = this.getDevice(deviceId);
     if (!device) {
       this.app.debug(`Sonos device ${deviceId} not found for volume adjustment`);
-      return;
+      return null;
     }
 
     try {
-      const currentVolume = await device.GetVolume();
-      const newVolume = Math.max(0, Math.min(100, currentVolume + volumeChange));
+      const currentVolume = await this.fetchVolume(device);
+      const requested = Math.max(0, Math.min(100, currentVolume + volumeChange));
+      const newVolume = Math.min(requested, maxVolume);
       await device.SetVolume(newVolume);
       this.app.debug(`Adjusted Sonos volume: ${deviceId} -> ${volumeChange}`);
+      return { requested, volume: newVolume };
     } catch (error) {
       this.app.error(`Failed to adjust Sonos volume: ${error.message}`);
+      return null;
+    }
+  }
+
+  async play(deviceId) {
+    return this.sendTransportCommand(deviceId, 'play', device => device.Play());
+  }
+
+  async pause(deviceId) {
+    return this.sendTransportCommand(deviceId, 'pause', device => device.Pause());
+  }
+
+  async stopPlayback(deviceId) {
+    return this.sendTransportCommand(deviceId, 'stop', device => device.Stop());
+  }
+
+  async next(deviceId) {
+    return this.sendTransportCommand(deviceId, 'next', device => device.Next());
+  }
+
+  async previous(deviceId) {
+    return this.sendTransportCommand(deviceId, 'previous', device => device.Previous());
+  }
+
+  async seek(deviceId, position) {
+    const seconds = typeof position === 'number' ? position : this.parseDuration(position);
+    return this.sendTransportCommand(deviceId, 'seek', device => device.SeekPosition(this.formatDuration(seconds)));
+  }
+
+  // Grouped players follow their coordinator, so transport commands are sent there
+  async sendTransportCommand(deviceId, name, command) {
+    const device = this.getCoordinatorDevice(deviceId);
+    if (!device) {
+      this.app.debug(`Sonos device ${deviceId} not found for ${name}`);
+      return false;
+    }
+
+    try {
+      await command(device);
+      this.app.debug(`Sonos ${name}: ${deviceId}`);
+      return true;
+    } catch (error) {
+      this.app.error(`Failed to ${name} Sonos: ${error.message}`);
+      return false;
+    }
+  }
+
+  async setMute(deviceId, muted) {
+    const device = this.getDevice(deviceId);
+    if (!device) {
+      this.app.debug(`Sonos device ${deviceId} not found for mute control`);
+      return false;
+    }
+
+    try {
+      await device.RenderingControlService.SetMute({ InstanceID: 0, Channel: 'Master', DesiredMute: muted });
+      this.app.debug(`Set Sonos mute: ${deviceId} -> ${muted}`);
+      return true;
+    } catch (error) {
+      this.app.error(`Failed to set Sonos mute: ${error.message}`);
+      return false;
+    }
+  }
+
+  async getMute(deviceId) {
+    const device = this.getDevice(deviceId);
+    if (!device) return null;
+
+    try {
+      return await this.fetchMute(device);
+    } catch (error) {
+      this.app.error(`Failed to get mute: ${error.message}`);
+      return null;
     }
   }
 
   async getPlaybackState(deviceId) {
-    const device = this.devices.get(deviceId);
+    const device = this.getDevice(deviceId);
     if (!device) return null;
 
     try {
-      const state = await device.GetTransportInfo();
+      const state = await device.AVTransportService.GetTransportInfo();
       return this.normalizePlaybackState(state.CurrentTransportState);
     } catch (error) {
       this.app.error(`Failed to get playback state: ${error.message}`);
@@ -158,18 +428,15 @@ class SonosController extends EventEmitter {
   }
 
   async getCurrentTrack(deviceId) {
-    const device = this.devices.get(deviceId);
+    const device = this.getDevice(deviceId);
     if (!device) return null;
 
     try {
-      const track = await device.GetPositionInfo();
+      const track = await device.AVTransportService.GetPositionInfo();
+      const state = this.getDeviceState(this.resolveDeviceId(deviceId));
       return {
-        title: track.TrackMetaData?.Title || 'Unknown',
-        artist: track.TrackMetaData?.Artist || 'Unknown',
-        album: track.TrackMetaData?.Album || 'Unknown',
-        duration: this.parseDuration(track.TrackDuration) || 0,
-        position: this.parseDuration(track.RelTime) || 0,
-        uri: track.TrackURI
+        ...this.normalizeTrack(track.TrackMetaData || {}, track.TrackDuration, track.TrackURI, state.media),
+        position: this.parseDuration(track.RelTime) || 0
       };
     } catch (error) {
       this.app.error(`Failed to get current track: ${error.message}`);
@@ -177,12 +444,351 @@ class SonosController extends EventEmitter {
     }
   }
 
+  // Where the current track comes from, e.g. Spotify or Line-In, as last reported
+  getSource(deviceId) {
+    const state = this.deviceStates.get(this.resolveDeviceId(deviceId));
+    return state && state.track ? state.track.service : null;
+  }
+
+  // Fetched here so browsers that can't reach the Sonos, or the internet, can still show it
+  async getAlbumArt(deviceId) {
+    const device = this.getDevice(deviceId);
+    const state = this.deviceStates.get(this.resolveDeviceId(deviceId));
+    const uri = state && state.track ? state.track.albumArtUri : null;
+    if (!device || !uri) return null;
+
+    const url = uri.startsWith('/') ? `http://${device.Host}:${device.Port}${uri}` : uri;
+
+    try {
+      const response = await axios.get(url, { responseType: 'arraybuffer', timeout: 5000 });
+      return {
+        contentType: response.headers['content-type'] || 'image/jpeg',
+        data: Buffer.from(response.data)
+      };
+    } catch (error) {
+      this.app.debug(`Failed to fetch album art for ${deviceId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // What the Sonos is set to play, e.g. its queue or a radio stream, so it can be put back later
+  async getMedia(deviceId) {
+    const device = this.getCoordinatorDevice(deviceId);
+    if (!device) return null;
+
+    try {
+      const media = await device.AVTransportService.GetMediaInfo();
+      if (!media.CurrentURI) return null;
+
+      return { uri: media.CurrentURI, metadata: media.CurrentURIMetaData || '' };
+    } catch (error) {
+      this.app.error(`Failed to get Sonos media: ${error.message}`);
+      return null;
+    }
+  }
+
+  async setMedia(deviceId, media) {
+    return this.sendTransportCommand(deviceId, 'set media', device => device.AVTransportService.SetAVTransportURI({
+      InstanceID: 0,
+      CurrentURI: media.uri,
+      CurrentURIMetaData: media.metadata || ''
+    }));
+  }
+
+  async getFavorites(deviceId) {
+    return this.browse(deviceId, 'FV:2', 'favorites');
+  }
+
+  async getPlaylists(deviceId) {
+    return this.browse(deviceId, 'SQ:', 'playlists');
+  }
+
+  // The queue belongs to the group, so it is read from the coordinator
+  async getQueue(deviceId) {
+    const items = await this.browse(deviceId, 'Q:0', 'queue', this.getCoordinatorDevice(deviceId));
+    return items && items.map((item, index) => ({ ...item, position: index + 1 }));
+  }
+
+  async browse(deviceId, objectId, name, device = this.getDevice(deviceId)) {
+    if (!device) return null;
+
+    try {
+      const response = await device.ContentDirectoryService.BrowseParsedWithDefaults(objectId);
+      return (Array.isArray(response.Result) ? response.Result : []).map(item => this.normalizeFavorite(item));
+    } catch (error) {
+      this.app.error(`Failed to get Sonos ${name}: ${error.message}`);
+      return null;
+    }
+  }
+
+  normalizeFavorite(item) {
+    return {
+      id: item.ItemId,
+      title: item.Title,
+      artist: item.Artist,
+      uri: item.TrackUri,
+      albumArtUri: item.AlbumArtUri,
+      container: isContainer(item),
+      metadata: item
+    };
+  }
+
+  async playFavorite(deviceId, favorite) {
+    const match = findItem(await this.getFavorites(deviceId), favorite);
+    if (!match) {
+      this.app.error(`Sonos favorite not found: ${favorite}`);
+      return false;
+    }
+
+    return this.playItem(deviceId, `play favorite ${match.title}`, match);
+  }
+
+  async playPlaylist(deviceId, playlist) {
+    const match = findItem(await this.getPlaylists(deviceId), playlist);
+    if (!match) {
+      this.app.error(`Sonos playlist not found: ${playlist}`);
+      return false;
+    }
+
+    return this.playItem(deviceId, `play playlist ${match.title}`, { ...match, container: true });
+  }
+
+  // Positions start at 1, like the Sonos app shows them
+  async playQueuePosition(deviceId, position) {
+    return this.sendTransportCommand(deviceId, `play queue track ${position}`, async device => {
+      await device.SwitchToQueue();
+      await device.SeekTrack(position);
+      await device.Play();
+    });
+  }
+
+  async playItem(deviceId, name, item) {
+    return this.sendTransportCommand(deviceId, name, async device => {
+      // Playlists and albums are played from the queue, stations and tracks directly
+      if (item.container) {
+        await device.AVTransportService.RemoveAllTracksFromQueue({ InstanceID: 0 });
+        await this.enqueue(device, item, false);
+        await device.SwitchToQueue();
+      } else {
+        await device.AVTransportService.SetAVTransportURI({ InstanceID: 0, CurrentURI: item.uri, CurrentURIMetaData: item.metadata });
+      }
+
+      await device.Play();
+    });
+  }
+
+  // Adds a favorite or playlist to the end of the queue, or right after the current track
+  async addToQueue(deviceId, source, idOrTitle, next = false) {
+    const items = source === 'playlist' ? await this.getPlaylists(deviceId) : await this.getFavorites(deviceId);
+    const match = findItem(items, idOrTitle);
+    if (!match) {
+      this.app.error(`Sonos ${source} not found: ${idOrTitle}`);
+      return false;
+    }
+
+    return this.sendTransportCommand(deviceId, `queue ${match.title}`, device => this.enqueue(device, match, next));
+  }
+
+  enqueue(device, item, next) {
+    return device.AVTransportService.AddURIToQueue({
+      InstanceID: 0,
+      EnqueuedURI: item.uri,
+      EnqueuedURIMetaData: item.metadata,
+      DesiredFirstTrackNumberEnqueued: 0,
+      EnqueueAsNext: next
+    });
+  }
+
+  async clearQueue(deviceId) {
+    return this.sendTransportCommand(deviceId, 'clear queue', device =>
+      device.AVTransportService.RemoveAllTracksFromQueue({ InstanceID: 0 }));
+  }
+
+  async getPlayMode(deviceId) {
+    const device = this.getCoordinatorDevice(deviceId);
+    if (!device) return null;
+
+    try {
+      const settings = await device.AVTransportService.GetTransportSettings({ InstanceID: 0 });
+      return PLAY_MODES[settings.PlayMode] || PLAY_MODES.NORMAL;
+    } catch (error) {
+      this.app.error(`Failed to get Sonos play mode: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Shuffle and repeat are one setting on the Sonos, so the one not given is kept as it is
+  async setPlayMode(deviceId, { shuffle, repeat }) {
+    const current = await this.getPlayMode(deviceId);
+    if (!current) return false;
+
+    const wanted = {
+      shuffle: shuffle !== undefined ? shuffle : current.shuffle,
+      repeat: repeat !== undefined ? repeat : current.repeat
+    };
+    const playMode = Object.keys(PLAY_MODES).find(mode => _.isEqual(PLAY_MODES[mode], wanted));
+
+    return this.sendTransportCommand(deviceId, `play mode ${playMode}`, device =>
+      device.AVTransportService.SetPlayMode({ InstanceID: 0, NewPlayMode: playMode }));
+  }
+
+  async refreshGroups() {
+    const device = this.devices.values().next().value || this.getKnownDevices()[0];
+    if (!device) return;
+
+    try {
+      this.applyZoneGroups(await device.ZoneGroupTopologyService.GetParsedZoneGroupState());
+    } catch (error) {
+      this.app.debug(`Failed to refresh Sonos groups: ${error.message}`);
+    }
+  }
+
+  applyZoneGroups(zoneGroups) {
+    const groups = new Map();
+
+    zoneGroups.forEach(zoneGroup => {
+      const group = {
+        id: zoneGroup.groupId,
+        name: zoneGroup.name,
+        coordinator: zoneGroup.coordinator.uuid,
+        members: zoneGroup.members.map(member => member.uuid)
+      };
+      group.members.forEach(uuid => groups.set(uuid, group));
+    });
+
+    const previous = this.groups;
+    this.groups = groups;
+
+    this.devices.forEach((paired, deviceId) => {
+      const uuid = this.getUuid(deviceId);
+      if (!_.isEqual(previous.get(uuid), groups.get(uuid))) {
+        this.emit('groupChanged', deviceId, this.getGroup(deviceId));
+      }
+    });
+  }
+
+  getUuid(deviceId) {
+    const device = this.getDevice(deviceId);
+    return device && device.Uuid ? device.Uuid : this.resolveDeviceId(deviceId);
+  }
+
+  getGroup(deviceId) {
+    return this.groups.get(this.getUuid(deviceId)) || null;
+  }
+
+  // Everything in the same group as the device, including the device itself
+  getGroupMembers(deviceId) {
+    const group = this.getGroup(deviceId);
+    return group ? group.members.slice() : [this.resolveDeviceId(deviceId)];
+  }
+
+  getGroups() {
+    return _.uniqBy(Array.from(this.groups.values()), 'id');
+  }
+
+  getCoordinatorDevice(deviceId) {
+    const device = this.getDevice(deviceId);
+    if (!device) return null;
+
+    const group = this.getGroup(deviceId);
+    if (!group || group.coordinator === this.getUuid(deviceId)) return device;
+
+    return this.devices.get(group.coordinator) || this.findDeviceById(group.coordinator) || device;
+  }
+
+  // Joins the group the target is in; the target may be any Sonos on the network
+  async joinGroup(deviceId, targetDeviceId) {
+    const targetId = this.resolveDeviceId(targetDeviceId);
+    const target = this.getDevice(targetDeviceId) || this.findDeviceById(targetId);
+    if (!target) {
+      this.app.debug(`Sonos device ${targetDeviceId} not found to join`);
+      return false;
+    }
+
+    const group = this.groups.get(target.Uuid);
+    const coordinator = group ? group.coordinator : target.Uuid;
+
+    return this.sendGroupCommand(deviceId, `join ${coordinator}`, device =>
+      device.AVTransportService.SetAVTransportURI({ InstanceID: 0, CurrentURI: `x-rincon:${coordinator}`, CurrentURIMetaData: '' }));
+  }
+
+  async leaveGroup(deviceId) {
+    return this.sendGroupCommand(deviceId, 'leave group', device =>
+      device.AVTransportService.BecomeCoordinatorOfStandaloneGroup({ InstanceID: 0 }));
+  }
+
+  // The first device becomes the coordinator and the others join it
+  async createGroup(deviceIds) {
+    const [coordinator, ...members] = deviceIds;
+    const results = [];
+
+    for (const member of members) {
+      results.push(await this.joinGroup(member, coordinator));
+    }
+
+    return results.every(Boolean);
+  }
+
+  // Splits the device's group so every member plays on its own again
+  async ungroup(deviceId) {
+    const group = this.getGroup(deviceId);
+    if (!group || group.members.length < 2) return true;
+
+    const results = [];
+    for (const member of group.members.filter(uuid => uuid !== group.coordinator)) {
+      const device = this.devices.get(member) || this.findDeviceById(member);
+      results.push(device ? await this.runGroupCommand(member, device, 'leave group', paired =>
+        paired.AVTransportService.BecomeCoordinatorOfStandaloneGroup({ InstanceID: 0 })) : false);
+    }
+
+    await this.refreshGroups();
+    return results.every(Boolean);
+  }
+
+  async sendGroupCommand(deviceId, name, command) {
+    const device = this.getDevice(deviceId);
+    if (!device) {
+      this.app.debug(`Sonos device ${deviceId} not found for ${name}`);
+      return false;
+    }
+
+    const success = await this.runGroupCommand(deviceId, device, name, command);
+    await this.refreshGroups();
+    return success;
+  }
+
+  async runGroupCommand(deviceId, device, name, command) {
+    try {
+      await command(device);
+      this.app.debug(`Sonos ${name}: ${deviceId}`);
+      return true;
+    } catch (error) {
+      this.app.error(`Failed to ${name} for Sonos ${deviceId}: ${error.message}`);
+      return false;
+    }
+  }
+
+  async fetchVolume(device) {
+    const response = await device.RenderingControlService.GetVolume({ InstanceID: 0, Channel: 'Master' });
+    return response.CurrentVolume;
+  }
+
+  async fetchMute(device) {
+    const response = await device.RenderingControlService.GetMute({ InstanceID: 0, Channel: 'Master' });
+    return this.normalizeMute(response.CurrentMute);
+  }
+
+  // Events and SOAP responses report mute as a boolean, a number or a string depending on the firmware
+  normalizeMute(mute) {
+    return mute === true || mute === 1 || mute === '1' || mute === 'true';
+  }
+
   async getVolume(deviceId) {
-    const device = this.devices.get(deviceId);
+    const device = this.getDevice(deviceId);
     if (!device) return null;
 
     try {
-      return await device.GetVolume();
+      return await this.fetchVolume(device);
     } catch (error) {
       this.app.error(`Failed to get volume: ${error.message}`);
       return null;
@@ -193,66 +799,458 @@ class SonosController extends EventEmitter {
     this.app.debug('New Sonos device discovered:', {
       host: device.Host,
       port: device.Port,
-      name: device.Name
+      name: this.getDeviceName(device)
     });
+
+    this.registerDevices();
+    this.attachPendingDevices();
   }
 
-  handleDeviceUnavailable(device) {
-    const deviceId = this.getDeviceId(device);
+  // The device goes back to waiting, it is added again once it answers
+  handleDeviceUnavailable(deviceId) {
     if (this.devices.has(deviceId)) {
       this.app.debug(`Sonos device became unavailable: ${deviceId}`);
+      this.unsubscribeFromDevice(deviceId);
       this.devices.delete(deviceId);
+      this.deviceStates.delete(deviceId);
+      this.pendingDevices.add(deviceId);
     }
   }
 
   findDeviceById(deviceId) {
-    if (!this.manager) return null;
+    return this.getKnownDevices().find(device =>
+      this.getDeviceId(device) === deviceId || `${device.Host}:${device.Port}` === deviceId
+    );
+  }
+
+  getDevice(deviceId) {
+    return this.devices.get(this.resolveDeviceId(deviceId));
+  }
+
+  resolveDeviceId(deviceId) {
+    return (this.resolver && this.resolver.resolve('sonos', deviceId)) || deviceId;
+  }
+
+  registerDevices() {
+    if (!this.resolver) return;
+
+    this.getKnownDevices().forEach(device => {
+      this.resolver.register('sonos', this.getDeviceId(device), {
+        host: device.Host,
+        port: device.Port
+      });
+    });
+  }
+
+  getKnownDevices() {
+    const managed = this.manager ? this.manager.Devices : [];
+    const standalone = this.staticDevices.filter(device =>
+      !managed.some(managedDevice => managedDevice.Host === device.Host)
+    );
+
+    return [...managed, ...standalone];
+  }
 
-    return this.manager.Devices.find(device => this.getDeviceId(device) === deviceId);
+  getDeviceName(device) {
+    try {
+      return device.Name;
+    } catch (error) {
+      return device.Host;
+    }
   }
 
   getDeviceId(device) {
+    // Sonos RINCON UUIDs survive DHCP address changes, host:port is only a fallback
+    if (device.Uuid && device.Uuid.startsWith('RINCON')) {
+      return device.Uuid;
+    }
+
     return `${device.Host}:${device.Port}`;
   }
 
   subscribeToDevice(deviceId, device) {
+    // Seed the current state, events only report what changes afterwards
     this.pollDeviceState(deviceId, device);
+
+    if (!this.useEvents) {
+      this.pollingDevices.add(deviceId);
+      return;
+    }
+
+    this.subscribeToEvents(deviceId, device);
+  }
+
+  subscribeToEvents(deviceId, device) {
+    const avTransportEvents = device.AVTransportService.Events;
+    const renderingControlEvents = device.RenderingControlService.Events;
+
+    // Error handlers go first, adding any other listener starts the GENA subscription
+    const handlers = [
+      { emitter: avTransportEvents, event: 'subscriptionError', handler: error => this.handleSubscriptionError(deviceId, error) },
+      { emitter: renderingControlEvents, event: 'subscriptionError', handler: error => this.handleSubscriptionError(deviceId, error) },
+      { emitter: avTransportEvents, event: 'serviceEvent', handler: data => this.handleAVTransportEvent(deviceId, data) },
+      { emitter: renderingControlEvents, event: 'serviceEvent', handler: data => this.handleRenderingControlEvent(deviceId, data) }
+    ];
+
+    try {
+      handlers.forEach(({ emitter, event, handler }) => emitter.on(event, handler));
+      this.eventSubscriptions.set(deviceId, handlers);
+      this.pollingDevices.delete(deviceId);
+      this.app.debug(`Subscribed to Sonos events: ${deviceId}`);
+      this.subscribeToGroupEvents();
+    } catch (error) {
+      this.app.debug(`Failed to subscribe to Sonos events for ${deviceId}: ${error.message}`);
+      this.fallBackToPolling(deviceId);
+    }
+  }
+
+  unsubscribeFromDevice(deviceId) {
+    const handlers = this.eventSubscriptions.get(deviceId);
+    if (handlers) {
+      handlers.forEach(({ emitter, event, handler }) => {
+        emitter.removeListener(event, handler);
+      });
+      this.eventSubscriptions.delete(deviceId);
+    }
+
+    this.pollingDevices.delete(deviceId);
+
+    // Group events carried by this device move to another subscribed one
+    if (this.topologySubscription && this.topologySubscription.deviceId === deviceId) {
+      this.unsubscribeFromGroupEvents();
+      this.subscribeToGroupEvents();
+    }
+  }
+
+  // Groups are the same for the whole household, so the topology events of one subscribed
+  // device cover every group, including changes made in the Sonos app
+  subscribeToGroupEvents() {
+    if (this.topologySubscription) return;
+
+    const deviceId = this.eventSubscriptions.keys().next().value;
+    const device = deviceId && this.devices.get(deviceId);
+    if (!device) return;
+
+    const events = device.ZoneGroupTopologyService.Events;
+    const handlers = [
+      { emitter: events, event: 'subscriptionError', handler: error => this.handleGroupSubscriptionError(deviceId, error) },
+      { emitter: events, event: 'serviceEvent', handler: data => this.handleTopologyEvent(data) }
+    ];
+    this.topologySubscription = { deviceId, handlers };
+
+    try {
+      handlers.forEach(({ emitter, event, handler }) => emitter.on(event, handler));
+      this.app.debug(`Subscribed to Sonos group events through ${deviceId}`);
+    } catch (error) {
+      this.app.debug(`Failed to subscribe to Sonos group events through ${deviceId}: ${error.message}`);
+      this.unsubscribeFromGroupEvents();
+    }
+  }
+
+  unsubscribeFromGroupEvents() {
+    if (!this.topologySubscription) return;
+
+    this.topologySubscription.handlers.forEach(({ emitter, event, handler }) => {
+      emitter.removeListener(event, handler);
+    });
+    this.topologySubscription = null;
+  }
+
+  handleGroupSubscriptionError(deviceId, error) {
+    this.app.debug(`Sonos group event subscription failed for ${deviceId}: ${error.message}`);
+    this.unsubscribeFromGroupEvents();
+    this.refreshGroups();
+  }
+
+  handleTopologyEvent(data) {
+    if (Array.isArray(data.ZoneGroupState)) {
+      this.applyZoneGroups(data.ZoneGroupState);
+    }
+  }
+
+  // A failed subscription or renewal is also how a device that left the network shows up,
+  // so one that no longer answers is dropped rather than polled
+  async handleSubscriptionError(deviceId, error) {
+    this.app.debug(`Sonos event subscription failed for ${deviceId}: ${error.message}`);
+
+    const device = this.devices.get(deviceId);
+    if (!device) return;
+
+    try {
+      await device.AVTransportService.GetTransportInfo();
+    } catch (probeError) {
+      this.handleDeviceUnavailable(deviceId);
+      return;
+    }
+
+    this.fallBackToPolling(deviceId);
+  }
+
+  fallBackToPolling(deviceId) {
+    if (!this.devices.has(deviceId) || this.pollingDevices.has(deviceId)) return;
+
+    this.unsubscribeFromDevice(deviceId);
+    this.pollingDevices.add(deviceId);
+    this.app.debug(`Polling Sonos device ${deviceId} until event subscriptions recover`);
+  }
+
+  handleAVTransportEvent(deviceId, data) {
+    const changes = {};
+
+    if (data.TransportState !== undefined) {
+      changes.playbackState = this.normalizePlaybackState(data.TransportState);
+    }
+
+    if (data.AVTransportURI !== undefined) {
+      changes.media = this.normalizeMediaSource(data.AVTransportURI, data.EnqueuedTransportURIMetaData);
+    }
+
+    if (data.CurrentTrackMetaData && typeof data.CurrentTrackMetaData === 'object') {
+      const media = changes.media || this.getDeviceState(deviceId).media;
+      changes.track = this.normalizeTrack(data.CurrentTrackMetaData, data.CurrentTrackDuration, data.CurrentTrackURI, media);
+    }
+
+    this.updateDeviceState(deviceId, changes);
+  }
+
+  handleRenderingControlEvent(deviceId, data) {
+    const changes = {};
+
+    if (data.Volume && data.Volume.Master !== undefined) {
+      changes.volume = data.Volume.Master;
+    }
+
+    if (data.Mute && data.Mute.Master !== undefined) {
+      changes.muted = this.normalizeMute(data.Mute.Master);
+    }
+
+    this.updateDeviceState(deviceId, changes);
+  }
+
+  getDeviceState(deviceId) {
+    if (!this.deviceStates.has(deviceId)) {
+      this.deviceStates.set(deviceId, {
+        playbackState: null,
+        volume: null,
+        muted: null,
+        track: null,
+        media: null,
+        position: null
+      });
+    }
+
+    return this.deviceStates.get(deviceId);
+  }
+
+  updateDeviceState(deviceId, changes) {
+    const state = this.getDeviceState(deviceId);
+
+    if (changes.playbackState !== undefined && changes.playbackState !== state.playbackState) {
+      state.playbackState = changes.playbackState;
+      this.emit('playbackStateChanged', deviceId, state.playbackState);
+    }
+
+    if (changes.volume !== undefined && changes.volume !== state.volume) {
+      state.volume = changes.volume;
+      this.emit('volumeChanged', deviceId, state.volume);
+    }
+
+    if (changes.muted !== undefined && changes.muted !== state.muted) {
+      state.muted = changes.muted;
+      this.emit('muteChanged', deviceId, state.muted);
+    }
+
+    if (changes.media) {
+      state.media = changes.media;
+    }
+
+    if (changes.track && !_.isEqual(changes.track, state.track)) {
+      state.track = changes.track;
+      this.emit('trackChanged', deviceId, state.track);
+    }
+
+    // Position moves every second, so it is reported on its own rather than as a track change
+    if (changes.position !== undefined && changes.position !== state.position) {
+      state.position = changes.position;
+      this.emit('positionChanged', deviceId, state.position, state.track ? state.track.duration : 0);
+    }
+  }
+
+  // Radio streams carry the station in the media metadata and the song in the stream title
+  normalizeTrack(metadata, duration, uri, media) {
+    const trackUri = uri || metadata.TrackUri || null;
+    const mediaUri = media ? media.uri : null;
+    const radio = isRadio(trackUri) || isRadio(mediaUri);
+    const station = radio && media ? media.station : null;
+    const { artist, title } = radio
+      ? parseStreamTitle(metadata.Artist, metadata.Title)
+      : { artist: metadata.Artist, title: metadata.Title };
+
+    return {
+      title: title || station || 'Unknown',
+      artist: artist || 'Unknown',
+      album: metadata.Album || 'Unknown',
+      duration: this.parseDuration(duration) || 0,
+      uri: trackUri,
+      albumArtUri: metadata.AlbumArtUri || null,
+      service: getSourceService(trackUri) || getSourceService(mediaUri),
+      station: station || null
+    };
+  }
+
+  normalizeMediaSource(uri, metadata) {
+    return {
+      uri: uri || null,
+      station: metadata && typeof metadata === 'object' && metadata.Title ? metadata.Title : null
+    };
   }
 
   async pollDeviceState(deviceId, device) {
     try {
-      const [transportInfo, volume, positionInfo] = await Promise.all([
-        device.GetTransportInfo(),
-        device.GetVolume(),
-        device.GetPositionInfo().catch(() => null)
+      const [transportInfo, volume, muted, positionInfo, mediaInfo] = await Promise.all([
+        device.AVTransportService.GetTransportInfo(),
+        this.fetchVolume(device),
+        this.fetchMute(device).catch(() => undefined),
+        device.AVTransportService.GetPositionInfo().catch(() => null),
+        device.AVTransportService.GetMediaInfo().catch(() => null)
       ]);
 
-      const normalizedState = this.normalizePlaybackState(transportInfo.CurrentTransportState);
+      const changes = {
+        playbackState: this.normalizePlaybackState(transportInfo.CurrentTransportState),
+        volume,
+        muted
+      };
 
-      this.emit('playbackStateChanged', deviceId, normalizedState);
-      this.emit('volumeChanged', deviceId, volume);
+      if (mediaInfo) {
+        changes.media = this.normalizeMediaSource(mediaInfo.CurrentURI, mediaInfo.CurrentURIMetaData);
+      }
 
       if (positionInfo && positionInfo.TrackMetaData) {
-        const normalizedTrack = {
-          title: positionInfo.TrackMetaData.Title || 'Unknown',
-          artist: positionInfo.TrackMetaData.Artist || 'Unknown',
-          album: positionInfo.TrackMetaData.Album || 'Unknown',
-          duration: this.parseDuration(positionInfo.TrackDuration) || 0
-        };
-        this.emit('trackChanged', deviceId, normalizedTrack);
+        const media = changes.media || this.getDeviceState(deviceId).media;
+        changes.track = this.normalizeTrack(positionInfo.TrackMetaData, positionInfo.TrackDuration, positionInfo.TrackURI, media);
+        changes.position = this.parseDuration(positionInfo.RelTime) || 0;
       }
 
+      this.updateDeviceState(deviceId, changes);
+
     } catch (error) {
       this.app.debug(`Failed to poll device state for ${deviceId}: ${error.message}`);
     }
   }
 
   startPolling() {
+    const interval = (this.options.pollingInterval || 2) * 1000;
+
     this.pollingInterval = setInterval(() => {
+      this.pollingDevices.forEach(deviceId => {
+        const device = this.getDevice(deviceId);
+        if (device) {
+          this.pollDeviceState(deviceId, device);
+        }
+      });
+    }, interval);
+  }
+
+  // Events don't report the elapsed time, so it is read from whatever is playing
+  startPositionPolling() {
+    const seconds = this.options.positionInterval !== undefined ? this.options.positionInterval : 5;
+    if (!seconds) return;
+
+    this.positionInterval = setInterval(() => {
       this.devices.forEach((device, deviceId) => {
-        this.pollDeviceState(deviceId, device);
+        if (this.getDeviceState(deviceId).playbackState === 'playing') {
+          this.pollPosition(deviceId);
+        }
       });
-    }, 2000);
+    }, seconds * 1000);
+  }
+
+  async pollPosition(deviceId) {
+    const device = this.getCoordinatorDevice(deviceId);
+    if (!device) return;
+
+    try {
+      const positionInfo = await device.AVTransportService.GetPositionInfo();
+      this.updateDeviceState(deviceId, { position: this.parseDuration(positionInfo.RelTime) || 0 });
+    } catch (error) {
+      this.app.debug(`Failed to poll position for ${deviceId}: ${error.message}`);
+    }
+  }
+
+  // Group events report changes as they happen; the topology is only read again every so
+  // often while they aren't coming in
+  startGroupRefresh() {
+    const interval = (this.options.groupRefreshInterval || 30) * 1000;
+
+    this.refreshGroups();
+    this.groupRefreshInterval = setInterval(() => {
+      if (!this.topologySubscription) {
+        this.refreshGroups();
+      }
+    }, interval);
+  }
+
+  startSubscriptionRetry() {
+    if (!this.useEvents) return;
+
+    // Devices that fell back to polling get another chance at event subscriptions
+    this.subscriptionRetryInterval = setInterval(() => {
+      this.pollingDevices.forEach(deviceId => {
+        const device = this.getDevice(deviceId);
+        if (device) {
+          this.app.debug(`Retrying Sonos event subscription for ${deviceId}`);
+          this.subscribeToEvents(deviceId, device);
+        }
+      });
+      this.subscribeToGroupEvents();
+      this.attachPendingDevices();
+    }, 300000);
+  }
+
+  configureEventListener() {
+    const settings = {};
+
+    if (this.options.eventListenerHost) {
+      settings.host = this.options.eventListenerHost;
+    }
+
+    if (this.options.eventListenerPort) {
+      settings.port = this.options.eventListenerPort;
+    }
+
+    if (Object.keys(settings).length === 0) return;
+
+    try {
+      if (!SonosEventListener.DefaultInstance.UpdateSettings(settings)) {
+        this.app.debug('Sonos event listener already running, keeping its current settings');
+      }
+    } catch (error) {
+      this.app.error(`Failed to configure Sonos event listener: ${error.message}`);
+    }
+  }
+
+  getSubscriptionDiagnostics() {
+    let listener = null;
+
+    try {
+      const status = SonosEventListener.DefaultInstance.GetStatus();
+      listener = {
+        host: status.host,
+        port: status.port,
+        isListening: status.isListening,
+        subscriptionCount: status.subscriptionCount
+      };
+    } catch (error) {
+      listener = { error: error.message };
+    }
+
+    return {
+      useEvents: this.useEvents,
+      listener,
+      subscribedDevices: Array.from(this.eventSubscriptions.keys()),
+      groupEventsDevice: this.topologySubscription ? this.topologySubscription.deviceId : null,
+      pollingDevices: Array.from(this.pollingDevices)
+    };
   }
 
   normalizePlaybackState(state) {
@@ -289,12 +1287,19 @@ class SonosController extends EventEmitter {
     }
   }
 
-  getAvailableDevices() {
-    if (!this.manager) return [];
+  formatDuration(seconds) {
+    const total = Math.max(0, Math.floor(seconds || 0));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = total % 60;
+    return `${hours}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
+  }
 
-    return this.manager.Devices.map(device => ({
+  getAvailableDevices() {
+    return this.getKnownDevices().map(device => ({
       id: this.getDeviceId(device),
-      name: device.Name || device.Host,
+      uuid: device.Uuid && device.Uuid.startsWith('RINCON') ? device.Uuid : null,
+      name: this.getDeviceName(device) || device.Host,
       host: device.Host,
       port: device.Port,
       online: true
@@ -317,12 +1322,15 @@ class SonosController extends EventEmitter {
   logDiscoveryDiagnostics() {
     this.app.debug('=== Sonos Discovery Diagnostics ===');
     this.app.debug('Manager status:', this.manager ? 'initialized' : 'not initialized');
-    this.app.debug('Device count:', this.manager ? this.manager.Devices.length : 0);
+    this.app.debug('Discovery strategy:', this.discoveryStatus ? this.discoveryStatus.strategy : 'not run');
+
+    const devices = this.getKnownDevices();
+    this.app.debug('Device count:', devices.length);
 
-    if (this.manager && this.manager.Devices.length > 0) {
+    if (devices.length > 0) {
       this.app.debug('Discovered devices:');
-      this.manager.Devices.forEach(device => {
-        this.app.debug(`  - ${device.Name} at ${device.Host}:${device.Port}`);
+      devices.forEach(device => {
+        this.app.debug(`  - ${this.getDeviceName(device)} at ${device.Host}:${device.Port}`);
       });
     }
 
@@ -340,26 +1348,39 @@ class SonosController extends EventEmitter {
   }
 
   startContinuousDiscovery() {
-    // Continue discovery every 30 seconds
+    const interval = (this.discoveryOptions.discoveryInterval || 30) * 1000;
+
+    // The manager follows topology changes itself, so only retry while nothing was found
     this.discoveryInterval = setInterval(async () => {
+      const strategy = (this.discoveryOptions.sonos || {}).strategy || 'auto';
+      if (this.manager || strategy === 'static') return;
+
       try {
         this.app.debug('Running periodic Sonos discovery...');
-        const newDevices = await this.manager.CheckAllGroupsForNewDevices();
-
-        if (newDevices && newDevices.length > 0) {
-          this.app.debug(`Found ${newDevices.length} new Sonos devices during periodic scan`);
-          newDevices.forEach(device => {
-            this.app.debug('New device found:', {
-              host: device.Host,
-              name: device.Name
-            });
-          });
-        }
+        await this.runDiscovery();
       } catch (error) {
         this.app.debug('Error during periodic Sonos discovery:', error.message);
       }
-    }, 30000);
+    }, interval);
   }
 }
 
-module.exports = { SonosController };
+// Items are matched by id or, case-insensitively, by title
+function findItem(items, idOrTitle) {
+  if (!items) return null;
+
+  const wanted = String(idOrTitle).toLowerCase();
+  const match = items.find(item => item.id === idOrTitle) ||
+    items.find(item => item.title && item.title.toLowerCase() === wanted);
+
+  return match && match.uri ? match : null;
+}
+
+function isContainer(item) {
+  const uri = item.TrackUri || '';
+  return (item.UpnpClass || '').includes('container') ||
+    uri.startsWith('x-rincon-cpcontainer:') ||
+    uri.startsWith('file:///jffs/settings/savedqueues');
+}
+
+module.exports = { SonosController, REPEAT_MODES };
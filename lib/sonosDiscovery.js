@@ -0,0 +1,104 @@
+const dgram = require('dgram');
+const os = require('os');
+
+const SSDP_ADDRESS = '239.255.255.250';
+const SSDP_PORT = 1900;
+
+const SEARCH_MESSAGE = Buffer.from([
+  'M-SEARCH * HTTP/1.1',
+  `HOST: ${SSDP_ADDRESS}:${SSDP_PORT}`,
+  'MAN: "ssdp:discover"',
+  'MX: 1',
+  'ST: urn:schemas-upnp-org:device:ZonePlayer:1',
+  '',
+  ''
+].join('\r\n'));
+
+// Interfaces may be given by name (eth0, wlan0) or by IPv4 address
+function resolveInterfaces(names) {
+  const interfaces = os.networkInterfaces();
+  const resolved = [];
+
+  Object.keys(interfaces).forEach(name => {
+    interfaces[name].forEach(iface => {
+      if (iface.internal || iface.family !== 'IPv4') return;
+
+      if (!names || names.length === 0 || names.includes(name) || names.includes(iface.address)) {
+        resolved.push({ name, address: iface.address });
+      }
+    });
+  });
+
+  return resolved;
+}
+
+function parseSearchResponse(message, rinfo) {
+  const text = message.toString();
+  if (!/Sonos/i.test(text)) return null;
+
+  const modelMatch = /SERVER.{0,200}\((.{2,50})\)/.exec(text);
+  const locationMatch = /LOCATION:\s*http:\/\/([^:/]+):(\d+)/i.exec(text);
+
+  return {
+    host: rinfo.address,
+    port: locationMatch ? parseInt(locationMatch[2], 10) : 1400,
+    model: modelMatch ? modelMatch[1] : undefined
+  };
+}
+
+function searchInterface(iface, timeoutSeconds) {
+  return new Promise((resolve) => {
+    const players = [];
+    const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+    let timer = null;
+
+    const finish = () => {
+      clearTimeout(timer);
+      try {
+        socket.close();
+      } catch (error) {
+        // Socket already closed
+      }
+      resolve(players);
+    };
+
+    socket.on('message', (message, rinfo) => {
+      const player = parseSearchResponse(message, rinfo);
+      if (player && !players.some(p => p.host === player.host)) {
+        players.push({ ...player, interface: iface.name });
+      }
+    });
+
+    socket.on('error', finish);
+
+    socket.bind({ address: iface.address, port: 0 }, () => {
+      try {
+        socket.setMulticastInterface(iface.address);
+        socket.setMulticastTTL(4);
+        socket.send(SEARCH_MESSAGE, 0, SEARCH_MESSAGE.length, SSDP_PORT, SSDP_ADDRESS);
+        socket.send(SEARCH_MESSAGE, 0, SEARCH_MESSAGE.length, SSDP_PORT, SSDP_ADDRESS);
+      } catch (error) {
+        finish();
+        return;
+      }
+
+      timer = setTimeout(finish, timeoutSeconds * 1000);
+    });
+  });
+}
+
+async function ssdpSearch(interfaceNames, timeoutSeconds = 10) {
+  const interfaces = resolveInterfaces(interfaceNames);
+  const results = await Promise.all(interfaces.map(iface => searchInterface(iface, timeoutSeconds)));
+
+  const players = [];
+  results.flat().forEach(player => {
+    if (!players.some(p => p.host === player.host)) {
+      players.push(player);
+    }
+  });
+
+  return { interfaces, players };
+}
+
+module.exports = { ssdpSearch, resolveInterfaces, parseSearchResponse };
@@ -0,0 +1,70 @@
+// Music services by the sid the Sonos puts in stream and track URIs
+const SERVICES = {
+  2: 'Deezer',
+  9: 'Spotify',
+  12: 'Spotify',
+  160: 'SoundCloud',
+  174: 'TIDAL',
+  201: 'Amazon Music',
+  204: 'Apple Music',
+  254: 'TuneIn',
+  284: 'YouTube Music',
+  303: 'Sonos Radio'
+};
+
+// URI schemes that identify the source on their own, checked in order
+const SCHEMES = [
+  ['x-rincon-stream:', 'Line-In'],
+  ['x-sonos-htastream:', 'TV'],
+  ['x-sonos-spotify:', 'Spotify'],
+  ['x-sonos-vli:', 'AirPlay'],
+  ['x-file-cifs:', 'Music Library'],
+  ['x-rincon:', 'Group']
+];
+
+const RADIO_SCHEMES = ['x-sonosapi-stream:', 'x-sonosapi-radio:', 'x-sonosapi-hls:', 'x-rincon-mp3radio:', 'aac:', 'hls-radio:'];
+
+function getSourceService(uri) {
+  if (!uri) return null;
+
+  // Spotify Connect arrives as a virtual line-in that names the service
+  if (uri.startsWith('x-sonos-vli:') && uri.includes('spotify')) return 'Spotify';
+
+  const scheme = SCHEMES.find(([prefix]) => uri.startsWith(prefix));
+  if (scheme) return scheme[1];
+
+  const sid = /[?&]sid=(\d+)/.exec(uri);
+  if (sid && SERVICES[sid[1]]) return SERVICES[sid[1]];
+
+  return isRadio(uri) ? 'Radio' : null;
+}
+
+function isRadio(uri) {
+  return !!uri && RADIO_SCHEMES.some(prefix => uri.startsWith(prefix));
+}
+
+// Radio stations send "Artist - Title" as one stream title, and report the stream URI or
+// a placeholder such as ZPSTR_BUFFERING as the title while there is nothing to show
+function parseStreamTitle(artist, title) {
+  const clean = text => {
+    if (!text || typeof text !== 'string') return null;
+    const trimmed = text.trim();
+    if (!trimmed || trimmed.startsWith('ZPSTR_') || /^[\w-]+:\S*$/.test(trimmed)) return null;
+    return trimmed;
+  };
+
+  const streamArtist = clean(artist);
+  const streamTitle = clean(title);
+
+  if (!streamArtist && streamTitle && streamTitle.includes(' - ')) {
+    const separator = streamTitle.indexOf(' - ');
+    return {
+      artist: streamTitle.slice(0, separator).trim(),
+      title: streamTitle.slice(separator + 3).trim()
+    };
+  }
+
+  return { artist: streamArtist, title: streamTitle };
+}
+
+module.exports = { getSourceService, isRadio, parseStreamTitle };
@@ -0,0 +1,258 @@
+const EventEmitter = require('eventemitter3');
+
+const DEFAULT_SMOOTHING = 10;
+const DEFAULT_TIMEOUT = 30;
+const CHECK_INTERVAL = 5000;
+
+// SignalK reports speed in m/s and engine speed in Hz; curves are written in knots and RPM
+const SOURCES = {
+  sog: {
+    path: 'navigation.speedOverGround',
+    scale: 1.943844,
+    points: [{ at: 5, gain: 0 }, { at: 25, gain: 20 }]
+  },
+  rpm: {
+    path: 'propulsion.*.revolutions',
+    scale: 60,
+    points: [{ at: 1000, gain: 0 }, { at: 3500, gain: 20 }]
+  }
+};
+
+// Adds gain on top of the volume a pair is set to as the boat gets louder. The gain is
+// on the Sonos scale and only changes what the Fusion zones are set to; the Sonos volume
+// stays what the user chose. Readings are smoothed so a gust or a wave doesn't pump the volume.
+class VolumeCompensation extends EventEmitter {
+  constructor(app, deviceManager) {
+    super();
+    this.app = app;
+    this.deviceManager = deviceManager;
+    this.states = new Map();
+    this.checkInterval = null;
+  }
+
+  static validate(compensation) {
+    if (!compensation) return null;
+
+    if (!SOURCES[compensation.source]) {
+      return `Compensation source must be one of ${Object.keys(SOURCES).join(', ')}`;
+    }
+
+    if (compensation.path !== undefined && (typeof compensation.path !== 'string' || !compensation.path)) {
+      return 'Compensation path must be a SignalK path';
+    }
+
+    if (compensation.points !== undefined) {
+      const valid = Array.isArray(compensation.points) && compensation.points.length > 0 &&
+        compensation.points.every(point => typeof point.at === 'number' && typeof point.gain === 'number' &&
+          point.gain >= 0 && point.gain <= 100);
+      if (!valid) {
+        return 'Compensation points need an at value and a gain between 0 and 100';
+      }
+    }
+
+    if (compensation.ceiling !== undefined && (typeof compensation.ceiling !== 'number' || compensation.ceiling < 0 || compensation.ceiling > 100)) {
+      return 'Compensation ceiling must be between 0 and 100';
+    }
+
+    if (compensation.smoothing !== undefined && (typeof compensation.smoothing !== 'number' || compensation.smoothing < 0)) {
+      return 'Compensation smoothing must be a positive number of seconds';
+    }
+
+    if (compensation.timeout !== undefined && (typeof compensation.timeout !== 'number' || compensation.timeout < 0)) {
+      return 'Compensation timeout must be a positive number of seconds';
+    }
+
+    return null;
+  }
+
+  start() {
+    if (this.checkInterval) return;
+
+    this.checkInterval = setInterval(() => this.expireReadings(), CHECK_INTERVAL);
+  }
+
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+
+    this.states.clear();
+  }
+
+  forget(pairName) {
+    this.states.delete(pairName);
+  }
+
+  getState(pairName) {
+    if (!this.states.has(pairName)) {
+      this.states.set(pairName, {
+        readings: new Map(),
+        smoothed: null,
+        updatedAt: null,
+        gain: 0
+      });
+    }
+
+    return this.states.get(pairName);
+  }
+
+  getConfig(pair) {
+    const compensation = pair.compensation;
+    if (!compensation || compensation.enabled === false || !SOURCES[compensation.source]) return null;
+
+    const source = SOURCES[compensation.source];
+    const path = compensation.path || source.path;
+
+    return {
+      source: compensation.source,
+      path,
+      pattern: toPattern(path),
+      scale: source.scale,
+      points: [...(compensation.points || source.points)].sort((a, b) => a.at - b.at),
+      ceiling: compensation.ceiling !== undefined ? compensation.ceiling : 100,
+      smoothing: compensation.smoothing !== undefined ? compensation.smoothing : DEFAULT_SMOOTHING,
+      timeout: compensation.timeout !== undefined ? compensation.timeout : DEFAULT_TIMEOUT
+    };
+  }
+
+  getPaths() {
+    const paths = this.deviceManager.getEnabledPairs()
+      .map(pair => this.getConfig(pair))
+      .filter(Boolean)
+      .map(config => config.path);
+
+    return [...new Set(paths)];
+  }
+
+  handleValue(path, value, now = Date.now()) {
+    this.deviceManager.getEnabledPairs().forEach(pair => {
+      const config = this.getConfig(pair);
+      if (!config || !config.pattern.test(path)) return;
+
+      const state = this.getState(pair.name);
+
+      // A source reporting no value, e.g. an engine switched off, counts as zero
+      state.readings.set(path, { value: typeof value === 'number' ? value * config.scale : 0, at: now });
+      this.update(pair, config, state, now);
+    });
+  }
+
+  // A source that goes silent, e.g. a GPS or engine gateway that is switched off, has its
+  // last reading dropped after timeout seconds, so the gain falls back instead of staying
+  expireReadings(now = Date.now()) {
+    this.deviceManager.getEnabledPairs().forEach(pair => {
+      const config = this.getConfig(pair);
+      const state = this.states.get(pair.name);
+      if (!config || !state) return;
+
+      const stale = Array.from(state.readings.values()).some(reading => this.isStale(config, reading, now));
+      if (stale || (state.readings.size === 0 && state.gain !== 0)) {
+        this.update(pair, config, state, now);
+      }
+    });
+  }
+
+  isStale(config, reading, now) {
+    return config.timeout > 0 && now - reading.at > config.timeout * 1000;
+  }
+
+  update(pair, config, state, now) {
+    state.readings.forEach((reading, path) => {
+      if (this.isStale(config, reading, now)) {
+        this.app.debug(`Volume compensation for ${pair.name}: no ${path} for ${config.timeout}s, counting it as zero`);
+        state.readings.delete(path);
+      }
+    });
+
+    const reading = Math.max(0, ...Array.from(state.readings.values(), entry => entry.value));
+
+    // Exponential smoothing with the configured time constant, independent of the update rate
+    if (state.smoothed === null || config.smoothing === 0) {
+      state.smoothed = reading;
+    } else {
+      const elapsed = Math.max(0, now - state.updatedAt) / 1000;
+      state.smoothed += (reading - state.smoothed) * (1 - Math.exp(-elapsed / config.smoothing));
+    }
+    state.updatedAt = now;
+
+    const gain = Math.round(interpolate(config.points, state.smoothed));
+    if (gain !== state.gain) {
+      this.app.debug(`Volume compensation for ${pair.name}: ${state.gain} -> ${gain} at ${state.smoothed.toFixed(1)} ${config.source}`);
+      state.gain = gain;
+      this.emit('gainChanged', pair, gain);
+    }
+  }
+
+  getGain(pair) {
+    if (!this.getConfig(pair)) return 0;
+
+    const state = this.states.get(pair.name);
+    return state ? state.gain : 0;
+  }
+
+  // The volume the speakers should play at for a set point, never above the ceiling or cap.
+  // A set point already above the ceiling is left alone rather than turned down.
+  apply(pair, volume, cap = 100) {
+    const config = this.getConfig(pair);
+    const gain = this.getGain(pair);
+    if (!config || gain === 0) return volume;
+
+    const ceiling = Math.min(config.ceiling, cap);
+    if (volume >= ceiling) return volume;
+
+    return Math.min(volume + gain, ceiling);
+  }
+
+  // The set point behind a volume someone chose on the stereo itself, the inverse of apply().
+  // At or above the ceiling no gain was added, below it the gain comes off again.
+  remove(pair, volume, cap = 100) {
+    const config = this.getConfig(pair);
+    const gain = this.getGain(pair);
+    if (!config || gain === 0) return volume;
+
+    const ceiling = Math.min(config.ceiling, cap);
+    if (volume >= ceiling) return volume;
+
+    return Math.max(0, volume - gain);
+  }
+
+  getDiagnostics() {
+    const diagnostics = {};
+
+    this.states.forEach((state, pairName) => {
+      diagnostics[pairName] = {
+        readings: Object.fromEntries(Array.from(state.readings, ([path, reading]) => [path, reading.value])),
+        smoothed: state.smoothed,
+        updatedAt: state.updatedAt,
+        gain: state.gain
+      };
+    });
+
+    return diagnostics;
+  }
+}
+
+// Paths use * as a wildcard, e.g. propulsion.*.revolutions for every engine
+function toPattern(path) {
+  const escaped = path.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^.]+');
+  return new RegExp(`^${escaped}$`);
+}
+
+function interpolate(points, input) {
+  if (input <= points[0].at) return points[0].gain;
+
+  for (let i = 1; i < points.length; i++) {
+    const lower = points[i - 1];
+    const upper = points[i];
+
+    if (input <= upper.at) {
+      if (upper.at === lower.at) return upper.gain;
+      return lower.gain + (input - lower.at) / (upper.at - lower.at) * (upper.gain - lower.gain);
+    }
+  }
+
+  return points[points.length - 1].gain;
+}
+
+module.exports = { VolumeCompensation, SOURCES };
@@ -0,0 +1,146 @@
+const SONOS_MAX = 100;
+const FUSION_MAX = 40;
+
+const CURVE_TYPES = ['linear', 'logarithmic', 'table'];
+
+// Maps Sonos volume (0-100) to Fusion volume steps (0-40) and back.
+// The reverse direction is solved numerically against the forward curve, so any
+// Fusion step the curve can produce maps back to a Sonos volume that produces
+// the same step again; without that, every poll would nudge the volume.
+class VolumeCurve {
+  constructor(config) {
+    config = config || {};
+
+    this.type = config.type || 'linear';
+    this.min = config.min !== undefined ? config.min : 0;
+    this.max = config.max !== undefined ? config.max : FUSION_MAX;
+    this.offset = config.offset || 0;
+    this.points = this.type === 'table' ? normalizePoints(config.points) : null;
+
+    this.forward = [];
+    for (let sonos = 0; sonos <= SONOS_MAX; sonos++) {
+      const exact = this.map(sonos);
+      this.forward.push({ exact, step: Math.round(exact) });
+    }
+  }
+
+  static validate(config) {
+    if (!config) return null;
+
+    if (config.type && !CURVE_TYPES.includes(config.type)) {
+      return `Unknown volume curve type: ${config.type}`;
+    }
+
+    const min = config.min !== undefined ? config.min : 0;
+    const max = config.max !== undefined ? config.max : FUSION_MAX;
+    if (min < 0 || max > FUSION_MAX || min >= max) {
+      return `Volume limits must satisfy 0 <= min < max <= ${FUSION_MAX}`;
+    }
+
+    if (config.type === 'table') {
+      const points = config.points;
+      if (!Array.isArray(points) || points.length === 0) {
+        return 'A table volume curve needs at least one breakpoint';
+      }
+
+      const invalid = points.some(point => typeof point.sonos !== 'number' || typeof point.fusion !== 'number' ||
+        point.sonos < 0 || point.sonos > SONOS_MAX || point.fusion < 0 || point.fusion > FUSION_MAX);
+      if (invalid) {
+        return `Breakpoints need sonos (0-${SONOS_MAX}) and fusion (0-${FUSION_MAX}) values`;
+      }
+
+      const sorted = normalizePoints(points);
+      if (sorted.some((point, index) => index > 0 && point.fusion < sorted[index - 1].fusion)) {
+        return 'Breakpoint Fusion volumes must not decrease as Sonos volume increases';
+      }
+    }
+
+    return null;
+  }
+
+  map(sonos) {
+    const x = clamp(sonos, 0, SONOS_MAX) / SONOS_MAX;
+    let fusion;
+
+    switch (this.type) {
+      case 'logarithmic':
+        // More resolution at low volumes, where small changes are easiest to hear
+        fusion = this.min + Math.log10(1 + 9 * x) * (this.max - this.min);
+        break;
+      case 'table':
+        fusion = interpolate(this.points, sonos);
+        break;
+      default:
+        fusion = this.min + x * (this.max - this.min);
+    }
+
+    return clamp(fusion + this.offset, this.min, this.max);
+  }
+
+  toFusion(sonos) {
+    return this.forward[Math.round(clamp(sonos, 0, SONOS_MAX))].step;
+  }
+
+  toSonos(fusion) {
+    const target = clamp(fusion, this.min, this.max);
+    let best = 0;
+    let bestScore = Infinity;
+
+    // Prefer Sonos volumes that land on the requested step, then the one whose exact value is closest
+    this.forward.forEach(({ exact, step }, sonos) => {
+      const score = Math.abs(step - target) * 1000 + Math.abs(exact - target);
+      if (score < bestScore) {
+        bestScore = score;
+        best = sonos;
+      }
+    });
+
+    return best;
+  }
+
+  toJSON() {
+    const config = { type: this.type, min: this.min, max: this.max, offset: this.offset };
+    if (this.points) {
+      config.points = this.points;
+    }
+    return config;
+  }
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+// Breakpoints are anchored at silence and full volume unless the table says otherwise
+function normalizePoints(points) {
+  const sorted = (points || [])
+    .map(point => ({ sonos: point.sonos, fusion: point.fusion }))
+    .sort((a, b) => a.sonos - b.sonos);
+
+  if (sorted.length === 0 || sorted[0].sonos > 0) {
+    sorted.unshift({ sonos: 0, fusion: 0 });
+  }
+
+  if (sorted[sorted.length - 1].sonos < SONOS_MAX) {
+    sorted.push({ sonos: SONOS_MAX, fusion: FUSION_MAX });
+  }
+
+  return sorted;
+}
+
+function interpolate(points, sonos) {
+  for (let i = 1; i < points.length; i++) {
+    const lower = points[i - 1];
+    const upper = points[i];
+
+    if (sonos <= upper.sonos) {
+      if (upper.sonos === lower.sonos) return upper.fusion;
+      const ratio = (sonos - lower.sonos) / (upper.sonos - lower.sonos);
+      return lower.fusion + ratio * (upper.fusion - lower.fusion);
+    }
+  }
+
+  return points[points.length - 1].fusion;
+}
+
+module.exports = { VolumeCurve, SONOS_MAX, FUSION_MAX };
@@ -0,0 +1,190 @@
+const EventEmitter = require('eventemitter3');
+
+const DEFAULT_IDLE_TIME = 30;
+const CHECK_INTERVAL = 60000;
+
+// Volume caps are expressed on the Sonos scale (0-100); Fusion volumes are
+// compared against the cap converted through the pair's volume curve.
+class VolumeLimits extends EventEmitter {
+  constructor(app, options, deviceManager) {
+    super();
+    this.app = app;
+    this.options = options || {};
+    this.deviceManager = deviceManager;
+    this.quietHours = this.options.quietHours || [];
+    this.lastPlaying = new Map();
+    this.caps = new Map();
+    this.checkInterval = null;
+
+    const error = VolumeLimits.validateQuietHours(this.options.quietHours);
+    if (error) {
+      this.app.error(`Ignoring plugin-wide quiet hours: ${error}`);
+      this.quietHours = [];
+    }
+  }
+
+  start() {
+    if (this.checkInterval) return;
+
+    this.checkCaps();
+    this.checkInterval = setInterval(() => this.checkCaps(), CHECK_INTERVAL);
+  }
+
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+
+    this.caps.clear();
+    this.lastPlaying.clear();
+  }
+
+  // Quiet hours starting while music plays only matter if something turns it down
+  checkCaps(date = new Date()) {
+    this.deviceManager.getEnabledPairs().forEach(pair => {
+      const cap = this.getCap(pair, date);
+      const previous = this.caps.get(pair.name);
+      this.caps.set(pair.name, cap.volume);
+
+      if (previous !== undefined && cap.volume < previous) {
+        this.app.debug(`Volume cap for ${pair.name} lowered to ${cap.volume} (${cap.reason})`);
+        this.emit('capLowered', pair, cap);
+      }
+    });
+  }
+
+  static validate(limits) {
+    if (!limits) return null;
+
+    const volumes = ['maxVolume', 'startupVolume'];
+    for (const key of volumes) {
+      if (limits[key] !== undefined && (typeof limits[key] !== 'number' || limits[key] < 0 || limits[key] > 100)) {
+        return `${key} must be between 0 and 100`;
+      }
+    }
+
+    return VolumeLimits.validateQuietHours(limits.quietHours);
+  }
+
+  static validateQuietHours(quietHours) {
+    if (quietHours === undefined) return null;
+    if (!Array.isArray(quietHours)) return 'quietHours must be an array';
+
+    for (const period of quietHours) {
+      if (parseTime(period.start) === null || parseTime(period.end) === null) {
+        return `Quiet hours need start and end times as HH:MM, got ${period.start}-${period.end}`;
+      }
+
+      if (typeof period.maxVolume !== 'number' || period.maxVolume < 0 || period.maxVolume > 100) {
+        return 'Quiet hours maxVolume must be between 0 and 100';
+      }
+    }
+
+    return null;
+  }
+
+  getCap(pair, date = new Date()) {
+    const limits = pair.volumeLimits || {};
+    let cap = { volume: 100, reason: null };
+
+    if (limits.maxVolume !== undefined && limits.maxVolume < cap.volume) {
+      cap = { volume: limits.maxVolume, reason: 'maximum volume' };
+    }
+
+    [...this.quietHours, ...(limits.quietHours || [])].forEach(period => {
+      if (isWithin(period, date) && period.maxVolume < cap.volume) {
+        cap = { volume: period.maxVolume, reason: `quiet hours ${period.start}-${period.end}` };
+      }
+    });
+
+    return cap;
+  }
+
+  clamp(pair, volume, date) {
+    const cap = this.getCap(pair, date);
+
+    if (volume <= cap.volume) {
+      return { volume, clamped: false, cap: cap.volume };
+    }
+
+    return { volume: cap.volume, requested: volume, clamped: true, cap: cap.volume, reason: cap.reason };
+  }
+
+  clampFusion(pair, fusionVolume, date) {
+    const cap = this.getCap(pair, date);
+    const fusionCap = this.deviceManager.toFusionVolume(pair, cap.volume);
+
+    if (fusionVolume <= fusionCap) {
+      return { volume: fusionVolume, clamped: false, cap: fusionCap };
+    }
+
+    return { volume: fusionCap, requested: fusionVolume, clamped: true, cap: fusionCap, reason: cap.reason };
+  }
+
+  // Returns the volume to start at when playback resumes after the pair has been idle, or null
+  handlePlaybackState(pair, state, now = Date.now()) {
+    const limits = pair.volumeLimits || {};
+    const wasPlaying = this.lastPlaying.get(pair.name);
+
+    if (state !== 'playing') {
+      if (wasPlaying && wasPlaying.playing) {
+        this.lastPlaying.set(pair.name, { playing: false, since: now });
+      }
+      return null;
+    }
+
+    this.lastPlaying.set(pair.name, { playing: true, since: now });
+
+    if (limits.startupVolume === undefined || (wasPlaying && wasPlaying.playing)) {
+      return null;
+    }
+
+    const idleTime = (limits.idleTime !== undefined ? limits.idleTime : DEFAULT_IDLE_TIME) * 60000;
+    if (wasPlaying && now - wasPlaying.since < idleTime) {
+      return null;
+    }
+
+    return Math.min(limits.startupVolume, this.getCap(pair, new Date(now)).volume);
+  }
+
+  forget(pairName) {
+    this.lastPlaying.delete(pairName);
+    this.caps.delete(pairName);
+  }
+
+  getDiagnostics() {
+    return {
+      quietHours: this.quietHours,
+      pairs: this.deviceManager.getAllPairs().map(pair => ({
+        name: pair.name,
+        cap: this.getCap(pair),
+        lastPlaying: this.lastPlaying.get(pair.name) || null
+      }))
+    };
+  }
+}
+
+function parseTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+  if (!match) return null;
+
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 23 || minutes > 59) return null;
+
+  return hours * 60 + minutes;
+}
+
+// Periods ending before they start run over midnight, e.g. 22:00-07:00
+function isWithin(period, date) {
+  const start = parseTime(period.start);
+  const end = parseTime(period.end);
+  const minutes = date.getHours() * 60 + date.getMinutes();
+
+  if (start === null || end === null) return false;
+  if (start <= end) return minutes >= start && minutes < end;
+  return minutes >= start || minutes < end;
+}
+
+module.exports = { VolumeLimits, parseTime, isWithin };
@@ -0,0 +1,222 @@
+const DEFAULT_SETTLE_TIME = 6000;
+const DEFAULT_DEBOUNCE_TIME = 400;
+const LEADERS = ['sonos', 'fusion', 'last-writer'];
+
+// Keeps Sonos and Fusion volumes in step without the two sides echoing each other.
+// Every value we write is remembered for a settling window; when the device reports
+// it back it is recognised as our own echo instead of a new change.
+class VolumeSyncEngine {
+  constructor(app, options, deviceManager, actions) {
+    this.app = app;
+    this.options = options || {};
+    this.deviceManager = deviceManager;
+    this.actions = actions;
+    this.settleTime = this.options.settleTime || DEFAULT_SETTLE_TIME;
+    this.debounceTime = this.options.debounceTime !== undefined ? this.options.debounceTime : DEFAULT_DEBOUNCE_TIME;
+    this.states = new Map();
+  }
+
+  stop() {
+    this.states.forEach(state => {
+      Object.values(state.pending).forEach(pending => clearTimeout(pending.timer));
+    });
+    this.states.clear();
+  }
+
+  getState(pairName) {
+    if (!this.states.has(pairName)) {
+      this.states.set(pairName, {
+        expected: {},
+        pending: {},
+        lastOrigin: null,
+        lastChange: null,
+        known: {}
+      });
+    }
+
+    return this.states.get(pairName);
+  }
+
+  getLeader(pair) {
+    return LEADERS.includes(pair.volumeLeader) ? pair.volumeLeader : 'last-writer';
+  }
+
+  handleSonosVolume(pair, volume) {
+    this.handleChange(pair, { side: 'sonos', key: 'sonos', volume, tolerance: 1 });
+  }
+
+  handleFusionVolume(pair, zone, volume) {
+    this.handleChange(pair, { side: 'fusion', key: `fusion:${zone}`, zone, volume, tolerance: 0 });
+  }
+
+  handleChange(pair, change) {
+    const state = this.getState(pair.name);
+    state.known[change.key] = change.volume;
+
+    if (this.isEcho(state, change)) {
+      this.record(pair, change, 'echo suppressed');
+      return;
+    }
+
+    const leader = this.getLeader(pair);
+    if (leader !== 'last-writer' && leader !== change.side) {
+      this.record(pair, change, `ignored, ${leader} leads`);
+      return;
+    }
+
+    // The newest change wins, so anything still waiting from the other side is dropped
+    Object.keys(state.pending).forEach(key => {
+      if (!key.startsWith(change.side)) {
+        clearTimeout(state.pending[key].timer);
+        delete state.pending[key];
+        this.record(pair, { side: key.split(':')[0] }, 'superseded');
+      }
+    });
+
+    const pending = state.pending[change.key];
+    if (pending) {
+      clearTimeout(pending.timer);
+    }
+
+    state.pending[change.key] = {
+      change,
+      timer: setTimeout(() => {
+        delete state.pending[change.key];
+        this.propagate(pair.name, change);
+      }, this.debounceTime)
+    };
+  }
+
+  isEcho(state, change) {
+    const expected = state.expected[change.key];
+    if (!expected) return false;
+
+    if (Date.now() > expected.until) {
+      delete state.expected[change.key];
+      return false;
+    }
+
+    if (Math.abs(expected.volume - change.volume) <= change.tolerance) {
+      delete state.expected[change.key];
+      return true;
+    }
+
+    return false;
+  }
+
+  expect(state, key, volume) {
+    state.expected[key] = { volume, until: Date.now() + this.settleTime };
+    state.known[key] = volume;
+  }
+
+  // Speed compensation adds gain on the Fusion side only, so the Sonos keeps the user's set point
+  compensate(pair, volume) {
+    return this.actions.compensate ? this.actions.compensate(pair, volume) : volume;
+  }
+
+  uncompensate(pair, volume) {
+    return this.actions.uncompensate ? this.actions.uncompensate(pair, volume) : volume;
+  }
+
+  // Re-applies the Sonos set point to the synced zones after the compensation gain changed
+  refresh(pair, sonosVolume) {
+    if (!pair.enabled || !pair.volumeSync) return;
+
+    const state = this.getState(pair.name);
+
+    // A change still being debounced will be propagated with the new gain anyway
+    if (Object.keys(state.pending).length > 0) return;
+
+    const applied = this.compensate(pair, sonosVolume);
+    const fusionVolume = this.deviceManager.toFusionVolume(pair, applied);
+    const zones = this.deviceManager.getSyncedZones(pair)
+      .filter(zone => state.known[`fusion:${zone.zone}`] !== fusionVolume);
+
+    if (zones.length === 0) return;
+
+    zones.forEach(zone => {
+      this.expect(state, `fusion:${zone.zone}`, fusionVolume);
+      this.actions.setFusionVolume(pair, zone.zone, fusionVolume);
+    });
+
+    this.record(pair, { side: 'sonos', volume: sonosVolume }, 'compensated', { applied, fusionVolume, zones: zones.map(zone => zone.zone) });
+  }
+
+  propagate(pairName, change) {
+    // The pair may have been removed or reconfigured while the change was debounced
+    const pair = this.deviceManager.getPairByName(pairName);
+    if (!pair || !pair.enabled || !pair.volumeSync) return;
+
+    const state = this.getState(pair.name);
+    state.lastOrigin = change.side;
+    state.lastChange = Date.now();
+
+    const zones = this.deviceManager.getSyncedZones(pair);
+
+    if (change.side === 'sonos') {
+      const applied = this.compensate(pair, change.volume);
+      const fusionVolume = this.deviceManager.toFusionVolume(pair, applied);
+
+      zones.forEach(zone => {
+        this.expect(state, `fusion:${zone.zone}`, fusionVolume);
+        this.actions.setFusionVolume(pair, zone.zone, fusionVolume);
+      });
+
+      this.record(pair, change, 'applied to fusion', {
+        fusionVolume,
+        zones: zones.map(zone => zone.zone),
+        ...(applied !== change.volume ? { applied } : {})
+      });
+      return;
+    }
+
+    const sonosVolume = this.uncompensate(pair, this.deviceManager.toSonosVolume(pair, change.volume));
+    this.expect(state, 'sonos', sonosVolume);
+    this.actions.setSonosVolume(pair, sonosVolume);
+
+    // Other synced zones follow the Sonos, so they follow this zone too
+    const otherZones = zones.filter(zone => zone.zone !== change.zone);
+    otherZones.forEach(zone => {
+      this.expect(state, `fusion:${zone.zone}`, change.volume);
+      this.actions.setFusionVolume(pair, zone.zone, change.volume);
+    });
+
+    this.record(pair, change, 'applied to sonos', { sonosVolume, zones: otherZones.map(zone => zone.zone) });
+  }
+
+  record(pair, change, decision, result) {
+    this.app.debug(`Volume sync ${pair.name}: ${change.side} ${change.volume !== undefined ? change.volume : ''} ${decision}`);
+
+    this.deviceManager.updatePairActivity(pair.name, {
+      type: 'volumeSync',
+      data: {
+        origin: change.side,
+        zone: change.zone,
+        volume: change.volume,
+        decision,
+        ...result
+      }
+    });
+  }
+
+  getDiagnostics() {
+    const diagnostics = {
+      settleTime: this.settleTime,
+      debounceTime: this.debounceTime,
+      pairs: {}
+    };
+
+    this.states.forEach((state, pairName) => {
+      diagnostics.pairs[pairName] = {
+        lastOrigin: state.lastOrigin,
+        lastChange: state.lastChange,
+        pending: Object.keys(state.pending),
+        expected: state.expected
+      };
+    });
+
+    return diagnostics;
+  }
+}
+
+module.exports = { VolumeSyncEngine, LEADERS };
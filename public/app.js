@@ -1,6 +1,8 @@
 class SonosFusionUI {
     constructor() {
         this.baseUrl = '/plugins/signalk-sonos-fusion-plugin';
+        this.pairs = [];
+        this.pickers = {};
         this.init();
     }
 
@@ -16,6 +18,10 @@ class SonosFusionUI {
             e.preventDefault();
             this.addPair();
         });
+
+        document.getElementById('fusionDevice').addEventListener('change', (e) => {
+            this.loadFusionSources(e.target.value);
+        });
     }
 
     startPolling() {
@@ -103,6 +109,8 @@ class SonosFusionUI {
     populateDeviceSelectors(sonosDevices, fusionDevices) {
         const sonosSelect = document.getElementById('sonosDevice');
         const fusionSelect = document.getElementById('fusionDevice');
+        const selectedSonos = sonosSelect.value;
+        const selectedFusion = fusionSelect.value;
 
         sonosSelect.innerHTML = '<option value="">Select Sonos Device</option>';
         fusionSelect.innerHTML = '<option value="">Select Fusion Device</option>';
@@ -120,6 +128,36 @@ class SonosFusionUI {
             option.textContent = `${device.name || device.id} (${device.host})`;
             fusionSelect.appendChild(option);
         });
+
+        // Devices are reloaded while the Add Pair modal may be open, keep what was chosen
+        sonosSelect.value = selectedSonos;
+        fusionSelect.value = selectedFusion;
+    }
+
+    async loadFusionSources(deviceId) {
+        const inputSelect = document.getElementById('fusionInput');
+
+        if (!deviceId) {
+            inputSelect.innerHTML = '<option value="">Select Fusion Device first</option>';
+            return;
+        }
+
+        inputSelect.innerHTML = '<option value="">Loading sources...</option>';
+
+        try {
+            const response = await fetch(`${this.baseUrl}/devices/fusion/${encodeURIComponent(deviceId)}/sources`);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const catalog = await response.json();
+            inputSelect.innerHTML = catalog.sources.map(source =>
+                `<option value="${this.escapeHtml(source.input)}">${this.escapeHtml(source.name)}</option>`
+            ).join('');
+        } catch (error) {
+            console.error('Failed to load Fusion sources:', error);
+            inputSelect.innerHTML = '<option value="">Sources unavailable</option>';
+        }
     }
 
     async loadPairs() {
@@ -127,6 +165,7 @@ class SonosFusionUI {
             const response = await fetch(`${this.baseUrl}/pairs`);
             const pairs = await response.json();
 
+            this.pairs = pairs;
             this.renderPairs(pairs);
         } catch (error) {
             console.error('Failed to load pairs:', error);
@@ -135,6 +174,12 @@ class SonosFusionUI {
 
     renderPairs(pairs) {
         const container = document.getElementById('pairsList');
+
+        // Replacing an open picker closes it and drops the choice, the next poll catches up
+        if (container.contains(document.activeElement) && document.activeElement.tagName === 'SELECT') {
+            return;
+        }
+
         container.innerHTML = '';
 
         pairs.forEach(pair => {
@@ -149,10 +194,13 @@ class SonosFusionUI {
                     </div>
                     <div>
                         <p><strong>Fusion Input:</strong> ${pair.fusionInput.toUpperCase()}</p>
+                        <p><strong>Zones:</strong> ${(pair.zones || []).map(zone =>
+                            `${zone.name || `Zone ${zone.zone}`}${zone.enabled ? '' : ' (off)'}`).join(', ')}</p>
                         <p><strong>Volume Sync:</strong> ${pair.volumeSync ? 'Yes' : 'No'}</p>
                         <p><strong>Status:</strong> ${pair.enabled ? 'Enabled' : 'Disabled'}</p>
                     </div>
                 </div>
+                ${pair.enabled ? this.renderPicker(pair.name) : ''}
                 ${pair.lastActivity ? `
                     <p><strong>Last Activity:</strong> ${new Date(pair.lastActivity.timestamp).toLocaleString()}</p>
                     <p><strong>Activity Type:</strong> ${pair.lastActivity.type}</p>
@@ -174,6 +222,67 @@ class SonosFusionUI {
         }
     }
 
+    // Favorites and playlists are loaded once per pair; the pairs list re-renders every few seconds
+    renderPicker(pairName) {
+        const picker = this.pickers[pairName];
+        if (!picker || picker.loading) {
+            if (!picker) this.loadPicker(pairName);
+            return '';
+        }
+
+        const options = (type, items) => items.map(item => {
+            const value = `${type}:${item.id}`;
+            return `<option value="${this.escapeHtml(value)}" ${value === picker.selected ? 'selected' : ''}>${this.escapeHtml(item.title)}</option>`;
+        }).join('');
+
+        return `
+            <div class="form-group">
+                <label class="form-label">Play on Sonos</label>
+                <div class="controls" style="margin-top: 0;">
+                    <select class="form-control" onchange="selectPickerItem('${pairName}', this.value)">
+                        <option value="">Choose a favorite or playlist</option>
+                        <optgroup label="Favorites">${options('favorite', picker.favorites)}</optgroup>
+                        <optgroup label="Playlists">${options('playlist', picker.playlists)}</optgroup>
+                    </select>
+                    <button class="btn btn-primary" onclick="playPickerItem('${pairName}')">Play</button>
+                    <button class="btn btn-secondary" onclick="queuePickerItem('${pairName}')">Queue</button>
+                </div>
+            </div>
+        `;
+    }
+
+    // A failed load isn't kept, so the next render asks again
+    async loadPicker(pairName) {
+        this.pickers[pairName] = { loading: true };
+
+        try {
+            const [favoritesResponse, playlistsResponse] = await Promise.all([
+                fetch(`${this.baseUrl}/pairs/${pairName}/favorites`),
+                fetch(`${this.baseUrl}/pairs/${pairName}/playlists`)
+            ]);
+
+            if (!favoritesResponse.ok || !playlistsResponse.ok) {
+                throw new Error(`HTTP ${favoritesResponse.ok ? playlistsResponse.status : favoritesResponse.status}`);
+            }
+
+            this.pickers[pairName] = {
+                favorites: await favoritesResponse.json(),
+                playlists: await playlistsResponse.json(),
+                selected: ''
+            };
+            this.renderPairs(this.pairs);
+        } catch (error) {
+            console.error('Failed to load favorites:', error);
+            delete this.pickers[pairName];
+        }
+    }
+
+    escapeHtml(text) {
+        const element = document.createElement('span');
+        element.textContent = text || '';
+        return element.innerHTML.replace(/"/g, '&quot;');
+    }
+
     async loadOverview() {
         try {
             const response = await fetch(`${this.baseUrl}/overview`);
@@ -229,6 +338,8 @@ class SonosFusionUI {
             fusionDevice: document.getElementById('fusionDevice').value,
             fusionInput: document.getElementById('fusionInput').value,
             volumeSync: document.getElementById('volumeSync').checked,
+            zones: Array.from(document.querySelectorAll('input[name="pairZone"]:checked'))
+                .map(input => ({ zone: parseInt(input.value, 10) })),
             enabled: true
         };
 
@@ -389,6 +500,64 @@ async function deletePair(pairName) {
     }
 }
 
+function selectPickerItem(pairName, value) {
+    window.ui.pickers[pairName].selected = value;
+}
+
+// The picker value is the item type and id, e.g. favorite:FV:2/15
+function getPickerItem(pairName) {
+    const picker = window.ui.pickers[pairName];
+    if (!picker || !picker.selected) {
+        alert('Choose a favorite or playlist first');
+        return null;
+    }
+
+    const separator = picker.selected.indexOf(':');
+    return { [picker.selected.slice(0, separator)]: picker.selected.slice(separator + 1) };
+}
+
+async function playPickerItem(pairName) {
+    const item = getPickerItem(pairName);
+    if (!item) return;
+
+    try {
+        const response = await fetch(`/plugins/signalk-sonos-fusion-plugin/pairs/${pairName}/play`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(item)
+        });
+
+        if (!response.ok) {
+            const result = await response.json();
+            alert(`Failed to play: ${result.error}`);
+        }
+    } catch (error) {
+        console.error('Failed to play:', error);
+        alert('Failed to play');
+    }
+}
+
+async function queuePickerItem(pairName) {
+    const item = getPickerItem(pairName);
+    if (!item) return;
+
+    try {
+        const response = await fetch(`/plugins/signalk-sonos-fusion-plugin/pairs/${pairName}/queue`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(item)
+        });
+
+        if (!response.ok) {
+            const result = await response.json();
+            alert(`Failed to add to queue: ${result.error}`);
+        }
+    } catch (error) {
+        console.error('Failed to add to queue:', error);
+        alert('Failed to add to queue');
+    }
+}
+
 function showTab(tabName) {
     window.ui.showTab(tabName);
 }
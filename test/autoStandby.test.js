@@ -0,0 +1,147 @@
+const { AutoStandby } = require('../lib/autoStandby');
+const { createApp, createPair, createDevices } = require('./helpers/fakeDevices');
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+}
+
+function setup(standby = { policy: 'power-off', idleTimeout: 60 }) {
+  const devices = createDevices([createPair({ standby })]);
+
+  return {
+    ...devices,
+    pair: devices.pairs[0],
+    standby: new AutoStandby(createApp(), devices.deviceManager, devices.actions)
+  };
+}
+
+describe('AutoStandby', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('switches to the Sonos on play and powers off once idle', async () => {
+    const { pair, fusion, calls, standby } = setup();
+
+    await standby.handlePlaybackState(pair, 'playing');
+    await standby.handlePlaybackState(pair, 'paused');
+    await jest.advanceTimersByTimeAsync(60000);
+
+    expect(calls).toEqual(['input aux1', 'power off']);
+    expect(fusion.power).toBe('off');
+    expect(standby.getDiagnostics().deck).toEqual(expect.objectContaining({ applied: 'power-off', previousInput: 'fm' }));
+  });
+
+  test('play, pause and play again within the idle timeout leaves the stereo on', async () => {
+    const { pair, calls, standby } = setup();
+
+    await standby.handlePlaybackState(pair, 'playing');
+    await standby.handlePlaybackState(pair, 'paused');
+    await jest.advanceTimersByTimeAsync(30000);
+    await standby.handlePlaybackState(pair, 'playing');
+    await standby.handlePlaybackState(pair, 'paused');
+    await jest.advanceTimersByTimeAsync(30000);
+    await standby.handlePlaybackState(pair, 'playing');
+    await jest.advanceTimersByTimeAsync(120000);
+
+    expect(calls).toEqual(['input aux1', 'input aux1', 'input aux1']);
+    expect(standby.getDiagnostics().deck).toEqual(expect.objectContaining({ playing: true, standbyPending: false, applied: null }));
+  });
+
+  test('paused to stopped keeps the countdown running', async () => {
+    const { pair, calls, standby } = setup();
+
+    await standby.handlePlaybackState(pair, 'playing');
+    await standby.handlePlaybackState(pair, 'paused');
+    await jest.advanceTimersByTimeAsync(40000);
+    await standby.handlePlaybackState(pair, 'stopped');
+    await jest.advanceTimersByTimeAsync(20000);
+
+    expect(calls).toEqual(['input aux1', 'power off']);
+  });
+
+  test('standby firing while a resume is queued is skipped', async () => {
+    const { pair, calls, actions, standby } = setup({ policy: 'power-off', idleTimeout: 1 });
+    const slowSwitch = deferred();
+
+    actions.switchInput.mockImplementationOnce(async (p, input) => {
+      await slowSwitch.promise;
+      calls.push(`input ${input}`);
+      return true;
+    });
+
+    // The first resume is still switching inputs when the pause times out and play comes back
+    standby.handlePlaybackState(pair, 'playing');
+    await jest.advanceTimersByTimeAsync(0);
+    standby.handlePlaybackState(pair, 'paused');
+    await jest.advanceTimersByTimeAsync(1000);
+    const resumed = standby.handlePlaybackState(pair, 'playing');
+
+    slowSwitch.resolve();
+    await resumed;
+
+    expect(calls).toEqual(['input aux1', 'input aux1']);
+    expect(actions.setPower).not.toHaveBeenCalled();
+  });
+
+  test('play during a standby in progress is undone by the queued resume', async () => {
+    const { pair, fusion, calls, actions, standby } = setup({ policy: 'power-off', idleTimeout: 1 });
+
+    await standby.handlePlaybackState(pair, 'playing');
+    await standby.handlePlaybackState(pair, 'paused');
+
+    // Standby has checked the stereo and is about to power it off when play arrives
+    const slowInput = deferred();
+    actions.getInput.mockImplementationOnce(() => slowInput.promise);
+    await jest.advanceTimersByTimeAsync(1000);
+    const resumed = standby.handlePlaybackState(pair, 'playing');
+
+    slowInput.resolve('aux1');
+    await resumed;
+
+    expect(calls).toEqual(['input aux1', 'power off', 'power on', 'input aux1']);
+    expect(fusion.power).toBe('on');
+    expect(standby.getDiagnostics().deck.applied).toBeNull();
+  });
+
+  test('cancel stops a pending standby', async () => {
+    const { pair, calls, standby } = setup();
+
+    await standby.handlePlaybackState(pair, 'playing');
+    await standby.handlePlaybackState(pair, 'paused');
+    await jest.advanceTimersByTimeAsync(30000);
+    standby.cancel(pair.name);
+    await jest.advanceTimersByTimeAsync(60000);
+
+    expect(calls).toEqual(['input aux1']);
+    expect(standby.getDiagnostics().deck.standbyPending).toBe(false);
+  });
+
+  test('restore puts the stereo back on the input it was playing', async () => {
+    const { pair, fusion, standby } = setup({ policy: 'restore', idleTimeout: 5 });
+
+    await standby.handlePlaybackState(pair, 'playing');
+    await standby.handlePlaybackState(pair, 'paused');
+    await jest.advanceTimersByTimeAsync(5000);
+
+    expect(fusion.input).toBe('fm');
+  });
+
+  test('leaves the stereo alone when someone picked another source while paused', async () => {
+    const { pair, fusion, calls, standby } = setup();
+
+    await standby.handlePlaybackState(pair, 'playing');
+    await standby.handlePlaybackState(pair, 'paused');
+    fusion.input = 'bluetooth';
+    await jest.advanceTimersByTimeAsync(60000);
+
+    expect(calls).toEqual(['input aux1']);
+    expect(fusion.power).toBe('on');
+  });
+});
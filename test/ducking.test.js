@@ -0,0 +1,146 @@
+const { DuckingManager } = require('../lib/ducking');
+const { createApp, createDevices } = require('./helpers/fakeDevices');
+
+const VHF = { name: 'vhf', path: 'communication.vhf.transmitting', duckBy: 50 };
+const HORN = { name: 'horn', path: 'sensors.horn.active', duckBy: 80 };
+const ANCHOR = { name: 'anchor', path: 'navigation.anchor.dragging', action: 'mute' };
+const DOCKING = { name: 'docking', path: 'navigation.speedOverGround', condition: '< 0.5', action: 'pause' };
+
+function setup(options) {
+  const devices = createDevices();
+  const ducking = new DuckingManager(createApp(), options, devices.deviceManager, devices.actions);
+  const changes = jest.fn();
+  ducking.on('duckingChanged', (pair, ducked) => changes(ducked));
+
+  return {
+    ...devices,
+    pair: devices.pairs[0],
+    ducking,
+    changes,
+    settle: () => ducking.getState('deck').queue
+  };
+}
+
+describe('DuckingManager', () => {
+  test('the deepest duck wins and the volume comes back after the last release', async () => {
+    const { ducking, calls, settle } = setup({ triggers: [VHF, HORN] });
+
+    ducking.handleValue(VHF.path, true);
+    await settle();
+    ducking.handleValue(HORN.path, true);
+    await settle();
+    ducking.handleValue(VHF.path, false);
+    await settle();
+
+    expect(calls).toEqual(['sonos volume 10', 'zone 1 volume 10', 'sonos volume 4', 'zone 1 volume 4']);
+
+    ducking.handleValue(HORN.path, false);
+    await settle();
+
+    expect(calls.slice(4)).toEqual(['sonos volume 20', 'zone 1 volume 20']);
+    expect(ducking.isDucked('deck')).toBe(false);
+  });
+
+  test('notification rules and triggers stack', async () => {
+    const { ducking, sonos, settle } = setup({
+      rules: [{ path: 'notifications.mob', duckTo: 25 }],
+      triggers: [VHF]
+    });
+
+    ducking.handleValue(VHF.path, true);
+    ducking.handleNotification('notifications.mob', { state: 'emergency', message: 'MOB' });
+    await settle();
+    expect(sonos.volume).toBe(5);
+
+    ducking.handleNotification('notifications.mob', { state: 'normal' });
+    await settle();
+    expect(sonos.volume).toBe(10);
+  });
+
+  test('mute, duck and pause stack and each release undoes only its own change', async () => {
+    const { pair, ducking, calls, changes, settle } = setup({ triggers: [VHF, ANCHOR, DOCKING] });
+
+    ducking.handleValue(ANCHOR.path, true);
+    ducking.handleValue(VHF.path, true);
+    ducking.handleValue(DOCKING.path, 0.2);
+    await settle();
+
+    expect(calls).toEqual(['mute', 'sonos volume 10', 'zone 1 volume 10', 'pause']);
+    expect(ducking.isPausedByDucking(pair.name)).toBe(true);
+
+    ducking.handleValue(VHF.path, false);
+    await settle();
+    expect(calls.slice(4)).toEqual(['sonos volume 20', 'zone 1 volume 20']);
+
+    ducking.handleValue(DOCKING.path, 3.5);
+    await settle();
+    expect(calls.slice(6)).toEqual(['play']);
+    expect(ducking.isPausedByDucking(pair.name)).toBe(false);
+
+    ducking.handleValue(ANCHOR.path, false);
+    await settle();
+    expect(calls.slice(7)).toEqual(['unmute']);
+    expect(changes.mock.calls).toEqual([[true], [false]]);
+  });
+
+  test('leaves a mute or pause it did not make alone', async () => {
+    const { pair, sonos, actions, ducking, calls, settle } = setup({ triggers: [ANCHOR, DOCKING] });
+    await actions.setMuted(pair, true);
+    sonos.playbackState = 'paused';
+    calls.length = 0;
+
+    ducking.handleValue(ANCHOR.path, true);
+    ducking.handleValue(DOCKING.path, 0);
+    await settle();
+    ducking.handleValue(ANCHOR.path, false);
+    ducking.handleValue(DOCKING.path, 5);
+    await settle();
+
+    expect(calls).toEqual([]);
+    expect(ducking.isPausedByDucking(pair.name)).toBe(false);
+  });
+
+  test('marks the pause before the Sonos reports it', async () => {
+    const { pair, actions, ducking, settle } = setup({ triggers: [DOCKING] });
+    let pausedByDucking = null;
+    actions.pause.mockImplementationOnce(async () => {
+      pausedByDucking = ducking.isPausedByDucking(pair.name);
+      return true;
+    });
+
+    ducking.handleValue(DOCKING.path, 0);
+    await settle();
+
+    expect(pausedByDucking).toBe(true);
+  });
+
+  describe('release delay', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('holds the duck for the delay and a new match cancels the release', async () => {
+      const { ducking, sonos, settle } = setup({ triggers: [{ ...VHF, releaseDelay: 5 }] });
+
+      ducking.handleValue(VHF.path, true);
+      await settle();
+      ducking.handleValue(VHF.path, false);
+      await jest.advanceTimersByTimeAsync(4000);
+      expect(sonos.volume).toBe(10);
+
+      ducking.handleValue(VHF.path, true);
+      await jest.advanceTimersByTimeAsync(5000);
+      expect(sonos.volume).toBe(10);
+
+      ducking.handleValue(VHF.path, false);
+      await jest.advanceTimersByTimeAsync(5000);
+      await settle();
+      expect(sonos.volume).toBe(20);
+      expect(ducking.getDiagnostics().pendingReleases).toEqual([]);
+    });
+  });
+});
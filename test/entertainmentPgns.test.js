@@ -0,0 +1,121 @@
+const {
+  PGN_CURRENT_FILE_STATUS,
+  PGN_LIBRARY_DATA_FILE,
+  PGN_LIBRARY_DATA_GROUP,
+  PGN_LIBRARY_DATA_SEARCH,
+  encodePgn,
+  encodeFields,
+  currentFileStatusFields,
+  libraryDataFileFields,
+  libraryDataGroupFields,
+  libraryDataSearchFields,
+  encodeFusionNowPlaying,
+  encodeFusionMute
+} = require('../lib/entertainmentPgns');
+const { encodeFusionCommand } = require('../lib/fusionNmea2000Transport');
+
+function hex(bytes) {
+  return bytes.map(byte => byte.toString(16).padStart(2, '0')).join(' ');
+}
+
+const state = {
+  zone: 0,
+  source: 11,
+  number: 1,
+  trackId: 42,
+  playbackState: 'playing',
+  repeat: 0,
+  shuffle: 1,
+  trackNumber: 3,
+  trackCount: 12,
+  currentTrack: { title: 'Hey', artist: 'AB', album: '', duration: 215, position: 95 }
+};
+
+describe('encodeFields', () => {
+  test('packs fields little endian, least significant bit first', () => {
+    const definition = {
+      fields: [['A', 4], ['B', 4], ['C', 16, 0.1]],
+      repeating: [['X', 8]]
+    };
+
+    expect(hex(encodeFields(definition, { A: 1, B: 2, C: 12.3, list: [{ X: 7 }, { X: 8 }] }))).toBe('21 7b 00 07 08');
+  });
+
+  test('sends missing and reserved fields as all ones', () => {
+    const definition = { fields: [['A', 8], ['Reserved', 4], ['B', 4], ['C', 32]] };
+
+    expect(hex(encodeFields(definition, { A: 3, Reserved: 0, B: 0 }))).toBe('03 0f ff ff ff ff');
+  });
+
+  test('clamps values to the field size', () => {
+    expect(hex(encodeFields({ fields: [['A', 8], ['B', 8]] }, { A: 300, B: -5 }))).toBe('ff 00');
+  });
+});
+
+describe('encodePgn', () => {
+  test('130569 Current File and Status', () => {
+    expect(hex(encodePgn(PGN_CURRENT_FILE_STATUS, currentFileStatusFields(state)))).toBe(
+      '00 0b 01 2a 00 00 00 00 00 5f 00 d7 00 10 ff ff ff ff ff ff ff ff ff ff ff ff ff'
+    );
+  });
+
+  test('130569 while paused, without a track', () => {
+    const paused = { ...state, playbackState: 'paused', currentTrack: null, repeat: undefined, shuffle: undefined };
+
+    expect(hex(encodePgn(PGN_CURRENT_FILE_STATUS, currentFileStatusFields(paused)))).toBe(
+      '00 0b 01 2a 00 00 00 01 00 ff ff ff ff ff ff ff ff ff ff ff ff ff ff ff ff ff ff'
+    );
+  });
+
+  test('130570 Library Data File', () => {
+    expect(hex(encodePgn(PGN_LIBRARY_DATA_FILE, libraryDataFileFields(state)))).toBe(
+      '0b 01 2a 00 00 00 05 05 01 48 65 79 ff ff ff ff ff ff ff ff ff ff 00 f1 04 01 41 42 02 01 02 01'
+    );
+  });
+
+  test('130571 Library Data Group', () => {
+    const group = { id: 1, type: 'playQueue', offset: 0, total: 2, items: [{ id: 1, name: 'Hey' }, { id: 2, name: 'AB' }] };
+
+    expect(hex(encodePgn(PGN_LIBRARY_DATA_GROUP, libraryDataGroupFields(state, group)))).toBe(
+      '0b 01 09 00 01 00 00 00 00 00 02 00 02 00 00 01 00 00 00 05 01 48 65 79 02 00 00 00 04 01 41 42'
+    );
+  });
+
+  test('130572 Library Data Search', () => {
+    const search = { groupId: 1, groups: [{ type: 'playQueue', name: 'Queue' }] };
+
+    expect(hex(encodePgn(PGN_LIBRARY_DATA_SEARCH, libraryDataSearchFields(state, search)))).toBe(
+      '0b 01 01 00 00 00 09 07 01 51 75 65 75 65 ff 02 01 ff 02 01'
+    );
+  });
+
+  test('rejects PGNs without a definition', () => {
+    expect(() => encodePgn(130574, {})).toThrow('No encoding defined for PGN 130574');
+  });
+});
+
+describe('Fusion proprietary', () => {
+  test('130820 now playing', () => {
+    expect(encodeFusionNowPlaying(state).map(hex)).toEqual([
+      'a3 99 04 80 01 00 03 00 00 00 0c 00 00 00 d8 47 03 00 00 00 00 00',
+      'a3 99 05 80 00 00 00 00 00 03 48 65 79 00',
+      'a3 99 06 80 00 00 00 00 00 02 41 42 00',
+      'a3 99 07 80 00 00 00 00 00 00 00',
+      'a3 99 09 80 00 18 73 01'
+    ]);
+  });
+
+  test('130820 mute', () => {
+    expect(hex(encodeFusionMute(true))).toBe('a3 99 17 80 01');
+    expect(hex(encodeFusionMute(false))).toBe('a3 99 17 80 02');
+  });
+
+  test('126720 commands', () => {
+    expect(hex(encodeFusionCommand('getStatus'))).toBe('a3 99 01 00');
+    expect(hex(encodeFusionCommand('setInput', { input: 8 }))).toBe('a3 99 02 00 08');
+    expect(hex(encodeFusionCommand('setVolume', { zone: 2, volume: 25 }))).toBe('a3 99 18 00 01 19');
+    expect(hex(encodeFusionCommand('setMute', { mute: true }))).toBe('a3 99 11 00 01');
+    expect(hex(encodeFusionCommand('setPower', { power: false }))).toBe('a3 99 1c 00 02');
+    expect(encodeFusionCommand('eject')).toBeNull();
+  });
+});
@@ -0,0 +1,53 @@
+const { parseActisense } = require('../lib/fusionNmea2000Transport');
+const { FUSION_ID, createApp, createNmea2000Fusion } = require('./helpers/fakeDevices');
+
+const POWER_ON = '2024-05-01T10:00:05.000Z,7,130820,10,255,5,a3,99,20,00,01';
+
+// A stereo in standby, which doesn't broadcast its power state, that only wakes up on
+// the given power on command, or never
+function setup(wakesOnAttempt) {
+  const app = createApp();
+  const controller = createNmea2000Fusion(app, { powerOnRetries: 3, powerOnRetryDelay: 0 });
+  let attempts = 0;
+
+  app.on('nmea2000out', line => {
+    const frame = parseActisense(line);
+    const isPowerOn = frame.pgn === 126720 && frame.data[2] === 0x1c && frame.data[4] === 0x01;
+
+    if (isPowerOn && ++attempts === wakesOnAttempt) {
+      controller.transports.nmea2000.handleFrame(POWER_ON);
+    }
+  });
+
+  return { app, controller, attempts: () => attempts };
+}
+
+describe('Fusion power', () => {
+  test('a sent command does not count as the stereo being on', async () => {
+    const { controller } = setup(0);
+
+    expect(await controller.powerOn(FUSION_ID)).toBe(true);
+    expect(await controller.getPower(FUSION_ID)).toBeNull();
+    controller.stop();
+  });
+
+  test('retries until the stereo reports it is on', async () => {
+    const { controller, attempts } = setup(2);
+    const changes = jest.fn();
+    controller.on('powerChanged', changes);
+
+    expect(await controller.ensurePowerOn(FUSION_ID)).toBe(true);
+    expect(attempts()).toBe(2);
+    expect(changes).toHaveBeenCalledWith(FUSION_ID, 'on');
+    controller.stop();
+  });
+
+  test('gives up when the stereo never reports on', async () => {
+    const { app, controller, attempts } = setup(0);
+
+    expect(await controller.ensurePowerOn(FUSION_ID)).toBe(false);
+    expect(attempts()).toBe(3);
+    expect(app.error).toHaveBeenCalledWith(`Fusion ${FUSION_ID} did not power on after 3 attempts`);
+    controller.stop();
+  });
+});
@@ -0,0 +1,199 @@
+jest.mock('axios');
+
+const axios = require('axios');
+const { FusionHttpTransport } = require('../lib/fusionHttpTransport');
+const { FusionNmea2000Transport, parseActisense } = require('../lib/fusionNmea2000Transport');
+const { FUSION_ADDRESS_CLAIM, FUSION_ID, createApp, createNmea2000Fusion } = require('./helpers/fakeDevices');
+
+// What the stereo broadcasts once it has claimed its address
+const BROADCASTS = [
+  '2024-05-01T10:00:00.100Z,7,130820,10,255,14,a3,99,02,00,01,01,00,00,05,53,6f,6e,6f,73',
+  '2024-05-01T10:00:00.200Z,7,130820,10,255,16,a3,99,02,00,08,01,00,00,07,4f,70,74,69,63,61,6c',
+  '2024-05-01T10:00:00.300Z,7,130820,10,255,8,a3,99,1d,00,14,0a,00,00',
+  '2024-05-01T10:00:00.400Z,7,130820,10,255,5,a3,99,17,00,01',
+  '2024-05-01T10:00:00.500Z,7,130820,10,255,5,a3,99,20,00,01'
+];
+const FRAMES = [FUSION_ADDRESS_CLAIM, ...BROADCASTS];
+
+// What the HTTP API answers for the same stereo
+const HTTP_STATUS = { currentInput: 'sonos', volume: 20, zones: [20, 10, 0, 0], power: 'on', mute: true };
+
+function sentBytes(line) {
+  return parseActisense(line).data;
+}
+
+describe('FusionNmea2000Transport', () => {
+  let app;
+  let transport;
+
+  beforeEach(() => {
+    app = createApp();
+    transport = new FusionNmea2000Transport(app);
+  });
+
+  test('parses Actisense lines', () => {
+    expect(parseActisense(BROADCASTS[2])).toEqual({
+      pgn: 130820,
+      src: 10,
+      dst: 255,
+      data: [0xa3, 0x99, 0x1d, 0x00, 0x14, 0x0a, 0x00, 0x00]
+    });
+    expect(parseActisense('garbage')).toBeNull();
+  });
+
+  test('discovers the stereo from its address claim', () => {
+    const discovered = jest.fn();
+    transport.on('deviceDiscovered', discovered);
+
+    transport.handleFrame(FUSION_ADDRESS_CLAIM);
+
+    expect(discovered).toHaveBeenCalledWith(expect.objectContaining({
+      id: FUSION_ID,
+      src: 10,
+      transport: 'nmea2000'
+    }));
+  });
+
+  test('decodes state broadcasts into status updates', () => {
+    const status = jest.fn();
+    transport.on('status', status);
+
+    FRAMES.forEach(frame => transport.handleFrame(frame));
+
+    expect(status.mock.calls.map(call => call[1])).toEqual([
+      { input: 'sonos' },
+      { volume: 20, zones: [20, 10, 0, 0] },
+      { mute: true },
+      { power: 'on' }
+    ]);
+    expect(Array.from(transport.stereos.get(10).sources)).toEqual([[1, 'Sonos'], [8, 'Optical']]);
+  });
+
+  test('sends commands as PGN 126720 to the stereo', async () => {
+    FRAMES.forEach(frame => transport.handleFrame(frame));
+    app.sent = [];
+
+    const device = { src: 10 };
+    await transport.sendCommand(device, 'setInput', { input: 4, name: 'Optical' });
+    await transport.sendCommand(device, 'setVolume', { volume: 25, zone: 2 });
+    await transport.sendCommand(device, 'setMute', { mute: false });
+    await transport.sendCommand(device, 'setPower', { power: true });
+
+    expect(app.sent.map(line => parseActisense(line).pgn)).toEqual([126720, 126720, 126720, 126720]);
+    expect(app.sent.map(sentBytes)).toEqual([
+      [0xa3, 0x99, 0x02, 0x00, 0x08],
+      [0xa3, 0x99, 0x18, 0x00, 0x01, 0x19],
+      [0xa3, 0x99, 0x11, 0x00, 0x02],
+      [0xa3, 0x99, 0x1c, 0x00, 0x01]
+    ]);
+  });
+
+  test('fails commands for stereos it has not seen', async () => {
+    const result = await transport.sendCommand({ src: 42 }, 'getStatus');
+
+    expect(result.success).toBe(false);
+    expect(app.sent).toEqual([]);
+  });
+});
+
+describe('FusionHttpTransport', () => {
+  const device = { host: '192.168.1.50', port: 80 };
+  let transport;
+
+  beforeEach(() => {
+    axios.post.mockReset();
+    transport = new FusionHttpTransport(createApp());
+  });
+
+  test('posts commands to the HTTP API', async () => {
+    axios.post.mockResolvedValue({ data: HTTP_STATUS });
+
+    const result = await transport.sendCommand(device, 'setInput', { input: 8, name: 'Optical' });
+
+    expect(axios.post).toHaveBeenCalledWith('http://192.168.1.50:80/api/fusion/setInput',
+      { input: 8, name: 'Optical' }, expect.objectContaining({ timeout: 5000 }));
+    expect(result).toEqual({ success: true, data: HTTP_STATUS });
+  });
+
+  test('reports HTTP errors and unreachable devices', async () => {
+    axios.post.mockRejectedValueOnce({ response: { status: 404, statusText: 'Not Found', data: null } });
+    axios.post.mockRejectedValueOnce({ request: {} });
+
+    expect(await transport.sendCommand(device, 'getSources')).toEqual({ success: false, error: 'HTTP 404: Not Found', data: null });
+    expect(await transport.sendCommand(device, 'getStatus')).toEqual({ success: false, error: 'No response from device' });
+  });
+});
+
+describe('both transports', () => {
+  let app;
+  let controller;
+
+  beforeEach(() => {
+    axios.post.mockReset();
+    axios.post.mockResolvedValue({ data: HTTP_STATUS });
+
+    app = createApp();
+    controller = createNmea2000Fusion(app);
+    BROADCASTS.forEach(frame => controller.transports.nmea2000.handleFrame(frame));
+
+    controller.devices.set('fusion:7654321', { id: 'fusion:7654321', host: '192.168.1.50', port: 80, lastSeen: Date.now() });
+  });
+
+  afterEach(() => {
+    controller.stop();
+  });
+
+  test('report the same stereo state', async () => {
+    const nmea2000 = await controller.getStatus(FUSION_ID);
+    const http = await controller.getStatus('fusion:7654321');
+
+    expect(nmea2000).toEqual({ ...http, source: 'nmea2000' });
+    expect(http).toEqual({ input: 'sonos', volume: 20, zones: [20, 10, 0, 0], power: 'on', mute: true, source: undefined });
+  });
+
+  test('keep the same device state from broadcasts and polling', async () => {
+    const http = controller.getDevice('fusion:7654321');
+    controller.applyStatus('fusion:7654321', http, await controller.getStatus('fusion:7654321'));
+
+    const nmea2000 = controller.getDevice(FUSION_ID);
+    const fields = ['currentInput', 'currentVolume', 'zoneVolumes', 'muted', 'power'];
+
+    fields.forEach(field => expect(nmea2000[field]).toEqual(http[field]));
+    expect(nmea2000.currentInput).toBe('sonos');
+  });
+
+  test('switch inputs by the same source id', async () => {
+    axios.post.mockResolvedValueOnce({ data: { sources: [{ id: 1, name: 'Sonos' }, { id: 8, name: 'Optical' }] } });
+    app.sent = [];
+
+    expect(await controller.switchInput(FUSION_ID, 'optical')).toBe(true);
+    expect(await controller.switchInput('fusion:7654321', 'optical')).toBe(true);
+
+    const commands = app.sent.filter(line => parseActisense(line).pgn === 126720).map(sentBytes);
+    expect(commands).toEqual([[0xa3, 0x99, 0x01, 0x00], [0xa3, 0x99, 0x02, 0x00, 0x08]]);
+    expect(axios.post).toHaveBeenLastCalledWith('http://192.168.1.50:80/api/fusion/setInput',
+      { input: 8, name: 'Optical' }, expect.any(Object));
+  });
+
+  test('accept any input on a stereo without a source list', async () => {
+    axios.post.mockRejectedValueOnce({ response: { status: 404, statusText: 'Not Found', data: null } });
+
+    expect(await controller.validateInput('fusion:7654321', 'siriusxm')).toBeNull();
+    expect(await controller.validateInput(FUSION_ID, 'siriusxm')).toMatch(/has no input siriusxm/);
+
+    axios.post.mockRejectedValueOnce({ response: { status: 404, statusText: 'Not Found', data: null } });
+    expect(await controller.switchInput('fusion:7654321', 'siriusxm')).toBe(true);
+    expect(axios.post).toHaveBeenLastCalledWith('http://192.168.1.50:80/api/fusion/setInput',
+      { name: 'siriusxm' }, expect.any(Object));
+
+    axios.post.mockRejectedValueOnce({ response: { status: 404, statusText: 'Not Found', data: null } });
+    expect(await controller.switchInput('fusion:7654321', 'fm')).toBe(true);
+    expect(axios.post).toHaveBeenLastCalledWith('http://192.168.1.50:80/api/fusion/setInput',
+      { input: 7, name: 'FM' }, expect.any(Object));
+  });
+
+  test('refuse sources a stereo with a source list does not have', async () => {
+    expect(await controller.switchInput(FUSION_ID, 'siriusxm')).toBe(false);
+    expect(app.sent.map(line => parseActisense(line).data[2])).not.toContain(0x02);
+  });
+});
@@ -0,0 +1,140 @@
+const EventEmitter = require('eventemitter3');
+const { FusionController } = require('../../lib/fusionController');
+
+// A Fusion MS-RA770 at N2K address 10 with unique number 1234567, as logged by actisense-serial
+const FUSION_ADDRESS_CLAIM = '2024-05-01T10:00:00.000Z,6,60928,10,255,8,87,d6,72,34,00,82,a0,c0';
+const FUSION_ID = 'fusion:1234567';
+
+// A SignalK app that keeps the lines sent to nmea2000out
+function createApp() {
+  const app = new EventEmitter();
+  app.debug = jest.fn();
+  app.error = jest.fn();
+  app.sent = [];
+  app.on('nmea2000out', line => app.sent.push(line));
+  return app;
+}
+
+function createPair(overrides = {}) {
+  return {
+    name: 'deck',
+    enabled: true,
+    sonosDevice: 'S1',
+    fusionDevice: 'F1',
+    fusionInput: 'aux1',
+    zones: [{ zone: 1, enabled: true }],
+    ...overrides
+  };
+}
+
+// One Sonos and one Fusion behind the given pairs, with the device manager and the actions
+// the managers are handed in index.js. Every change is recorded in calls, in order.
+function createDevices(pairs = [createPair()]) {
+  const sonos = { volume: 20, muted: false, playbackState: 'playing' };
+  const fusion = { input: 'fm', power: 'on', muted: false, zones: { 1: 20 } };
+  const muted = new Set();
+  const calls = [];
+
+  const deviceManager = {
+    getPairByName: name => pairs.find(pair => pair.name === name) || null,
+    getEnabledPairs: () => pairs.filter(pair => pair.enabled !== false),
+    getPairsByFusionDevice: deviceId => pairs.filter(pair => pair.fusionDevice === deviceId),
+    getActiveZones: pair => (pair.zones || []).filter(zone => zone.enabled !== false),
+    updatePairActivity: jest.fn()
+  };
+
+  const setMuted = jest.fn(async (pair, mute) => {
+    calls.push(mute ? 'mute' : 'unmute');
+    if (mute) muted.add(pair.name);
+    else muted.delete(pair.name);
+    return true;
+  });
+
+  const actions = {
+    getInput: jest.fn(async () => fusion.input),
+    switchInput: jest.fn(async (pair, input) => {
+      calls.push(`input ${input}`);
+      fusion.input = input;
+      return true;
+    }),
+    setPower: jest.fn(async (pair, on) => {
+      calls.push(on ? 'power on' : 'power off');
+      fusion.power = on ? 'on' : 'off';
+      return true;
+    }),
+    powerOn: jest.fn(async () => {
+      calls.push('power on');
+      fusion.power = 'on';
+      return true;
+    }),
+    isMuted: jest.fn(pair => muted.has(pair.name)),
+    setMuted,
+    setMute: setMuted,
+    getSonosVolume: jest.fn(async () => sonos.volume),
+    setSonosVolume: jest.fn(async (pair, volume) => {
+      calls.push(`sonos volume ${volume}`);
+      sonos.volume = volume;
+      return true;
+    }),
+    setSonosMute: jest.fn(async (pair, mute) => {
+      calls.push(mute ? 'sonos mute' : 'sonos unmute');
+      sonos.muted = mute;
+      return true;
+    }),
+    getFusionVolume: jest.fn((pair, zone) => fusion.zones[zone] !== undefined ? fusion.zones[zone] : null),
+    setFusionVolume: jest.fn(async (pair, zone, volume) => {
+      calls.push(`zone ${zone} volume ${volume}`);
+      fusion.zones[zone] = volume;
+      return true;
+    }),
+    setFusionMute: jest.fn(async (pair, mute) => {
+      calls.push(mute ? 'fusion mute' : 'fusion unmute');
+      fusion.muted = mute;
+      return true;
+    }),
+    getPlaybackState: jest.fn(async () => sonos.playbackState),
+    pause: jest.fn(async () => {
+      calls.push('pause');
+      sonos.playbackState = 'paused';
+      return true;
+    }),
+    play: jest.fn(async () => {
+      calls.push('play');
+      sonos.playbackState = 'playing';
+      return true;
+    })
+  };
+
+  return { pairs, sonos, fusion, calls, deviceManager, actions };
+}
+
+// A Sonos player as @svrooij/sonos models it, with event emitters in place of GENA subscriptions
+function createSonosDevice(uuid, host = '192.168.1.20') {
+  return {
+    Uuid: uuid,
+    Host: host,
+    Port: 1400,
+    Name: uuid,
+    AVTransportService: { Events: new EventEmitter() },
+    RenderingControlService: { Events: new EventEmitter() },
+    ZoneGroupTopologyService: { Events: new EventEmitter(), GetParsedZoneGroupState: jest.fn(async () => []) }
+  };
+}
+
+// A controller on the NMEA2000 transport that has seen the stereo's address claim
+function createNmea2000Fusion(app, options = {}) {
+  const controller = new FusionController(app, { transport: 'nmea2000', ...options });
+  controller.startNmea2000Transport();
+  controller.transports.nmea2000.handleFrame(FUSION_ADDRESS_CLAIM);
+  return controller;
+}
+
+module.exports = {
+  FUSION_ADDRESS_CLAIM,
+  FUSION_ID,
+  createApp,
+  createPair,
+  createDevices,
+  createSonosDevice,
+  createNmea2000Fusion
+};
@@ -0,0 +1,63 @@
+const { MuteManager } = require('../lib/muteManager');
+const { createApp, createPair, createDevices } = require('./helpers/fakeDevices');
+
+function setup(pair = createPair()) {
+  const devices = createDevices([pair]);
+  const muteManager = new MuteManager(createApp(), devices.deviceManager, devices.actions);
+  const changes = jest.fn();
+  muteManager.on('muteChanged', (changed, muted) => changes(muted));
+
+  return { ...devices, pair, muteManager, changes };
+}
+
+describe('MuteManager', () => {
+  test('mutes both devices and puts the volumes back on unmute', async () => {
+    const { pair, calls, muteManager, changes } = setup();
+
+    expect(await muteManager.setMuted(pair, true, 'test')).toBe(true);
+    expect(await muteManager.setMuted(pair, false, 'test')).toBe(true);
+
+    expect(calls).toEqual(['sonos mute', 'fusion mute', 'sonos unmute', 'fusion unmute', 'sonos volume 20', 'zone 1 volume 20']);
+    expect(changes.mock.calls).toEqual([[true], [false]]);
+  });
+
+  test('stays muted when neither device accepts the unmute', async () => {
+    const { pair, actions, muteManager, changes } = setup();
+
+    await muteManager.setMuted(pair, true, 'test');
+    actions.setSonosMute.mockResolvedValue(false);
+    actions.setFusionMute.mockResolvedValue(false);
+
+    expect(await muteManager.setMuted(pair, false, 'test')).toBe(false);
+    expect(muteManager.isMuted(pair.name)).toBe(true);
+    expect(changes.mock.calls).toEqual([[true]]);
+  });
+
+  test('a Sonos muted by volume is unmuted by restoring its volume', async () => {
+    const { pair, sonos, actions, muteManager } = setup(createPair({ volumeSync: true }));
+    actions.setSonosMute.mockResolvedValue(false);
+    actions.setFusionMute.mockResolvedValue(false);
+
+    expect(await muteManager.setMuted(pair, true, 'test')).toBe(true);
+    expect(sonos.volume).toBe(0);
+    expect(muteManager.getDiagnostics().deck).toEqual(expect.objectContaining({ sonosByVolume: true, fusionByVolume: true }));
+
+    expect(await muteManager.setMuted(pair, false, 'test')).toBe(true);
+    expect(sonos.volume).toBe(20);
+    expect(muteManager.isMuted(pair.name)).toBe(false);
+  });
+
+  test('a failed volume restore leaves a pair muted by volume muted', async () => {
+    const { pair, actions, muteManager } = setup(createPair({ volumeSync: true }));
+    actions.setSonosMute.mockResolvedValue(false);
+    actions.setFusionMute.mockResolvedValue(false);
+
+    await muteManager.setMuted(pair, true, 'test');
+    actions.setSonosVolume.mockResolvedValue(false);
+    actions.setFusionVolume.mockResolvedValue(false);
+
+    expect(await muteManager.setMuted(pair, false, 'test')).toBe(false);
+    expect(muteManager.isMuted(pair.name)).toBe(true);
+    expect(muteManager.getDiagnostics().deck.sonosByVolume).toBe(true);
+  });
+});
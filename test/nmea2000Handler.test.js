@@ -0,0 +1,126 @@
+const { NMEA2000Handler } = require('../lib/nmea2000Handler');
+const { parseActisense } = require('../lib/fusionNmea2000Transport');
+const { createApp } = require('./helpers/fakeDevices');
+
+const LOWER_NAME = [0, 0, 0, 0, 0, 0, 0, 0];
+
+function setup(options = {}) {
+  const app = createApp();
+  app.json = [];
+  app.on('nmea2000JsonOut', message => app.json.push(message));
+  app.streambundle = { getSelfBus: () => ({ onValue: () => () => {} }) };
+
+  const handler = new NMEA2000Handler(app, { deviceInstance: 20, ...options });
+  const sent = () => app.sent.map(parseActisense).map(frame => [frame.pgn, frame.src]);
+
+  return { app, handler, sent };
+}
+
+describe('NMEA2000 bridge device', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('stays quiet for 250 ms after claiming its address', async () => {
+    const { handler, sent } = setup();
+
+    handler.start();
+    handler.updatePlaybackState('Deck', 'playing');
+    expect(sent()).toEqual([[60928, 20]]);
+
+    await jest.advanceTimersByTimeAsync(250);
+    expect(sent()).toEqual([[60928, 20], [126996, 20], [126998, 20]]);
+    handler.stop();
+  });
+
+  test('sends the device PGNs as raw frames with canboat JSON output', async () => {
+    const { app, handler } = setup({ outputFormat: 'canboat-json' });
+
+    handler.start();
+    await jest.advanceTimersByTimeAsync(250);
+    handler.updatePlaybackState('Deck', 'playing');
+
+    expect(app.json.map(message => message.pgn)).toEqual([130569]);
+    expect(app.sent.map(parseActisense).every(frame => frame.src === 20)).toBe(true);
+    handler.stop();
+  });
+
+  test('waits again after moving to a new address', async () => {
+    const { app, handler, sent } = setup();
+
+    handler.start();
+    await jest.advanceTimersByTimeAsync(250);
+    app.sent = [];
+
+    handler.device.handleMessage({ pgn: 60928, src: 20, dst: 255, data: LOWER_NAME });
+    handler.updatePlaybackState('Deck', 'playing');
+    expect(sent()).toEqual([[60928, 21]]);
+
+    await jest.advanceTimersByTimeAsync(250);
+    expect(sent().slice(1, 3)).toEqual([[126996, 21], [126998, 21]]);
+    handler.stop();
+  });
+
+  test('answers only requests for the claim until the address is held', async () => {
+    const { app, handler, sent } = setup();
+
+    handler.start();
+    handler.device.handleMessage({ pgn: 59904, src: 5, dst: 255, data: [0x14, 0xf0, 0x01] });
+    handler.device.handleMessage({ pgn: 59904, src: 5, dst: 255, data: [0x00, 0xee, 0x00] });
+    expect(sent()).toEqual([[60928, 20], [60928, 20]]);
+
+    await jest.advanceTimersByTimeAsync(250);
+    app.sent = [];
+    handler.device.handleMessage({ pgn: 59904, src: 5, dst: 255, data: [0x14, 0xf0, 0x01] });
+    expect(sent()).toEqual([[126996, 20]]);
+    handler.stop();
+  });
+});
+
+describe('library data', () => {
+  const queue = Array.from({ length: 10 }, (_, index) => ({ position: index + 1, title: `Track number ${index + 1} of the long queue` }));
+  const playlists = [{ id: 'SQ:3', title: 'Sundowners' }];
+
+  async function claimed(handler) {
+    jest.useFakeTimers();
+    handler.start();
+    await jest.advanceTimersByTimeAsync(250);
+    jest.useRealTimers();
+  }
+
+  test('sends the queue and playlists in pages that fit one fast packet', async () => {
+    const { app, handler } = setup();
+    await claimed(handler);
+
+    handler.updateLibrary('Deck', { queue, playlists });
+
+    const sent = app.json.map(message => [message.pgn, message.fields]);
+    expect(sent.map(([pgn]) => pgn)).toEqual([130572, 130571, 130571, 130572, 130571]);
+    expect(sent[0][1]).toEqual(expect.objectContaining({ 'Group ID': 1, 'Group type 1': 9, 'Group name 1': 'Queue' }));
+    expect(sent[1][1]).toEqual(expect.objectContaining({ 'Type': 9, 'ID offset': 0, 'ID count': 8, 'Total ID count': 10 }));
+    expect(sent[1][1].list[0]).toEqual({ 'ID': 1, 'Name': 'Track number 1 of th' });
+    expect(sent[2][1]).toEqual(expect.objectContaining({ 'ID offset': 8, 'ID count': 2 }));
+    expect(sent[4][1]).toEqual(expect.objectContaining({ 'Type': 1, 'Group ID': 2, list: [{ 'ID': 1, 'Name': 'Sundowners' }] }));
+    handler.stop();
+  });
+
+  test('only sends groups that changed and could be read', async () => {
+    const { app, handler } = setup({ outputFormat: 'actisense' });
+    await claimed(handler);
+
+    handler.updateLibrary('Deck', { queue, playlists });
+    app.sent = [];
+    handler.updateLibrary('Deck', { queue, playlists: null });
+    expect(app.sent).toEqual([]);
+
+    handler.updateLibrary('Deck', { queue: queue.slice(1), playlists });
+    const frames = app.sent.map(parseActisense);
+    expect(frames.map(frame => frame.pgn)).toEqual([130572, 130571, 130571]);
+    expect(frames.every(frame => frame.data.length <= 223)).toBe(true);
+    handler.stop();
+  });
+});
@@ -0,0 +1,91 @@
+const { SonosController } = require('../lib/sonosController');
+const { createApp, createSonosDevice } = require('./helpers/fakeDevices');
+
+function member(uuid) {
+  return { uuid, name: uuid, host: '192.168.1.20', port: 1400 };
+}
+
+// ZoneGroupState as the topology service parses it, the first uuid of each group coordinating
+function zoneGroups(...groups) {
+  return groups.map(uuids => ({
+    groupId: `${uuids[0]}:1`,
+    name: uuids[0],
+    coordinator: member(uuids[0]),
+    members: uuids.map(member)
+  }));
+}
+
+function setup(options = {}) {
+  const controller = new SonosController(createApp(), options, {});
+  const devices = ['RINCON_A', 'RINCON_B'].map(uuid => createSonosDevice(uuid));
+  const changes = jest.fn();
+
+  devices.forEach(device => controller.devices.set(device.Uuid, device));
+  controller.on('groupChanged', (deviceId, group) => changes(deviceId, group && group.coordinator));
+
+  return { controller, devices, changes };
+}
+
+describe('Sonos groups', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('follow group changes from topology events', () => {
+    const { controller, devices, changes } = setup();
+    devices.forEach(device => controller.subscribeToEvents(device.Uuid, device));
+
+    const topology = devices[0].ZoneGroupTopologyService.Events;
+    expect(topology.listenerCount('serviceEvent')).toBe(1);
+    expect(devices[1].ZoneGroupTopologyService.Events.listenerCount('serviceEvent')).toBe(0);
+
+    topology.emit('serviceEvent', { ZoneGroupState: zoneGroups(['RINCON_B', 'RINCON_A']) });
+
+    expect(controller.getCoordinatorDevice('RINCON_A')).toBe(devices[1]);
+    expect(changes.mock.calls).toEqual([['RINCON_A', 'RINCON_B'], ['RINCON_B', 'RINCON_B']]);
+
+    topology.emit('serviceEvent', { ZoneGroupState: zoneGroups(['RINCON_A'], ['RINCON_B']) });
+
+    expect(controller.getCoordinatorDevice('RINCON_A')).toBe(devices[0]);
+    expect(changes).toHaveBeenCalledTimes(4);
+  });
+
+  test('ignore topology events without the group state', () => {
+    const { controller, devices, changes } = setup();
+    controller.subscribeToEvents('RINCON_A', devices[0]);
+
+    devices[0].ZoneGroupTopologyService.Events.emit('serviceEvent', { ZoneGroupName: 'Deck' });
+
+    expect(changes).not.toHaveBeenCalled();
+  });
+
+  test('move the group subscription when its device goes away', () => {
+    const { controller, devices } = setup();
+    devices.forEach(device => controller.subscribeToEvents(device.Uuid, device));
+
+    controller.unsubscribeFromDevice('RINCON_A');
+
+    expect(devices[0].ZoneGroupTopologyService.Events.listenerCount('serviceEvent')).toBe(0);
+    expect(devices[1].ZoneGroupTopologyService.Events.listenerCount('serviceEvent')).toBe(1);
+    expect(controller.getSubscriptionDiagnostics().groupEventsDevice).toBe('RINCON_B');
+  });
+
+  test('only poll the groups while group events are unavailable', async () => {
+    jest.useFakeTimers();
+    const { controller, devices } = setup({ groupRefreshInterval: 30 });
+    const poll = devices[0].ZoneGroupTopologyService.GetParsedZoneGroupState;
+    controller.subscribeToEvents('RINCON_A', devices[0]);
+
+    controller.startGroupRefresh();
+    await jest.advanceTimersByTimeAsync(90000);
+    expect(poll).toHaveBeenCalledTimes(1);
+
+    devices[0].ZoneGroupTopologyService.Events.emit('subscriptionError', new Error('renewal failed'));
+    expect(poll).toHaveBeenCalledTimes(2);
+
+    await jest.advanceTimersByTimeAsync(60000);
+    expect(poll).toHaveBeenCalledTimes(4);
+
+    clearInterval(controller.groupRefreshInterval);
+  });
+});
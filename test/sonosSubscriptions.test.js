@@ -0,0 +1,61 @@
+const { SonosController } = require('../lib/sonosController');
+const { createApp, createSonosDevice } = require('./helpers/fakeDevices');
+
+// Everything a poll of the device asks for
+function answer(device) {
+  Object.assign(device.AVTransportService, {
+    GetTransportInfo: jest.fn(async () => ({ CurrentTransportState: 'PLAYING' })),
+    GetPositionInfo: jest.fn(async () => ({})),
+    GetMediaInfo: jest.fn(async () => ({}))
+  });
+  Object.assign(device.RenderingControlService, {
+    GetVolume: jest.fn(async () => ({ CurrentVolume: 20 })),
+    GetMute: jest.fn(async () => ({ CurrentMute: false }))
+  });
+}
+
+function setup(answers) {
+  const controller = new SonosController(createApp(), {}, {});
+  const device = createSonosDevice('RINCON_A');
+  answer(device);
+  if (!answers) {
+    device.AVTransportService.GetTransportInfo.mockRejectedValue(new Error('connect EHOSTUNREACH'));
+  }
+
+  controller.staticDevices = [device];
+  controller.devices.set('RINCON_A', device);
+  controller.subscribeToEvents('RINCON_A', device);
+  controller.updateDeviceState('RINCON_A', { volume: 20 });
+
+  return { controller, device };
+}
+
+describe('Sonos event subscriptions', () => {
+  test('a device that still answers is polled until the subscription recovers', async () => {
+    const { controller, device } = setup(true);
+
+    await controller.handleSubscriptionError('RINCON_A', new Error('renewal failed'));
+
+    expect(controller.devices.has('RINCON_A')).toBe(true);
+    expect(controller.getSubscriptionDiagnostics().pollingDevices).toEqual(['RINCON_A']);
+    expect(device.AVTransportService.Events.listenerCount('serviceEvent')).toBe(0);
+  });
+
+  test('a device that stopped answering is dropped until it is found again', async () => {
+    const { controller, device } = setup(false);
+
+    await controller.handleSubscriptionError('RINCON_A', new Error('renewal failed'));
+
+    expect(controller.devices.has('RINCON_A')).toBe(false);
+    expect(controller.deviceStates.has('RINCON_A')).toBe(false);
+    expect(controller.getSubscriptionDiagnostics().pollingDevices).toEqual([]);
+    expect(device.AVTransportService.Events.listenerCount('serviceEvent')).toBe(0);
+    expect(device.ZoneGroupTopologyService.Events.listenerCount('serviceEvent')).toBe(0);
+
+    answer(device);
+    controller.attachPendingDevices();
+
+    expect(controller.devices.get('RINCON_A')).toBe(device);
+    expect(device.AVTransportService.Events.listenerCount('serviceEvent')).toBe(1);
+  });
+});
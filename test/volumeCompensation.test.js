@@ -0,0 +1,56 @@
+const { VolumeCompensation } = require('../lib/volumeCompensation');
+const { createApp, createPair, createDevices } = require('./helpers/fakeDevices');
+
+const volumes = Array.from({ length: 101 }, (_, volume) => volume);
+
+// A pair that gets the given gain on top of its set point at any speed
+function setup(gain, ceiling = 80) {
+  const { pairs, deviceManager } = createDevices([
+    createPair({ compensation: { source: 'sog', points: [{ at: 0, gain }], ceiling, smoothing: 0 } })
+  ]);
+  const compensation = new VolumeCompensation(createApp(), deviceManager);
+
+  compensation.handleValue('navigation.speedOverGround', 5, 0);
+  return { pair: pairs[0], compensation };
+}
+
+describe.each([0, 5, 20])('gain %i', gain => {
+  const { pair, compensation } = setup(gain);
+
+  test('set points come back to the same speaker volume', () => {
+    volumes.forEach(volume => {
+      const applied = compensation.apply(pair, volume);
+      expect(compensation.apply(pair, compensation.remove(pair, applied))).toBe(applied);
+    });
+  });
+
+  test('speaker volumes the gain can reach come back unchanged', () => {
+    volumes.filter(volume => volume >= gain).forEach(volume => {
+      expect(compensation.apply(pair, compensation.remove(pair, volume))).toBe(volume);
+    });
+  });
+
+  test('set points below the ceiling less the gain are preserved', () => {
+    volumes.filter(volume => volume + gain < 80).forEach(volume => {
+      expect(compensation.remove(pair, compensation.apply(pair, volume))).toBe(volume);
+    });
+  });
+});
+
+describe('the ceiling', () => {
+  test('a set point above the ceiling is left alone both ways', () => {
+    const { pair, compensation } = setup(20);
+
+    expect(compensation.apply(pair, 85)).toBe(85);
+    expect(compensation.remove(pair, 86)).toBe(86);
+    expect(compensation.apply(pair, compensation.remove(pair, 86))).toBe(86);
+  });
+
+  test('a lower volume cap takes the place of the ceiling', () => {
+    const { pair, compensation } = setup(20);
+
+    expect(compensation.apply(pair, 50, 60)).toBe(60);
+    expect(compensation.remove(pair, 60, 60)).toBe(60);
+    expect(compensation.remove(pair, 55, 60)).toBe(35);
+  });
+});
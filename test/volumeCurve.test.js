@@ -0,0 +1,103 @@
+const { VolumeCurve, SONOS_MAX, FUSION_MAX } = require('../lib/volumeCurve');
+
+const CURVES = {
+  'linear': {},
+  'linear with min, max and offset': { min: 10, max: 30, offset: 2 },
+  'logarithmic': { type: 'logarithmic' },
+  'logarithmic with min, max and offset': { type: 'logarithmic', min: 5, max: 35, offset: -2 },
+  'table': { type: 'table', points: [{ sonos: 20, fusion: 4 }, { sonos: 60, fusion: 20 }, { sonos: 90, fusion: 36 }] },
+  'table with min, max and offset': { type: 'table', min: 2, max: 38, offset: 3, points: [{ sonos: 50, fusion: 10 }] }
+};
+
+const sonosVolumes = Array.from({ length: SONOS_MAX + 1 }, (_, volume) => volume);
+
+describe.each(Object.entries(CURVES))('%s curve', (name, config) => {
+  const curve = new VolumeCurve(config);
+  const lowest = curve.toFusion(0);
+  const highest = curve.toFusion(SONOS_MAX);
+
+  test('is a valid configuration', () => {
+    expect(VolumeCurve.validate(config)).toBeNull();
+  });
+
+  test('Sonos volumes come back on the same Fusion step', () => {
+    sonosVolumes.forEach(sonos => {
+      const fusion = curve.toFusion(sonos);
+      expect(curve.toFusion(curve.toSonos(fusion))).toBe(fusion);
+    });
+  });
+
+  test('Fusion steps the curve reaches come back within one step', () => {
+    for (let fusion = lowest; fusion <= highest; fusion++) {
+      expect(Math.abs(curve.toFusion(curve.toSonos(fusion)) - fusion)).toBeLessThanOrEqual(1);
+    }
+  });
+
+  test('never leaves the configured range', () => {
+    sonosVolumes.forEach(sonos => {
+      expect(curve.toFusion(sonos)).toBeGreaterThanOrEqual(curve.min);
+      expect(curve.toFusion(sonos)).toBeLessThanOrEqual(curve.max);
+    });
+  });
+
+  test('rises with the Sonos volume', () => {
+    sonosVolumes.slice(1).forEach(sonos => {
+      expect(curve.toFusion(sonos)).toBeGreaterThanOrEqual(curve.toFusion(sonos - 1));
+    });
+  });
+
+  test('maps silence to the bottom of the curve', () => {
+    expect(curve.toSonos(lowest)).toBe(0);
+    expect(curve.toSonos(0)).toBe(0);
+  });
+});
+
+describe('end points', () => {
+  test.each(['linear', 'logarithmic', 'table'])('%s curve spans 0-100 and 0-40', name => {
+    const curve = new VolumeCurve(CURVES[name]);
+
+    expect(curve.toFusion(0)).toBe(0);
+    expect(curve.toFusion(SONOS_MAX)).toBe(FUSION_MAX);
+    expect(curve.toSonos(0)).toBe(0);
+    expect(curve.toSonos(FUSION_MAX)).toBe(SONOS_MAX);
+  });
+
+  test('min and max bound the Fusion volume', () => {
+    const curve = new VolumeCurve({ min: 10, max: 30 });
+
+    expect(curve.toFusion(0)).toBe(10);
+    expect(curve.toFusion(SONOS_MAX)).toBe(30);
+    expect(curve.toSonos(10)).toBe(0);
+    expect(curve.toSonos(30)).toBe(SONOS_MAX);
+    expect(curve.toSonos(FUSION_MAX)).toBe(SONOS_MAX);
+  });
+
+  test('offset shifts the curve and is clamped to min and max', () => {
+    const raised = new VolumeCurve(CURVES['linear with min, max and offset']);
+    const lowered = new VolumeCurve(CURVES['logarithmic with min, max and offset']);
+
+    expect(raised.toFusion(0)).toBe(12);
+    expect(raised.toFusion(SONOS_MAX)).toBe(30);
+    expect(lowered.toFusion(0)).toBe(5);
+    expect(lowered.toFusion(SONOS_MAX)).toBe(33);
+  });
+
+  test('out of range input is clamped', () => {
+    const curve = new VolumeCurve();
+
+    expect(curve.toFusion(-5)).toBe(0);
+    expect(curve.toFusion(150)).toBe(FUSION_MAX);
+    expect(curve.toSonos(-1)).toBe(0);
+    expect(curve.toSonos(50)).toBe(SONOS_MAX);
+  });
+});
+
+describe('VolumeCurve.validate', () => {
+  test('rejects unknown types, bad limits and decreasing tables', () => {
+    expect(VolumeCurve.validate({ type: 'cubic' })).toMatch(/Unknown volume curve type/);
+    expect(VolumeCurve.validate({ min: 30, max: 20 })).toMatch(/Volume limits/);
+    expect(VolumeCurve.validate({ type: 'table', points: [] })).toMatch(/at least one breakpoint/);
+    expect(VolumeCurve.validate({ type: 'table', points: [{ sonos: 20, fusion: 30 }, { sonos: 40, fusion: 10 }] }))
+      .toMatch(/must not decrease/);
+  });
+});